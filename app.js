@@ -0,0 +1,42 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import userRoutes from './routes/user.js';
+import notificationRoutes from './routes/notification.js';
+import webhookRoutes from './routes/webhook.js';
+import healthRoutes from './routes/health.js';
+import graphqlRoutes from './routes/graphql.js';
+import { assignRequestId, notFound, errorHandler } from './utils/HandleResponse.js';
+import { detectLocale } from './utils/i18n.js';
+import { bindRequestContext } from './utils/requestContext.js';
+import { config } from './utils/config.js';
+
+/**
+ * This function builds the Express application with its middleware, routes and error handling.
+ * It neither connects to MongoDB nor listens nor starts background jobs; index.js does that,
+ * and tests use the app as it is.
+ */
+export const createApp = ({ trustProxy = config.trustProxy } = {}) => {
+    const app = express();
+
+    app.set('trust proxy', trustProxy);
+    app.locals.shuttingDown = false;
+
+    // Middleware
+    app.use(assignRequestId);
+    app.use(healthRoutes);
+    app.use(bodyParser.json());
+    // After the body parser, whose stream callbacks would lose the request context.
+    app.use(bindRequestContext);
+    app.use(detectLocale);
+
+    // Routes
+    app.use('/api/users', userRoutes);
+    app.use('/api/notifications', notificationRoutes);
+    app.use('/api/webhooks', webhookRoutes);
+    app.use('/graphql', graphqlRoutes);
+
+    app.use(notFound);
+    app.use(errorHandler);
+
+    return app;
+};
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Follow from '../models/Follow.js';
+import Mute from '../models/Mute.js';
+import FollowEvent, { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { assertSelfOrAdmin } from '../utils/auth.js';
+import { decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+import { getBlockedUserIds } from '../utils/relationships.js';
+
+// Follows by one account within the same window are shown as one item.
+export const ACTIVITY_GROUP_WINDOW_MS = 60 * 60 * 1000;
+// The feed only goes this far back.
+export const ACTIVITY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Followed accounts listed per item; `count` tells how many there are in all.
+export const ACTIVITY_TARGETS_PER_ITEM = 3;
+
+/**
+ * This function retrieves the activity feed of a user: the follows made by the accounts they
+ * follow, newest first, such as "Ali started following Sara". Follows by the same account
+ * within one hour are grouped into one item with the number of accounts followed and the
+ * latest few of them. Only the user themselves or an admin may read it.
+ * The feed is built from the follow event log of the last 30 days and only shows follows
+ * that still exist. It leaves out accounts the user has muted, accounts either side has
+ * blocked, and private accounts the user does not follow.
+ * Items are paginated with `limit` and `cursor`.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getActivityFeed = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        assertSelfOrAdmin(req, userId);
+
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor, { dated: true });
+
+        const user = mongoose.Types.ObjectId.createFromHexString(userId);
+        const blockedIds = await getBlockedUserIds(user);
+        const mutes = await Mute.find({ muter: user }, 'muted').lean();
+        const followings = await Follow.find({ follower: user }, 'followee').lean();
+
+        const hiddenIds = new Set([...blockedIds, ...mutes.map(mute => mute.muted)].map(String));
+        const followingIds = followings.map(edge => edge.followee);
+        const actorIds = followingIds.filter(id => !hiddenIds.has(id.toString()));
+
+        const since = new Date(Date.now() - ACTIVITY_MAX_AGE_MS);
+        const window = ACTIVITY_GROUP_WINDOW_MS;
+
+        const groups = await FollowEvent.aggregate([
+            {
+                $match: {
+                    type: FOLLOW_EVENT_TYPES.FOLLOW,
+                    follower: { $in: actorIds },
+                    followee: { $nin: blockedIds },
+                    // Not limited by the cursor: a group straddling its date would come back later with
+                    // its older follows only. The cursor applies to whole groups, after grouping.
+                    createdAt: { $gte: since }
+                }
+            },
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $lookup: { from: 'users', localField: 'followee', foreignField: '_id', as: 'target' } },
+            { $unwind: '$target' },
+            { $match: { $or: [{ 'target.isPrivate': { $ne: true } }, { followee: { $in: [user, ...followingIds] } }] } },
+            {
+                $lookup: {
+                    from: 'follows',
+                    let: { follower: '$follower', followee: '$followee' },
+                    pipeline: [
+                        { $match: { $expr: { $and: [{ $eq: ['$follower', '$$follower'] }, { $eq: ['$followee', '$$followee'] }] } } },
+                        { $limit: 1 },
+                        { $project: { _id: 1 } }
+                    ],
+                    as: 'edge'
+                }
+            },
+            { $match: { edge: { $ne: [] } } },
+            {
+                $group: {
+                    _id: {
+                        actor: '$follower',
+                        window: { $subtract: [{ $toLong: '$createdAt' }, { $mod: [{ $toLong: '$createdAt' }, window] }] }
+                    },
+                    count: { $sum: 1 },
+                    firstAt: { $min: '$createdAt' },
+                    lastAt: { $max: '$createdAt' },
+                    targets: {
+                        $push: {
+                            _id: '$target._id',
+                            username: '$target.username',
+                            displayName: '$target.displayName',
+                            avatarUrl: '$target.avatarUrl',
+                            followedAt: '$createdAt'
+                        }
+                    }
+                }
+            },
+            ...(cursor ? [{
+                $match: { $or: [{ lastAt: { $lt: cursor.date } }, { lastAt: cursor.date, '_id.actor': { $lt: cursor.id } }] }
+            }] : []),
+            { $sort: { lastAt: -1, '_id.actor': -1 } },
+            { $limit: limit + 1 },
+            { $lookup: { from: 'users', localField: '_id.actor', foreignField: '_id', as: 'actor' } },
+            { $unwind: '$actor' },
+            {
+                $project: {
+                    _id: 0,
+                    type: FOLLOW_EVENT_TYPES.FOLLOW,
+                    actor: { _id: 1, username: 1, displayName: 1, avatarUrl: 1 },
+                    count: 1,
+                    // Events were sorted newest first, so the pushed targets are too.
+                    targets: { $slice: ['$targets', ACTIVITY_TARGETS_PER_ITEM] },
+                    firstAt: 1,
+                    lastAt: 1
+                }
+            }
+        ]);
+
+        const hasMore = groups.length > limit;
+        const page = groups.slice(0, limit);
+        const lastItem = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor({ id: lastItem.actor._id, date: lastItem.lastAt }) : null;
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.ACTIVITY, page, { nextCursor }));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowEvent, { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { BUCKET_FORMATS, GRANULARITIES, isValidTimeZone, listBucketLabels } from '../utils/timeBuckets.js';
+
+const DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * This function reads and validates the `from`, `to`, `granularity` and `tz` query parameters.
+ * The range defaults to the last 30 days, the granularity to `day` and the time zone to `UTC`.
+ */
+export const parseAnalyticsQuery = (query) => {
+    const granularity = query.granularity || 'day';
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new ValidationError(UserResponseMessages.ERROR_GRANULARITY);
+    }
+
+    const tz = query.tz || 'UTC';
+    if (!isValidTimeZone(tz)) {
+        throw new ValidationError(UserResponseMessages.ERROR_TIMEZONE);
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        throw new ValidationError(UserResponseMessages.ERROR_DATE_RANGE);
+    }
+
+    return { granularity, tz, from, to };
+};
+
+/**
+ * This function computes follower analytics for a user from the follow event log.
+ * For every bucket of the requested granularity between `from` and `to` (in the `tz` time zone)
+ * it returns the followers gained and lost, the net change, and the cumulative follower count
+ * at the end of the bucket. Buckets without events are filled with zeros.
+ * Cumulative counts are derived backwards from the current follower count, so they stay
+ * correct for follows made before the event log existed.
+ * The options are the result of `parseAnalyticsQuery`.
+ */
+export const computeFollowerAnalytics = async (userId, { granularity, tz, from, to }) => {
+    const labels = listBucketLabels(from, to, granularity, tz);
+    const followee = mongoose.Types.ObjectId.createFromHexString(userId.toString());
+    const isFollow = { $eq: ['$type', FOLLOW_EVENT_TYPES.FOLLOW] };
+
+    const [result] = await FollowEvent.aggregate([
+        // Undone unfollows are left out: the follow they removed was restored with its date.
+        { $match: { followee, createdAt: { $gte: from }, undoneAt: { $exists: false } } },
+        {
+            $facet: {
+                buckets: [
+                    { $match: { createdAt: { $lt: to } } },
+                    {
+                        $group: {
+                            _id: { $dateToString: { format: BUCKET_FORMATS[granularity], date: '$createdAt', timezone: tz } },
+                            gained: { $sum: { $cond: [isFollow, 1, 0] } },
+                            lost: { $sum: { $cond: [isFollow, 0, 1] } }
+                        }
+                    }
+                ],
+                after: [
+                    { $match: { createdAt: { $gte: to } } },
+                    { $group: { _id: null, net: { $sum: { $cond: [isFollow, 1, -1] } } } }
+                ]
+            }
+        }
+    ]);
+
+    const currentCount = await Follow.countDocuments({ followee });
+
+    const counts = new Map((result?.buckets || []).map(bucket => [bucket._id, bucket]));
+    const netAfterRange = result?.after?.[0]?.net || 0;
+
+    const buckets = labels.map(period => {
+        const { gained = 0, lost = 0 } = counts.get(period) || {};
+        return { period, gained, lost, net: gained - lost };
+    });
+
+    let cumulative = currentCount - netAfterRange;
+    for (let i = buckets.length - 1; i >= 0; i--) {
+        buckets[i].cumulative = cumulative;
+        cumulative -= buckets[i].net;
+    }
+
+    const totals = buckets.reduce((sum, bucket) => ({
+        gained: sum.gained + bucket.gained,
+        lost: sum.lost + bucket.lost,
+        net: sum.net + bucket.net
+    }), { gained: 0, lost: 0, net: 0 });
+
+    return { granularity, tz, from, to, totals, buckets };
+};
+
+/**
+ * This function retrieves follower analytics (gained, lost, net and cumulative followers)
+ * for a specific user over a date range.
+ * It validates the query parameters, checks that the user exists,
+ * and sends the analytics in a success response.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getFollowerAnalytics = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        const options = parseAnalyticsQuery(req.query);
+
+        const user = await User.exists({ _id: userId });
+        if (!user) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        const analytics = await computeFollowerAnalytics(userId, options);
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.FOLLOWER_ANALYTICS, analytics));
+    } catch (err) {
+        next(err);
+    }
+};
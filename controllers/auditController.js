@@ -0,0 +1,58 @@
+import AuditLog from '../models/AuditLog.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { afterDateCursor, decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+
+/**
+ * This function reads the optional `from` and `to` query parameters as a date range.
+ */
+const parseDateRange = ({ from, to }) => {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lt = new Date(to);
+
+    if (Object.values(range).some(date => Number.isNaN(date.getTime())) || (range.$gte && range.$lt && range.$gte >= range.$lt)) {
+        throw new ValidationError(UserResponseMessages.ERROR_DATE_RANGE);
+    }
+
+    return Object.keys(range).length ? range : null;
+};
+
+/**
+ * This function lists audit log entries, newest first, for admins.
+ * `userId` narrows the list to entries where the user acted, was acted for, or was the target;
+ * `action` to one kind of change; `from` and `to` to a date range.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getAuditLog = async (req, res, next) => {
+    try {
+        const { userId, action } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor, { dated: true });
+        const createdAt = parseDateRange(req.query);
+
+        const filters = [
+            ...(userId ? [{ $or: [{ user: userId }, { target: userId }, { actor: userId }] }] : []),
+            ...(cursor ? [afterDateCursor(cursor)] : []),
+        ];
+
+        const entries = await AuditLog.find({
+            ...(action && { action }),
+            ...(createdAt && { createdAt }),
+            ...(filters.length && { $and: filters })
+        })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = entries.length > limit;
+        const page = hasMore ? entries.slice(0, limit) : entries;
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor({ id: last._id, date: last.createdAt }) : null;
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.AUDIT_LOG, page, { nextCursor }));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,189 @@
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import FollowRequest, { FOLLOW_REQUEST_STATUS } from '../models/FollowRequest.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { ConflictError, NotFoundError, ValidationError, isDuplicateKeyError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { getActingUserId } from '../utils/auth.js';
+import { reinsert, runInTransaction } from '../utils/transaction.js';
+import { recordFollowEvents } from '../utils/followEvents.js';
+import { adjustFollowCounts } from '../utils/followCounters.js';
+import { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { isSameId } from '../utils/validation.js';
+import { recordAudit, recordEdgeAudits } from '../utils/audit.js';
+
+/**
+ * This function checks that a user does not block or mute themselves.
+ * The ids themselves are validated by the route.
+ */
+const validatePair = (userId, otherId) => {
+    if (isSameId(userId, otherId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+    }
+};
+
+/**
+ * This function handles the blocking of a user by another user.
+ * It checks that the blocked user exists, and in a single transaction
+ * creates the block, removes the follow edges in both directions (logging unfollow events), cancels
+ * pending follow requests between the two users and audits the block and the unfollows.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const blockUser = async (req, res, next) => {
+    try {
+        const { blockId } = req.body;
+        const userId = getActingUserId(req);
+
+        validatePair(userId, blockId);
+
+        const removedEdges = await runInTransaction(async (session, onRollback) => {
+            const blockedUser = await User.exists({ _id: blockId }, { session });
+
+            if (!blockedUser) {
+                throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+            }
+
+            try {
+                await Block.create([{ blocker: userId, blocked: blockId }], { session });
+            } catch (err) {
+                if (isDuplicateKeyError(err)) throw new ConflictError(UserResponseMessages.ERROR_ALREADY_BLOCKED);
+                throw err;
+            }
+            onRollback(() => Block.deleteOne({ blocker: userId, blocked: blockId }));
+
+            const edgesFilter = {
+                $or: [
+                    { follower: userId, followee: blockId },
+                    { follower: blockId, followee: userId }
+                ]
+            };
+            const edges = await Follow.find(edgesFilter, 'follower followee createdAt', { session });
+
+            await Follow.deleteMany(edgesFilter, { session });
+            onRollback(() => reinsert(Follow, edges));
+            await adjustFollowCounts(edges, -1, session, onRollback);
+            await recordFollowEvents(FOLLOW_EVENT_TYPES.UNFOLLOW, edges, session, onRollback);
+
+            const requestsFilter = {
+                $or: [
+                    { requester: userId, target: blockId },
+                    { requester: blockId, target: userId }
+                ]
+            };
+            const cancelledAt = new Date();
+            await FollowRequest.updateMany(
+                { status: FOLLOW_REQUEST_STATUS.PENDING, ...requestsFilter },
+                { status: FOLLOW_REQUEST_STATUS.CANCELLED, respondedAt: cancelledAt },
+                { session }
+            );
+            onRollback(() => FollowRequest.updateMany(
+                { status: FOLLOW_REQUEST_STATUS.CANCELLED, respondedAt: cancelledAt, ...requestsFilter },
+                { status: FOLLOW_REQUEST_STATUS.PENDING, $unset: { respondedAt: 1 } }
+            ));
+
+            await recordAudit({ action: AUDIT_ACTIONS.BLOCK, user: userId, target: blockId }, session, onRollback);
+            await recordEdgeAudits(AUDIT_ACTIONS.UNFOLLOW, edges, undefined, session, onRollback);
+
+            return edges;
+        });
+
+        const date = new Date();
+        eventBus.emit(EVENTS.BLOCKED, { blocker: userId, blocked: blockId, date });
+        for (const { follower, followee } of removedEdges) {
+            eventBus.emit(EVENTS.UNFOLLOWED, { follower, followee, date });
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.BLOCKED));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function removes a block and audits it in a single transaction. Follow edges removed by
+ * the block are not restored.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const unblockUser = async (req, res, next) => {
+    try {
+        const { unblockId } = req.body;
+        const userId = getActingUserId(req);
+
+        validatePair(userId, unblockId);
+
+        await runInTransaction(async (session, onRollback) => {
+            const removedBlock = await Block.findOneAndDelete({ blocker: userId, blocked: unblockId }, { session });
+
+            if (!removedBlock) {
+                throw new NotFoundError(UserResponseMessages.ERROR_NOT_BLOCKED);
+            }
+            onRollback(() => reinsert(Block, [removedBlock]));
+
+            await recordAudit({ action: AUDIT_ACTIONS.UNBLOCK, user: userId, target: unblockId }, session, onRollback);
+        });
+
+        eventBus.emit(EVENTS.UNBLOCKED, { blocker: userId, blocked: unblockId, date: new Date() });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.UNBLOCKED));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function handles the muting of a user by another user.
+ * It checks that the muted user exists, and stores the mute.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const muteUser = async (req, res, next) => {
+    try {
+        const { muteId } = req.body;
+        const userId = getActingUserId(req);
+
+        validatePair(userId, muteId);
+
+        const mutedUser = await User.exists({ _id: muteId });
+
+        if (!mutedUser) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        try {
+            await Mute.create({ muter: userId, muted: muteId });
+        } catch (err) {
+            if (isDuplicateKeyError(err)) throw new ConflictError(UserResponseMessages.ERROR_ALREADY_MUTED);
+            throw err;
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.MUTED));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function removes a mute.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const unmuteUser = async (req, res, next) => {
+    try {
+        const { unmuteId } = req.body;
+        const userId = getActingUserId(req);
+
+        validatePair(userId, unmuteId);
+
+        const removedMute = await Mute.findOneAndDelete({ muter: userId, muted: unmuteId });
+
+        if (!removedMute) {
+            throw new NotFoundError(UserResponseMessages.ERROR_NOT_MUTED);
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.UNMUTED));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { getBlockedUserIds } from '../utils/relationships.js';
+import { findFollowPath } from '../utils/followPath.js';
+import { config } from '../utils/config.js';
+import { isSameId } from '../utils/validation.js';
+
+/**
+ * This function finds the shortest chain of follows from one user to another, such as
+ * "A follows B who follows C", and their degree of separation (the number of follows in it).
+ * `maxDepth` bounds the chain, up to CONNECTION_MAX_DEPTH which is also the default.
+ * Chains never pass through users the caller has blocked or been blocked by, and either end
+ * being one of them answers 404 like their profile does.
+ * The search is bounded by CONNECTION_TIME_BUDGET_MS; `truncated` tells that it ran out before
+ * finishing, so a chain may exist even though none was found.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getConnection = async (req, res, next) => {
+    try {
+        const { fromId, toId } = req.params;
+
+        if (isSameId(fromId, toId)) {
+            throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+        }
+
+        const maxDepth = req.query.maxDepth === undefined ? config.connection.maxDepth : Number(req.query.maxDepth);
+        if (maxDepth > config.connection.maxDepth) {
+            throw new ValidationError(UserResponseMessages.ERROR_CONNECTION_DEPTH);
+        }
+
+        const from = mongoose.Types.ObjectId.createFromHexString(fromId);
+        const to = mongoose.Types.ObjectId.createFromHexString(toId);
+        const blockedIds = await getBlockedUserIds(req.user.id);
+
+        const existing = await User.countDocuments({ _id: { $in: [from, to], $nin: blockedIds } });
+        if (existing !== 2) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        const { path, degree, truncated } = await findFollowPath(from, to, {
+            maxDepth,
+            timeBudgetMs: config.connection.timeBudgetMs,
+            excludeIds: blockedIds
+        });
+
+        let users = [];
+        if (path) {
+            const found = await User.find({ _id: { $in: path } }, 'username displayName avatarUrl verified').lean();
+            const byId = new Map(found.map(user => [user._id.toString(), user]));
+            users = path.map(id => byId.get(id)).filter(Boolean);
+        }
+
+        const message = path ? UserResponseMessages.CONNECTION : UserResponseMessages.NO_CONNECTION;
+        res.status(200).json(getSuccessResponse(200, message, { connected: Boolean(path), degree, path: users, maxDepth, truncated }));
+    } catch (err) {
+        next(err);
+    }
+};
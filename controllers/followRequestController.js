@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest, { FOLLOW_REQUEST_STATUS } from '../models/FollowRequest.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { recordFollowEvents } from '../utils/followEvents.js';
+import { adjustFollowCounts } from '../utils/followCounters.js';
+import { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { recordAudit, recordEdgeAudits } from '../utils/audit.js';
+import { afterDateCursor, decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+
+/**
+ * This function changes the status of a pending follow request and returns the updated request.
+ * `filter` restricts which requests the acting user may answer.
+ * It throws when no matching pending request exists.
+ */
+const closeRequest = async (requestId, filter, status, session) => {
+    if (!mongoose.isValidObjectId(requestId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+    }
+
+    const request = await FollowRequest.findOneAndUpdate(
+        { _id: requestId, status: FOLLOW_REQUEST_STATUS.PENDING, ...filter },
+        { status, respondedAt: new Date() },
+        { new: true, session }
+    );
+
+    if (!request) {
+        throw new NotFoundError(UserResponseMessages.ERROR_REQUEST_NOT_FOUND);
+    }
+
+    return request;
+};
+
+/**
+ * This function updates whether the authenticated user's account is private.
+ * It stores the isPrivate flag, validated by the route, and its audit entry in a single transaction,
+ * and sends a success response.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const updatePrivacy = async (req, res, next) => {
+    try {
+        const { isPrivate } = req.body;
+
+        const user = await runInTransaction(async (session, onRollback) => {
+            // The entry is written first, so only it needs undoing if the user is not found.
+            await recordAudit(
+                { action: AUDIT_ACTIONS.PROFILE_UPDATE, user: req.user.id, details: { changes: { isPrivate } } }, session, onRollback
+            );
+
+            const updated = await User.findByIdAndUpdate(req.user.id, { isPrivate }, { new: true, session });
+            if (!updated) {
+                throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+            }
+            return updated;
+        });
+
+        eventBus.emit(EVENTS.USER_UPDATED, { user, changes: { isPrivate } });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.PRIVACY_UPDATED, user));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function lists the pending follow requests sent to the authenticated user, newest first.
+ * It uses cursor-based pagination and joins the requester's username.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getIncomingFollowRequests = async (req, res, next) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor, { dated: true });
+        const target = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+        const match = { target, status: FOLLOW_REQUEST_STATUS.PENDING };
+
+        const requests = await FollowRequest.aggregate([
+            { $match: { ...match, ...afterDateCursor(cursor) } },
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $limit: limit + 1 },
+            { $lookup: { from: 'users', localField: 'requester', foreignField: '_id', as: 'requester' } },
+            { $unwind: '$requester' },
+            {
+                $project: {
+                    _id: 1,
+                    createdAt: 1,
+                    requester: {
+                        _id: '$requester._id',
+                        username: '$requester.username',
+                        followersCount: '$requester.followersCount',
+                        followingsCount: '$requester.followingsCount'
+                    }
+                }
+            }
+        ]);
+
+        const total = await FollowRequest.countDocuments(match);
+
+        const hasMore = requests.length > limit;
+        const page = requests.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor({ id: last._id, date: last.createdAt }) : null;
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.FOLLOW_REQUESTS, page, { nextCursor, total }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function approves a pending follow request sent to the authenticated user.
+ * It marks the request approved and creates the follow edge, its follow event and its audit entry,
+ * all dated at the approval, in a single transaction, and sends a success response.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const approveFollowRequest = async (req, res, next) => {
+    try {
+        const { request, followed } = await runInTransaction(async (session, onRollback) => {
+            const approved = await closeRequest(
+                req.params.requestId, { target: req.user.id }, FOLLOW_REQUEST_STATUS.APPROVED, session
+            );
+            onRollback(() => FollowRequest.updateOne(
+                { _id: approved._id }, { status: FOLLOW_REQUEST_STATUS.PENDING, $unset: { respondedAt: 1 } }
+            ));
+
+            const edge = {
+                follower: approved.requester,
+                followee: approved.target,
+                createdAt: approved.respondedAt
+            };
+
+            // A write error would abort the transaction, so check instead of relying on the unique index.
+            const alreadyFollowing = await Follow.exists(
+                { follower: edge.follower, followee: edge.followee }, { session }
+            );
+
+            if (alreadyFollowing) {
+                return { request: approved, followed: false };
+            }
+
+            await Follow.create([edge], { session });
+            onRollback(() => Follow.deleteOne({ follower: edge.follower, followee: edge.followee }));
+            await adjustFollowCounts([edge], 1, session, onRollback);
+            await recordFollowEvents(FOLLOW_EVENT_TYPES.FOLLOW, [edge], session, onRollback);
+            await recordEdgeAudits(AUDIT_ACTIONS.FOLLOW, [edge], { viaRequest: true }, session, onRollback);
+
+            return { request: approved, followed: true };
+        });
+
+        const { requester, target, respondedAt: date } = request;
+        eventBus.emit(EVENTS.FOLLOW_REQUEST_APPROVED, { requester, target, date });
+        if (followed) {
+            eventBus.emit(EVENTS.FOLLOWED, { follower: requester, followee: target, date, viaRequest: true });
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.REQUEST_APPROVED, request));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function rejects a pending follow request sent to the authenticated user
+ * and sends a success response.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const rejectFollowRequest = async (req, res, next) => {
+    try {
+        const request = await closeRequest(
+            req.params.requestId, { target: req.user.id }, FOLLOW_REQUEST_STATUS.REJECTED
+        );
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.REQUEST_REJECTED, request));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function cancels a pending follow request sent by the authenticated user
+ * and sends a success response.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const cancelFollowRequest = async (req, res, next) => {
+    try {
+        const request = await closeRequest(
+            req.params.requestId, { requester: req.user.id }, FOLLOW_REQUEST_STATUS.CANCELLED
+        );
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.REQUEST_CANCELLED, request));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,141 @@
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import Follow from '../models/Follow.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { ForbiddenError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { assertSelfOrAdmin, getActingUserId, ROLES } from '../utils/auth.js';
+import { follow, unfollow } from '../utils/followActions.js';
+import { FOLLOW_STATUS, importEdges, parseEdges, serializeEdges, summarize } from '../utils/followGraph.js';
+import { CACHE_TAGS, invalidateCache } from '../utils/responseCache.js';
+
+export const MAX_BULK_ITEMS = 1000;
+
+// Status of a bulk item for each error a follow or unfollow may fail with.
+const STATUS_BY_MESSAGE = {
+    [UserResponseMessages.ERROR_UPDATE_FOLLOWING]: FOLLOW_STATUS.ALREADY_FOLLOWING,
+    [UserResponseMessages.ERROR_REQUEST_EXISTS]: FOLLOW_STATUS.ALREADY_REQUESTED,
+    [UserResponseMessages.ERROR_UPDATE_UNFOLLOWING]: FOLLOW_STATUS.NOT_FOLLOWING,
+    [UserResponseMessages.NOT_FOUND]: FOLLOW_STATUS.NOT_FOUND,
+    [UserResponseMessages.ERROR_BLOCKED_FOLLOW]: FOLLOW_STATUS.BLOCKED,
+    [UserResponseMessages.ERROR_IDS_SAME]: FOLLOW_STATUS.SAME_USER,
+};
+
+/**
+ * This function runs `action` for every id, one after the other, and collects the status of each.
+ * A failing item does not stop the others; unexpected errors are logged and reported as `error`.
+ */
+const runBulk = async (ids, action) => {
+    const results = [];
+
+    for (const id of ids) {
+        if (typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+            results.push({ id, status: FOLLOW_STATUS.INVALID_ID });
+            continue;
+        }
+
+        try {
+            results.push({ id, status: await action(id) });
+        } catch (err) {
+            const status = STATUS_BY_MESSAGE[err.message];
+            if (!status) console.error(`Bulk item ${id} failed:`, err);
+            results.push({ id, status: status || FOLLOW_STATUS.ERROR });
+        }
+    }
+
+    return { results, summary: summarize(results) };
+};
+
+/**
+ * This function makes the acting user follow every user in `followIds`, with the same rules as
+ * `followUser`, and sends the status of each: ok, requested (private account), already-following,
+ * already-requested, not-found, blocked, same-user or invalid-id.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const bulkFollow = async (req, res, next) => {
+    try {
+        const userId = getActingUserId(req);
+
+        const outcome = await runBulk(req.body.followIds, async (followId) =>
+            (await follow(userId, followId) ? FOLLOW_STATUS.REQUESTED : FOLLOW_STATUS.OK));
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.BULK_FOLLOW, outcome));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function makes the acting user unfollow every user in `unfollowIds`, with the same rules as
+ * `unfollowUser`, and sends the status of each: ok, not-following, same-user or invalid-id.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const bulkUnfollow = async (req, res, next) => {
+    try {
+        const userId = getActingUserId(req);
+
+        const outcome = await runBulk(req.body.unfollowIds, async (unfollowId) => {
+            await unfollow(userId, unfollowId);
+            return FOLLOW_STATUS.OK;
+        });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.BULK_UNFOLLOW, outcome));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function streams follow edges as CSV or NDJSON (the default), oldest first.
+ * With `userId` it exports the edges of that user in both directions, which the user themselves
+ * or an admin may do; without it, the whole graph, which only admins may do.
+ * If an error occurs before streaming starts, it forwards the error to the error handling
+ * middleware; later errors abort the response.
+ */
+export const exportGraph = async (req, res, next) => {
+    try {
+        const { userId } = req.query;
+        const format = req.query.format || 'ndjson';
+
+        if (userId) {
+            assertSelfOrAdmin(req, userId);
+        } else if (req.user.role !== ROLES.ADMIN) {
+            throw new ForbiddenError(UserResponseMessages.ERROR_FORBIDDEN);
+        }
+
+        const filter = userId ? { $or: [{ follower: userId }, { followee: userId }] } : {};
+        const edges = Follow.find(filter, 'follower followee createdAt').sort({ _id: 1 }).lean().cursor();
+
+        res.attachment(`follows${userId ? `-${userId}` : ''}.${format}`);
+        res.status(200).type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+        await pipeline(Readable.from(serializeEdges(edges, format)), res);
+    } catch (err) {
+        if (!res.headersSent) return next(err);
+        console.error('Follow graph export failed:', err);
+    }
+};
+
+/**
+ * This function imports follow edges streamed in the request body as CSV or NDJSON (`format`),
+ * in the shape produced by `exportGraph`. With `dryRun=true` nothing is written.
+ * It sends a report that counts the rows by status and lists the skipped ones.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const importGraph = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'ndjson';
+        const dryRun = req.query.dryRun === 'true';
+
+        const report = await importEdges(parseEdges(req, format), { dryRun });
+
+        // Imported edges bypass the follow events, so no cached response can be trusted anymore.
+        if (!dryRun) await invalidateCache([CACHE_TAGS.all]);
+
+        const message = dryRun ? UserResponseMessages.GRAPH_IMPORT_CHECKED : UserResponseMessages.GRAPH_IMPORTED;
+        res.status(200).json(getSuccessResponse(200, message, report));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const CONNECTED = 1;
+
+const mongoState = () => mongoose.STATES[mongoose.connection.readyState];
+
+/**
+ * This function reports that the process is up, with the state of the MongoDB connection.
+ * It always answers 200, so orchestrators do not restart the server while MongoDB is down.
+ */
+export const getHealth = (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: Math.floor(process.uptime()), mongo: mongoState() });
+};
+
+/**
+ * This function reports whether the server can take traffic: MongoDB is connected and the
+ * server is not shutting down. It answers 503 otherwise, so load balancers stop routing to it.
+ */
+export const getReadiness = (req, res) => {
+    const shuttingDown = Boolean(req.app.locals.shuttingDown);
+    const ready = mongoose.connection.readyState === CONNECTED && !shuttingDown;
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', mongo: mongoState(), shuttingDown });
+};
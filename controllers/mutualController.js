@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+import { getBlockedUserIds } from '../utils/relationships.js';
+
+export const MUTUAL_RELATIONS = ['followers', 'followings', 'mutuals'];
+export const MAX_MUTUAL_IDS = 10;
+
+/**
+ * This function reads the `ids` query parameter, given either comma-separated or repeated,
+ * and validates that it holds between 2 and MAX_MUTUAL_IDS distinct user ids.
+ */
+export const parseUserIds = (ids) => {
+    const list = (Array.isArray(ids) ? ids : String(ids || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+
+    if (list.some(id => !mongoose.isValidObjectId(id))) {
+        throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+    }
+
+    // Hex ids may come in either case, so duplicates are found on the ObjectIds.
+    const userIds = list.map(id => new mongoose.Types.ObjectId(id));
+    if (new Set(userIds.map(id => id.toString())).size !== userIds.length) {
+        throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+    }
+
+    if (userIds.length < 2 || userIds.length > MAX_MUTUAL_IDS) {
+        throw new ValidationError(UserResponseMessages.ERROR_MUTUAL_IDS);
+    }
+
+    return userIds;
+};
+
+/**
+ * This function returns the aggregation stages that turn follow edges into one document
+ * per user related to every one of `ids`, with that user's id as `_id`.
+ * - followers: users who follow all of `ids`
+ * - followings: users followed by all of `ids`
+ * - mutuals: users who follow and are followed by all of `ids`
+ */
+const relationStages = (ids, relation) => {
+    if (relation === 'followers') {
+        return [
+            { $match: { followee: { $in: ids } } },
+            { $group: { _id: '$follower', count: { $sum: 1 } } },
+            { $match: { count: ids.length } }
+        ];
+    }
+
+    if (relation === 'followings') {
+        return [
+            { $match: { follower: { $in: ids } } },
+            { $group: { _id: '$followee', count: { $sum: 1 } } },
+            { $match: { count: ids.length } }
+        ];
+    }
+
+    // An edge between a given user and someone else is seen from the given user's side;
+    // an edge between two given users is seen from both sides.
+    return [
+        { $match: { $or: [{ follower: { $in: ids } }, { followee: { $in: ids } }] } },
+        {
+            $project: {
+                sides: {
+                    $concatArrays: [
+                        { $cond: [{ $in: ['$follower', ids] }, [{ anchor: '$follower', other: '$followee', out: 1, in: 0 }], []] },
+                        { $cond: [{ $in: ['$followee', ids] }, [{ anchor: '$followee', other: '$follower', out: 0, in: 1 }], []] }
+                    ]
+                }
+            }
+        },
+        { $unwind: '$sides' },
+        {
+            $group: {
+                _id: { anchor: '$sides.anchor', other: '$sides.other' },
+                out: { $max: '$sides.out' },
+                in: { $max: '$sides.in' }
+            }
+        },
+        { $match: { out: 1, in: 1 } },
+        { $group: { _id: '$_id.other', count: { $sum: 1 } } },
+        { $match: { count: ids.length } }
+    ];
+};
+
+/**
+ * This function computes in the database the users that have `relation` with every one of `ids`.
+ * Results are ordered by user id and paginated with `limit`/`cursor`; `excludeIds` are left out.
+ * It returns the page, the cursor of the next page and the total size of the intersection.
+ */
+export const intersectRelations = async (ids, relation, { limit, cursor, excludeIds = [] }) => {
+    const [result] = await Follow.aggregate([
+        ...relationStages(ids, relation),
+        { $match: { _id: { $nin: excludeIds } } },
+        {
+            $facet: {
+                items: [
+                    ...(cursor ? [{ $match: { _id: { $gt: cursor.id } } }] : []),
+                    { $sort: { _id: 1 } },
+                    { $limit: limit + 1 },
+                    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+                    { $unwind: '$user' },
+                    {
+                        $project: {
+                            _id: 1,
+                            username: '$user.username',
+                            followersCount: '$user.followersCount',
+                            followingsCount: '$user.followingsCount'
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const items = result?.items || [];
+    const hasMore = items.length > limit;
+    const page = items.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor({ id: page[page.length - 1]._id }) : null;
+    const total = result?.total?.[0]?.count || 0;
+
+    return { items: page, nextCursor, total };
+};
+
+/**
+ * This function retrieves the users that share a relation with every user in a list.
+ * It validates the `ids` (2 to 10 user ids) and `relation` (followers, followings or mutuals)
+ * query parameters, checks that all users exist, computes the intersection in the database
+ * leaving out users the caller has blocked or been blocked by, and sends one page of it
+ * with the cursor of the next page and the total count.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getMutualRelations = async (req, res, next) => {
+    try {
+        const ids = parseUserIds(req.query.ids);
+        const relation = req.query.relation || 'followers';
+
+        if (!MUTUAL_RELATIONS.includes(relation)) {
+            throw new ValidationError(UserResponseMessages.ERROR_RELATION);
+        }
+
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor);
+
+        const existing = await User.countDocuments({ _id: { $in: ids } });
+        if (existing !== ids.length) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        const excludeIds = await getBlockedUserIds(req.user.id);
+        const { items, nextCursor, total } = await intersectRelations(ids, relation, { limit, cursor, excludeIds });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.MUTUAL_RELATIONS, items, { nextCursor, total }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function checks the follow relation between two users in both directions.
+ * It checks that the ids differ and both users exist, and sends whether the first user follows
+ * the second, whether the second follows back, and whether they follow each other.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getFollowsBack = async (req, res, next) => {
+    try {
+        const userId = new mongoose.Types.ObjectId(req.params.userId);
+        const otherId = new mongoose.Types.ObjectId(req.params.otherId);
+
+        if (userId.equals(otherId)) {
+            throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+        }
+
+        const existing = await User.countDocuments({ _id: { $in: [userId, otherId] } });
+        if (existing !== 2) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        const edges = await Follow.find({
+            $or: [
+                { follower: userId, followee: otherId },
+                { follower: otherId, followee: userId }
+            ]
+        }, 'follower');
+
+        const follows = edges.some(edge => userId.equals(edge.follower));
+        const followsBack = edges.some(edge => otherId.equals(edge.follower));
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.FOLLOWS_BACK, {
+            follows,
+            followsBack,
+            mutual: follows && followsBack
+        }));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { afterDateCursor, decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+import { addClient, writeEvent } from '../utils/notificationHub.js';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+/**
+ * This function lists the authenticated user's notifications, newest first.
+ * It uses cursor-based pagination, returns only unread notifications when `unread=true`,
+ * joins the actor's username, and sends the page with the number of unread notifications.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getNotifications = async (req, res, next) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor, { dated: true });
+        const recipient = mongoose.Types.ObjectId.createFromHexString(req.user.id);
+        const match = { recipient, ...(req.query.unread === 'true' ? { readAt: null } : {}) };
+
+        const notifications = await Notification.aggregate([
+            { $match: { ...match, ...afterDateCursor(cursor) } },
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $limit: limit + 1 },
+            { $lookup: { from: 'users', localField: 'actor', foreignField: '_id', as: 'actor' } },
+            { $unwind: '$actor' },
+            {
+                $project: {
+                    type: 1,
+                    createdAt: 1,
+                    read: { $ne: ['$readAt', null] },
+                    readAt: 1,
+                    actor: { _id: '$actor._id', username: '$actor.username' }
+                }
+            }
+        ]);
+
+        const total = await Notification.countDocuments(match);
+        const unreadCount = await Notification.countDocuments({ recipient, readAt: null });
+
+        const hasMore = notifications.length > limit;
+        const page = notifications.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor({ id: last._id, date: last.createdAt }) : null;
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.NOTIFICATIONS, page, { nextCursor, total, unreadCount }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function marks one of the authenticated user's notifications as read.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const markNotificationRead = async (req, res, next) => {
+    try {
+        const { notificationId } = req.params;
+
+        if (!mongoose.isValidObjectId(notificationId)) {
+            throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, recipient: req.user.id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+            { new: true }
+        );
+
+        if (!notification) {
+            throw new NotFoundError(UserResponseMessages.ERROR_NOTIFICATION_NOT_FOUND);
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.NOTIFICATION_READ, notification));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function marks all of the authenticated user's unread notifications as read.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user.id, readAt: null },
+            { readAt: new Date() }
+        );
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.NOTIFICATIONS_READ, { updated: result.modifiedCount }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function opens a Server-Sent Events stream that delivers the authenticated user's
+ * new notifications as `notification` events while the connection stays open.
+ * A comment line is sent periodically to keep proxies from closing idle connections.
+ */
+export const streamNotifications = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write('retry: 5000\n\n');
+    writeEvent(res, 'ready', { userId: req.user.id });
+
+    const removeClient = addClient(req.user.id, res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    // The response closes when the client goes away or the server ends the stream.
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        removeClient();
+    });
+};
@@ -0,0 +1,177 @@
+import User, { USERNAME_COLLATION } from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import Notification from '../models/Notification.js';
+import { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { assertSelfOrAdmin, forgetAccount, ROLES } from '../utils/auth.js';
+import { deleteRestorably, reinsert, runInTransaction } from '../utils/transaction.js';
+import { recordFollowEvents } from '../utils/followEvents.js';
+import { adjustFollowCounts } from '../utils/followCounters.js';
+import { isBlockedBetween } from '../utils/relationships.js';
+import { searchFieldsFor } from '../utils/search.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { VALIDATION_CODES, isSameId } from '../utils/validation.js';
+import { recordAudit, recordEdgeAudits } from '../utils/audit.js';
+
+// Profile fields users may change on their own profile; `verified` is reserved for admins.
+const PROFILE_FIELDS = ['username', 'displayName', 'bio', 'avatarUrl'];
+// Fields that are cleared when sent as null or an empty string.
+const CLEARABLE_FIELDS = ['displayName', 'bio', 'avatarUrl'];
+
+/**
+ * This function retrieves a user's profile, including their stored follower and following counts.
+ * Users who have blocked each other see each other as not found.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getProfile = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await User.findById(userId);
+        if (!user || (!isSameId(req.user.id, userId) && await isBlockedBetween(req.user.id, userId))) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.PROFILE, user));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function updates a user's profile. Only the user themselves or an admin may,
+ * and only an admin may change `verified`.
+ * A new username is checked for uniqueness ignoring case; display name, bio and avatar URL
+ * are cleared when sent as null or an empty string. Renames refresh the user's search fields.
+ * The update and its audit entry are written in a single transaction.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const updateProfile = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        assertSelfOrAdmin(req, userId);
+
+        const fields = req.user.role === ROLES.ADMIN ? [...PROFILE_FIELDS, 'verified'] : PROFILE_FIELDS;
+        if (req.body.verified !== undefined && !fields.includes('verified')) {
+            throw new ForbiddenError(UserResponseMessages.ERROR_FORBIDDEN);
+        }
+
+        const changes = Object.fromEntries(fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+        if (!Object.keys(changes).length) {
+            throw new ValidationError(UserResponseMessages.ERROR_PROFILE_EMPTY);
+        }
+
+        const $set = {};
+        const $unset = {};
+        for (const [field, value] of Object.entries(changes)) {
+            if (CLEARABLE_FIELDS.includes(field) && (value === null || value === '')) {
+                $unset[field] = 1;
+            } else {
+                $set[field] = value;
+            }
+        }
+        const update = { ...(Object.keys($set).length && { $set }), ...(Object.keys($unset).length && { $unset }) };
+
+        if (changes.username !== undefined) {
+            const taken = await User.findOne(
+                { username: changes.username, _id: { $ne: userId } }, '_id', { collation: USERNAME_COLLATION }
+            );
+            if (taken) {
+                throw new ConflictError(UserResponseMessages.ERROR_EXIST_USER, {
+                    errors: [{ path: 'body.username', code: VALIDATION_CODES.TAKEN, message: UserResponseMessages.ERROR_EXIST_USER }]
+                });
+            }
+        }
+
+        // The search fields are built from both names, so changing one needs the other.
+        if ('username' in changes || 'displayName' in changes) {
+            const current = 'username' in changes && 'displayName' in changes
+                ? {}
+                : await User.findById(userId, 'username displayName');
+            if (!current) {
+                throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+            }
+            update.$set = {
+                ...update.$set,
+                ...searchFieldsFor({ username: current.username, displayName: current.displayName, ...changes })
+            };
+        }
+
+        const user = await runInTransaction(async (session, onRollback) => {
+            // The entry is written first, so only it needs undoing if the update fails.
+            await recordAudit({ action: AUDIT_ACTIONS.PROFILE_UPDATE, user: userId, details: { changes } }, session, onRollback);
+
+            const updated = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true, session });
+            if (!updated) {
+                throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+            }
+            return updated;
+        });
+
+        eventBus.emit(EVENTS.USER_UPDATED, { user, changes });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.PROFILE_UPDATED, user));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function deletes a user. Only the user themselves or an admin may.
+ * In a single transaction it removes the user, their follow edges in both directions
+ * (logging unfollow events so the other users' follower history stays consistent),
+ * their follow requests, blocks, mutes and notifications, and audits the deletion and the unfollows.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const deleteUser = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        assertSelfOrAdmin(req, userId);
+
+        const removedEdges = await runInTransaction(async (session, onRollback) => {
+            const user = await User.findByIdAndDelete(userId, { session });
+            if (!user) {
+                throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+            }
+            onRollback(() => reinsert(User, [user]));
+
+            const edgesFilter = { $or: [{ follower: userId }, { followee: userId }] };
+            const edges = await Follow.find(edgesFilter, 'follower followee createdAt', { session });
+
+            await Follow.deleteMany(edgesFilter, { session });
+            onRollback(() => reinsert(Follow, edges));
+            await adjustFollowCounts(edges, -1, session, onRollback);
+            await recordFollowEvents(FOLLOW_EVENT_TYPES.UNFOLLOW, edges, session, onRollback);
+
+            await deleteRestorably(FollowRequest, { $or: [{ requester: userId }, { target: userId }] }, session, onRollback);
+            await deleteRestorably(Block, { $or: [{ blocker: userId }, { blocked: userId }] }, session, onRollback);
+            await deleteRestorably(Mute, { $or: [{ muter: userId }, { muted: userId }] }, session, onRollback);
+            await deleteRestorably(Notification, { $or: [{ recipient: userId }, { actor: userId }] }, session, onRollback);
+
+            await recordEdgeAudits(AUDIT_ACTIONS.UNFOLLOW, edges, undefined, session, onRollback);
+            await recordAudit({ action: AUDIT_ACTIONS.USER_DELETE, user: userId }, session, onRollback);
+
+            return edges;
+        });
+
+        forgetAccount(userId);
+
+        const date = new Date();
+        for (const { follower, followee } of removedEdges) {
+            eventBus.emit(EVENTS.UNFOLLOWED, { follower, followee, date });
+        }
+        eventBus.emit(EVENTS.USER_DELETED, { userId, date });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.USER_DELETED));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,34 @@
+import RateLimitRejection from '../models/RateLimitRejection.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { afterDateCursor, decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+
+/**
+ * This function lists the requests refused by rate limits, newest first, for admins to review.
+ * `userId` narrows the list to one user. Rejections are kept for 30 days.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getRateLimitRejections = async (req, res, next) => {
+    try {
+        const { userId } = req.query;
+        const limit = parseLimit(req.query.limit);
+        const cursor = decodeCursor(req.query.cursor, { dated: true });
+
+        const rejections = await RateLimitRejection.find({
+            ...(userId && { user: userId }),
+            ...afterDateCursor(cursor)
+        })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = rejections.length > limit;
+        const page = hasMore ? rejections.slice(0, limit) : rejections;
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? encodeCursor({ id: last._id, date: last.createdAt }) : null;
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.RATE_LIMIT_REJECTIONS, page, { nextCursor }));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { decodeOffsetCursor, encodeOffsetCursor, parseLimit } from '../utils/pagination.js';
+import { getBlockedUserIds, getRelationshipFlags } from '../utils/relationships.js';
+import { escapeRegex, FUZZY_MIN_SIMILARITY, normalizeSearchText, trigramsOf } from '../utils/search.js';
+
+// Ranking bonuses on top of the fuzzy similarity (0 to 1): a name equal to the query
+// beats a name starting with it, which beats a name that only looks alike.
+const EXACT_BONUS = 2;
+const PREFIX_BONUS = 1;
+
+/**
+ * This function searches users by username and display name, ignoring case and accents.
+ * A user matches when one of their names, or a word of it, starts with the query, or when
+ * their names share enough trigrams with the query to catch typos (e.g. `alli` finds `ali_k`).
+ * Results are ranked by exact, prefix and fuzzy match, then by follower count, and paginated
+ * with an opaque cursor.
+ * When the caller is authenticated, users either side has blocked are left out and each result
+ * carries the caller's relationship to it (see `getRelationshipFlags` in utils/relationships.js).
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const searchUsers = async (req, res, next) => {
+    try {
+        const query = normalizeSearchText(req.query.q);
+        if (!query) {
+            throw new ValidationError(UserResponseMessages.ERROR_SEARCH_QUERY);
+        }
+
+        const limit = parseLimit(req.query.limit);
+        const offset = decodeOffsetCursor(req.query.cursor);
+        const viewer = req.user ? mongoose.Types.ObjectId.createFromHexString(req.user.id) : null;
+        const blockedIds = viewer ? await getBlockedUserIds(viewer) : [];
+
+        const prefix = new RegExp(`^${escapeRegex(query)}`);
+        const trigrams = trigramsOf(query);
+
+        // Both clauses of `$or` are served by the searchKeys and searchTrigrams indexes.
+        const users = await User.aggregate([
+            {
+                $match: {
+                    _id: { $nin: blockedIds },
+                    $or: [{ searchKeys: prefix }, ...(trigrams.length ? [{ searchTrigrams: { $in: trigrams } }] : [])]
+                }
+            },
+            {
+                $addFields: {
+                    exactMatch: { $in: [query, { $ifNull: ['$searchKeys', []] }] },
+                    prefixMatch: {
+                        $anyElementTrue: [{
+                            $map: { input: { $ifNull: ['$searchKeys', []] }, in: { $regexMatch: { input: '$$this', regex: prefix } } }
+                        }]
+                    },
+                    similarity: trigrams.length
+                        ? { $divide: [{ $size: { $setIntersection: [{ $ifNull: ['$searchTrigrams', []] }, trigrams] } }, trigrams.length] }
+                        : 0
+                }
+            },
+            { $match: { $or: [{ prefixMatch: true }, { similarity: { $gte: FUZZY_MIN_SIMILARITY } }] } },
+            {
+                $addFields: {
+                    score: {
+                        $add: [
+                            { $cond: ['$exactMatch', EXACT_BONUS, 0] },
+                            { $cond: ['$prefixMatch', PREFIX_BONUS, 0] },
+                            '$similarity'
+                        ]
+                    }
+                }
+            },
+            { $sort: { score: -1, followersCount: -1, _id: 1 } },
+            { $skip: offset },
+            { $limit: limit + 1 },
+            {
+                $project: {
+                    username: 1,
+                    displayName: 1,
+                    avatarUrl: 1,
+                    verified: 1,
+                    followersCount: 1,
+                    followingsCount: 1
+                }
+            }
+        ]);
+
+        const hasMore = users.length > limit;
+        const page = hasMore ? users.slice(0, limit) : users;
+        const nextCursor = hasMore ? encodeOffsetCursor(offset + limit) : null;
+
+        if (viewer) {
+            const flags = await getRelationshipFlags(viewer, page.map(user => user._id), blockedIds);
+            for (const user of page) Object.assign(user, flags.get(user._id.toString()));
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.SEARCH_RESULTS, page, { nextCursor }));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import Follow from '../models/Follow.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { t } from '../utils/i18n.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { assertSelfOrAdmin } from '../utils/auth.js';
+import { parseLimit } from '../utils/pagination.js';
+import { getBlockedUserIds } from '../utils/relationships.js';
+
+// Weights of the suggestion score. Each mutual connection counts the most; follower count
+// is damped with log10 so popular accounts do not drown out close connections.
+const MUTUAL_WEIGHT = 1;
+const POPULARITY_WEIGHT = 0.5;
+const RECENCY_WEIGHT = 0.5;
+// A follow by someone you follow loses half of its recency bonus every RECENCY_HALF_LIFE_DAYS.
+const RECENCY_HALF_LIFE_DAYS = 14;
+const SAMPLE_SIZE = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * This function builds the human-readable explanation of a suggestion in the request's language.
+ */
+const explainSuggestion = ({ mutualCount }) => t('SUGGESTION_REASON', { count: mutualCount });
+
+/**
+ * This function suggests users for a user to follow, ranked by friends-of-friends overlap.
+ * Candidates are the users followed by the people the user follows, leaving out the user,
+ * the users they already follow and users either side has blocked.
+ * Each candidate is scored by how many of the user's followings follow them, their follower
+ * count and how recently they were followed, and comes with sample usernames of the
+ * followings that follow them.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getSuggestions = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        assertSelfOrAdmin(req, userId);
+
+        const limit = parseLimit(req.query.limit);
+        const me = mongoose.Types.ObjectId.createFromHexString(userId);
+
+        const followings = await Follow.find({ follower: me }, 'followee');
+        const followingIds = followings.map(f => f.followee);
+        const blockedIds = await getBlockedUserIds(me);
+
+        const suggestions = await Follow.aggregate([
+            { $match: { follower: { $in: followingIds }, followee: { $nin: [me, ...followingIds, ...blockedIds] } } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$followee',
+                    mutualCount: { $sum: 1 },
+                    followedBy: { $push: '$follower' },
+                    lastFollowedAt: { $max: '$createdAt' }
+                }
+            },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: '$user' },
+            {
+                $addFields: {
+                    followersCount: { $ifNull: ['$user.followersCount', 0] },
+                    ageDays: { $divide: [{ $subtract: [new Date(), '$lastFollowedAt'] }, DAY_MS] }
+                }
+            },
+            {
+                $addFields: {
+                    score: {
+                        $add: [
+                            { $multiply: ['$mutualCount', MUTUAL_WEIGHT] },
+                            { $multiply: [{ $log10: { $add: ['$followersCount', 1] } }, POPULARITY_WEIGHT] },
+                            { $multiply: [{ $pow: [0.5, { $divide: ['$ageDays', RECENCY_HALF_LIFE_DAYS] }] }, RECENCY_WEIGHT] }
+                        ]
+                    }
+                }
+            },
+            { $sort: { score: -1, _id: 1 } },
+            { $limit: limit },
+            {
+                $lookup: {
+                    from: 'users',
+                    let: { sampleIds: { $slice: ['$followedBy', SAMPLE_SIZE] } },
+                    pipeline: [
+                        { $match: { $expr: { $in: ['$_id', '$$sampleIds'] } } },
+                        { $project: { _id: 0, username: 1 } }
+                    ],
+                    as: 'sample'
+                }
+            },
+            {
+                $project: {
+                    _id: '$user._id',
+                    username: '$user.username',
+                    score: { $round: ['$score', 3] },
+                    mutualCount: 1,
+                    followersCount: 1,
+                    followingsCount: '$user.followingsCount',
+                    lastFollowedAt: 1,
+                    sampleUsernames: '$sample.username'
+                }
+            }
+        ]);
+
+        const explained = suggestions.map(suggestion => ({
+            ...suggestion,
+            reason: explainSuggestion(suggestion)
+        }));
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.SUGGESTIONS, explained));
+    } catch (err) {
+        next(err);
+    }
+};
@@ -1,24 +1,41 @@
-import User from '../models/User.js';
+import User, { USERNAME_COLLATION } from '../models/User.js';
+import Follow from '../models/Follow.js';
 import mongoose from 'mongoose';
 import { UserResponseMessages } from '../utils/constants.js';
+import { ConflictError, NotFoundError, UnauthorizedError, ValidationError } from '../utils/errors.js';
 import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { getActingUserId, hashPassword, rememberAccount, signToken, verifyPassword } from '../utils/auth.js';
+import { afterDateCursor, decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+import { repairFollowEdges } from '../utils/followConsistency.js';
+import { followersByUserStages, getBlockedUserIds } from '../utils/relationships.js';
+import { recountFollowCounts } from '../utils/followCounters.js';
+import { follow, undoUnfollow, unfollow } from '../utils/followActions.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { VALIDATION_CODES } from '../utils/validation.js';
+import { searchFieldsFor } from '../utils/search.js';
+import { CACHE_TAGS, cacheId, invalidateCache, sendCached } from '../utils/responseCache.js';
 
 /**
  * This function handles the creation of a new user.
- * It extracts the username from the request body, validates its length,
- * creates a new user in the database, and sends a success response with the user's details.
+ * The username and password are validated by the route; it checks that the username is not taken,
+ * ignoring case, creates a new user with the hashed password in the database,
+ * and sends a success response with the user's details.
  * If an error occurs, it forwards the error to the error handling middleware.
  */
 export const createUser = async (req, res, next) => {
     try {
-        const { username } = req.body;
+        const { username, password } = req.body;
 
-        if (username.length < 3)  throw new Error(UserResponseMessages.ERROR_USER_NAME);
+        const existUser = await User.findOne({ username }, '_id', { collation: USERNAME_COLLATION });
+        if (existUser) {
+            throw new ConflictError(UserResponseMessages.ERROR_EXIST_USER, {
+                errors: [{ path: 'body.username', code: VALIDATION_CODES.TAKEN, message: UserResponseMessages.ERROR_EXIST_USER }]
+            });
+        }
 
-        const existUser=await User.findOne({username})
-        if(existUser) throw new Error(UserResponseMessages.ERROR_EXIST_USER);
+        const user = await User.create({ username, password: await hashPassword(password), ...searchFieldsFor({ username }) });
 
-        const user = await User.create({ username });
+        eventBus.emit(EVENTS.USER_CREATED, { user });
 
         res.status(201).json(getSuccessResponse(201, UserResponseMessages.CREATED, user));
     } catch (err) {
@@ -27,147 +44,192 @@ export const createUser = async (req, res, next) => {
 };
 
 /**
- * This function retrieves details of all users.
- * It performs an aggregation on the User collection to join follower and following details
- * and then projects the required fields. The aggregated data is sent back in a success response.
- * If an error occurs, it forwards the error to the error handling middleware.
+ * This function logs a user in.
+ * It looks the user up by username, verifies the password against the stored hash,
+ * and sends a success response with a signed access token.
+ * If the credentials do not match, it forwards an UnauthorizedError to the error handling middleware.
  */
-export const getAllUsers = async (req, res, next) => {
+export const loginUser = async (req, res, next) => {
     try {
-        const users = await User.aggregate([
-            {
-                $lookup: {
-                    from: 'users',
-                    let: { followerIds: '$followers.followId' },
-                    pipeline: [
-                        { $match: { $expr: { $in: ['$_id', '$$followerIds'] } } },
-                        { $project: { _id: 1, username: 1 } }
-                    ],
-                    as: 'followersDetails'
-                }
-            },
-            {
-                $lookup: {
-                    from: 'users',
-                    let: { followingIds: '$followings.followingId' },
-                    pipeline: [
-                        { $match: { $expr: { $in: ['$_id', '$$followingIds'] } } },
-                        { $project: { _id: 1, username: 1 } }
-                    ],
-                    as: 'followingsDetails'
-                }
-            },
-            {
-                $project: {
-                    _id: 1,
-                    username: 1,
-                    followersDetails: 1,
-                    followingsDetails: 1
-                }
-            }
-        ]);
+        const { username, password } = req.body;
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new UnauthorizedError(UserResponseMessages.ERROR_LOGIN);
+        }
+
+        const user = await User.findOne({ username }, null, { collation: USERNAME_COLLATION }).select('+password');
 
-        res.status(200).json(getSuccessResponse(200, UserResponseMessages.ALL_USER, users));
+        if (!user || !(await verifyPassword(password, user.password))) {
+            throw new UnauthorizedError(UserResponseMessages.ERROR_LOGIN);
+        }
+
+        const token = signToken(user);
+        rememberAccount(user._id, { role: user.role });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.LOGGED_IN, {
+            token,
+            user: { _id: user._id, username: user.username, role: user.role }
+        }));
     } catch (err) {
         next(err);
     }
 };
 
 /**
- * This function handles the following of a user by another user.
- * It validates the userId and followId, ensures they are not the same,
- * updates the followings of the user initiating the follow, 
- * updates the followers of the user being followed, 
- * and sends a success response. 
- * If any error occurs, it forwards the error to the error handling middleware.
+ * This function runs the aggregation of `getAllUsers` (below) for `viewerId`.
+ * It returns the users with the pagination and the cache tags of the response: the list itself,
+ * the viewer's blocks and every user listed, including those in the details, since a follow,
+ * unfollow or profile change of any of them changes the response.
  */
-export const followUser = async (req, res, next) => {
-    try {
-        const { userId, followId } = req.body;
+const listAllUsers = async (viewerId, { paginate, limit, cursor }) => {
+    const pageStages = [];
 
-        if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(followId)) {
-            throw new Error(UserResponseMessages.ERROR_VALID_ID);
-        }
+    if (paginate) {
+        if (cursor) pageStages.push({ $match: { _id: { $gt: cursor.id } } });
+        pageStages.push({ $sort: { _id: 1 } }, { $limit: limit + 1 });
+    }
 
-        if (userId === followId) {
-            throw new Error(UserResponseMessages.ERROR_IDS_SAME);
+    const blockedIds = await getBlockedUserIds(viewerId);
+
+    const users = await User.aggregate([
+        ...pageStages,
+        {
+            $lookup: {
+                from: 'follows',
+                let: { userId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$followee', '$$userId'] }, follower: { $nin: blockedIds } } },
+                    { $lookup: { from: 'users', localField: 'follower', foreignField: '_id', as: 'user' } },
+                    { $unwind: '$user' },
+                    { $project: { _id: '$user._id', username: '$user.username' } }
+                ],
+                as: 'followersDetails'
+            }
+        },
+        {
+            $lookup: {
+                from: 'follows',
+                let: { userId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$follower', '$$userId'] }, followee: { $nin: blockedIds } } },
+                    { $lookup: { from: 'users', localField: 'followee', foreignField: '_id', as: 'user' } },
+                    { $unwind: '$user' },
+                    { $project: { _id: '$user._id', username: '$user.username' } }
+                ],
+                as: 'followingsDetails'
+            }
+        },
+        {
+            $project: {
+                _id: 1,
+                username: 1,
+                displayName: 1,
+                avatarUrl: 1,
+                verified: 1,
+                followersCount: 1,
+                followingsCount: 1,
+                followersDetails: 1,
+                followingsDetails: 1
+            }
         }
+    ]);
 
-        const userUpdateResult = await User.findOneAndUpdate(
-            { _id: userId, 'followings.followingId': { $ne: followId } },
-            {
-                $push: {
-                    followings: { followingId: followId, date: new Date() }
-                }
-            },
-            { new: true }
-        );
+    const hasMore = paginate && users.length > limit;
+    const page = paginate ? users.slice(0, limit) : users;
+    const listedIds = page.flatMap(user => [user, ...(user.followersDetails || []), ...(user.followingsDetails || [])].map(({ _id }) => _id));
+    const tags = [CACHE_TAGS.users, CACHE_TAGS.viewer(viewerId), ...listedIds.map(CACHE_TAGS.user)];
 
-        if (!userUpdateResult) {
-            throw new Error(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
-        }
+    if (!paginate) {
+        return { data: users, tags };
+    }
 
-        const followUserUpdateResult = await User.findOneAndUpdate(
-            { _id: followId, 'followers.followId': { $ne: userId } },
-            {
-                $push: {
-                    followers: { followId: userId, date: new Date() }
-                }
-            },
-            { new: true }
-        );
+    const total = await User.countDocuments();
+    const nextCursor = hasMore ? encodeCursor({ id: page[page.length - 1]._id }) : null;
 
-        if (!followUserUpdateResult) {
-            throw new Error(UserResponseMessages.ERROR_UPDATE_FOLLOWERS);
-        }
+    return { data: page, pagination: { nextCursor, total }, tags };
+};
 
-        res.status(200).json(getSuccessResponse(200, UserResponseMessages.UPDATE_FOLLOW));
+/**
+ * This function retrieves details of all users.
+ * It performs an aggregation on the User collection that joins each user's follow edges
+ * with the users on the other side and then projects the required fields.
+ * Users the caller has blocked or been blocked by are left out of the details.
+ * When `limit` or `cursor` is given in the query, users are returned one page at a time
+ * ordered by id, with the cursor of the next page and the total number of users.
+ * The aggregated data is sent back in a success response, cached per caller and page (see `sendCached`).
+ * If an error occurs, it forwards the error to the error handling middleware.
+ */
+export const getAllUsers = async (req, res, next) => {
+    try {
+        const paginate = req.query.limit !== undefined || req.query.cursor !== undefined;
+        const limit = paginate ? parseLimit(req.query.limit) : undefined;
+        const cursor = paginate ? decodeCursor(req.query.cursor) : null;
+        const page = paginate ? `${limit}:${cursor?.id || ''}` : 'all';
+
+        await sendCached(req, res, {
+            key: `users:${cacheId(req.user.id)}:${page}`,
+            message: UserResponseMessages.ALL_USER,
+            load: () => listAllUsers(req.user.id, { paginate, limit, cursor }),
+        });
     } catch (err) {
         next(err);
     }
 };
 
 /**
- * This function handles the unfollowing of a user by another user.
- * It validates the userId and unfollowId, ensures they are not the same,
- * updates the followings of the user initiating the unfollow by removing the unfollowId,
- * updates the followers of the user being unfollowed by removing the userId,
- * and sends a success response.
- * If any error occurs, it forwards the error to the error handling middleware.
+ * This function lists the users with the most followers, using the stored counters.
+ * Users the caller has blocked or been blocked by are left out.
+ * If an error occurs, it forwards the error to the error handling middleware.
  */
-export const unfollowUser = async (req, res, next) => {
+export const getTopUsers = async (req, res, next) => {
     try {
-        const { userId, unfollowId } = req.body;
+        const limit = parseLimit(req.query.limit);
+        const blockedIds = await getBlockedUserIds(req.user.id);
 
-        if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(unfollowId)) {
-            throw new Error(UserResponseMessages.ERROR_VALID_ID);
-        }
+        const users = await User.find({ _id: { $nin: blockedIds } })
+            .sort({ followersCount: -1, _id: 1 })
+            .limit(limit)
+            .select('username displayName avatarUrl verified followersCount followingsCount');
 
-        if (userId === unfollowId) {
-            throw new Error(UserResponseMessages.ERROR_IDS_SAME);
-        }
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.TOP_USERS, users));
+    } catch (err) {
+        next(err);
+    }
+};
 
-        const userUpdateResult = await User.findOneAndUpdate(
-            { _id: userId, 'followings.followingId': unfollowId },
-            {
-                $pull: { followings: { followingId: unfollowId } },
-            },
-            { new: true }
-        );
+/**
+ * This function handles the following of a user by another user.
+ * The follower is the authenticated user; only admins may name another user in `userId`.
+ * The follow itself is done by `follow` (utils/followActions.js): both users must exist and
+ * not have blocked each other, and the edge and its follow event are created in a single transaction.
+ * If the followed account is private, a pending follow request is created instead
+ * and a 202 response is sent; the edge is created when the request is approved.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const followUser = async (req, res, next) => {
+    try {
+        const followRequest = await follow(getActingUserId(req), req.body.followId);
 
-        if (!userUpdateResult) {
-            throw new Error(UserResponseMessages.ERROR_UPDATE_UNFOLLOWING);
+        if (followRequest) {
+            return res.status(202).json(getSuccessResponse(202, UserResponseMessages.FOLLOW_REQUESTED, followRequest));
         }
 
-        const unfollowUserUpdateResult = await User.findOneAndUpdate(
-            { _id: unfollowId, 'followers.followId': userId },
-            { $pull: { followers: { followId: userId } } },
-            { new: true }
-        );
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.UPDATE_FOLLOW));
+    } catch (err) {
+        next(err);
+    }
+};
 
-        if (!unfollowUserUpdateResult) {
-            throw new Error(UserResponseMessages.ERROR_UPDATE_UNFOLLOWERS);
-        }
+/**
+ * This function handles the unfollowing of a user by another user.
+ * The unfollowing user is the authenticated user; only admins may name another user in `userId`.
+ * The unfollow itself is done by `unfollow` (utils/followActions.js), which removes the follow edge
+ * and logs an unfollow event in a single transaction.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const unfollowUser = async (req, res, next) => {
+    try {
+        await unfollow(getActingUserId(req), req.body.unfollowId);
 
         res.status(200).json(getSuccessResponse(200, UserResponseMessages.UPDATE_UNFOLLOW));
     } catch (err) {
@@ -175,42 +237,60 @@ export const unfollowUser = async (req, res, next) => {
     }
 };
 
+/**
+ * This function undoes a recent unfollow, restoring the follow with its original date.
+ * The acting user is the authenticated user; only admins may name another user in `userId`.
+ * The restore itself is done by `undoUnfollow` (utils/followActions.js) and only works within
+ * UNDO_UNFOLLOW_GRACE_MS of the unfollow.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const undoUnfollowUser = async (req, res, next) => {
+    try {
+        await undoUnfollow(getActingUserId(req), req.body.unfollowId);
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.UNFOLLOW_UNDONE));
+    } catch (err) {
+        next(err);
+    }
+};
+
 /**
  * This function retrieves the daily follower counts for a specific user.
- * It validates the userId, performs an aggregation on the User collection to calculate
+ * It performs an aggregation on the Follow collection to calculate
  * the number of followers per day, and sends the result in a success response.
+ * The result is cached until the user gains or loses a follower.
  * If any error occurs, it forwards the error to the error handling middleware.
  */
 export const getFollowersCountDaily = async (req, res, next) => {
     try {
         const { userId } = req.params;
 
-        if (!mongoose.isValidObjectId(userId)) {
-            throw new Error(UserResponseMessages.ERROR_VALID_ID);
-        }
-
-        const dailyCounts = await User.aggregate([
-            { $match: { _id: mongoose.Types.ObjectId.createFromHexString(userId) } },
-            { $unwind: '$followers' },
-            {
-                $group: {
-                    _id: {
-                        date: { $dateToString: { format: '%Y-%m-%d', date: '$followers.date' } }
+        await sendCached(req, res, {
+            key: `followers-daily:${cacheId(userId)}`,
+            message: UserResponseMessages.SHOW_FOLLOWERS,
+            load: async () => ({
+                data: await Follow.aggregate([
+                    { $match: { followee: mongoose.Types.ObjectId.createFromHexString(userId) } },
+                    {
+                        $group: {
+                            _id: {
+                                date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+                            },
+                            count: { $sum: 1 }
+                        }
                     },
-                    count: { $sum: 1 }
-                }
-            },
-            { $sort: { '_id.date': 1 } },
-            {
-                $project: {
-                    date: '$_id.date',
-                    count: 1,
-                    _id: 0
-                }
-            }
-        ]);
-
-        res.status(200).json(getSuccessResponse(200, UserResponseMessages.SHOW_FOLLOWERS, dailyCounts));
+                    { $sort: { '_id.date': 1 } },
+                    {
+                        $project: {
+                            date: '$_id.date',
+                            count: 1,
+                            _id: 0
+                        }
+                    }
+                ]),
+                tags: [CACHE_TAGS.followers(userId)]
+            }),
+        });
     } catch (err) {
         next(err);
     }
@@ -218,40 +298,174 @@ export const getFollowersCountDaily = async (req, res, next) => {
 
 /**
  * This function retrieves the common followers between two users.
- * It validates the user IDs, checks they are not the same,
- * fetches the followers of both users, determines the common followers,
- * retrieves the details of these common followers, and sends the result in a success response.
+ * It checks the user IDs are not the same and that both users exist,
+ * groups the follow edges of both users by follower to find the common followers,
+ * leaves out users the caller has blocked or been blocked by,
+ * joins their details, and sends the result in a success response.
+ * The result is cached per caller until either user's followers, the caller's blocks or one
+ * of the common followers change.
  * If any error occurs, it forwards the error to the error handling middleware.
  */
 export const getCommonFollowers = async (req, res, next) => {
     try {
         const { userId1, userId2 } = req.params;
 
-        if (!mongoose.isValidObjectId(userId1) || !mongoose.isValidObjectId(userId2)) {
-            throw new Error(UserResponseMessages.ERROR_VALID_ID);
+        if (cacheId(userId1) === cacheId(userId2)) {
+            throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
         }
 
-        if (userId1 === userId2) {
-            throw new Error(UserResponseMessages.ERROR_IDS_SAME);
-        }
+        await sendCached(req, res, {
+            key: `common-followers:${cacheId(req.user.id)}:${cacheId(userId1)}:${cacheId(userId2)}`,
+            message: UserResponseMessages.COMMON_FOLLOWERS,
+            load: async () => {
+                const user1 = await User.exists({ _id: userId1 });
+                const user2 = await User.exists({ _id: userId2 });
+
+                if (!user1 || !user2) {
+                    throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+                }
+
+                const blockedIds = await getBlockedUserIds(req.user.id);
+
+                const commonFollowersDetails = await Follow.aggregate([
+                    ...followersByUserStages([user1._id, user2._id], blockedIds),
+                    { $match: { followees: { $all: [user1._id, user2._id] } } },
+                    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+                    { $unwind: '$user' },
+                    {
+                        $project: {
+                            _id: 1,
+                            username: '$user.username',
+                            followersCount: '$user.followersCount',
+                            followingsCount: '$user.followingsCount'
+                        }
+                    }
+                ]);
+
+                return {
+                    data: commonFollowersDetails,
+                    tags: [
+                        CACHE_TAGS.followers(userId1),
+                        CACHE_TAGS.followers(userId2),
+                        CACHE_TAGS.viewer(req.user.id),
+                        ...commonFollowersDetails.map(follower => CACHE_TAGS.user(follower._id))
+                    ]
+                };
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function returns one page of a user's follow edges, newest first.
+ * `side` selects the edges where the user is the followee (followers) or the follower (followings).
+ * Every item holds the user on the other side of the edge and the date of the follow.
+ */
+const listFollowEdges = async (userId, side, query) => {
+    if (!mongoose.isValidObjectId(userId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+    }
+
+    const limit = parseLimit(query.limit);
+    const cursor = decodeCursor(query.cursor, { dated: true });
 
-        const user1 = await User.findById(userId1, 'followers');
-        const user2 = await User.findById(userId2, 'followers');
-        
-        if (!user1 || !user2) {
-            throw new Error(UserResponseMessages.NOT_FOUND);
+    const user = await User.exists({ _id: userId });
+    if (!user) {
+        throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+    }
+
+    const [ownField, otherField] = side === 'followers' ? ['followee', 'follower'] : ['follower', 'followee'];
+
+    const edges = await Follow.aggregate([
+        { $match: { [ownField]: user._id, ...afterDateCursor(cursor) } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        { $lookup: { from: 'users', localField: otherField, foreignField: '_id', as: 'user' } },
+        {
+            $project: {
+                createdAt: 1,
+                user: {
+                    $arrayElemAt: [{
+                        $map: {
+                            input: '$user',
+                            in: {
+                                _id: '$$this._id',
+                                username: '$$this.username',
+                                followersCount: '$$this.followersCount',
+                                followingsCount: '$$this.followingsCount'
+                            }
+                        }
+                    }, 0]
+                }
+            }
         }
+    ]);
+
+    const total = await Follow.countDocuments({ [ownField]: user._id });
+
+    const hasMore = edges.length > limit;
+    const page = edges.slice(0, limit);
+    const lastEdge = page[page.length - 1];
+    const nextCursor = hasMore ? encodeCursor({ id: lastEdge._id, date: lastEdge.createdAt }) : null;
+
+    // Edges whose user was deleted still move the cursor but are not returned.
+    const items = page
+        .filter(edge => edge.user)
+        .map(edge => ({ ...edge.user, followedAt: edge.createdAt }));
+
+    return { items, nextCursor, total };
+};
 
-        const followers1 = user1.followers.map(f => f.followId.toString());
-        const followers2 = user2.followers.map(f => f.followId.toString());
+/**
+ * This function retrieves the followers of a user, newest first, using cursor-based pagination.
+ * It validates the userId and the `limit`/`cursor` query parameters and sends the page
+ * together with the cursor of the next page and the total number of followers.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getFollowers = async (req, res, next) => {
+    try {
+        const { items, nextCursor, total } = await listFollowEdges(req.params.userId, 'followers', req.query);
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.FOLLOWERS, items, { nextCursor, total }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function retrieves the users a user follows, newest first, using cursor-based pagination.
+ * It validates the userId and the `limit`/`cursor` query parameters and sends the page
+ * together with the cursor of the next page and the total number of followings.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getFollowings = async (req, res, next) => {
+    try {
+        const { items, nextCursor, total } = await listFollowEdges(req.params.userId, 'followings', req.query);
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.FOLLOWINGS, items, { nextCursor, total }));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function scans the Follow collection for edges pointing at deleted users and removes them,
+ * then corrects the follower/following counters that drifted from the edges.
+ * When the `dryRun` query parameter is `true` it only reports the dangling edges and drifted counters.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const reconcileFollowEdges = async (req, res, next) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
 
-        const commonFollowers = followers1.filter(f => followers2.includes(f));
+        const report = await repairFollowEdges({ dryRun });
+        report.counters = await recountFollowCounts({ dryRun });
 
-        const commonFollowersDetails = await User.find({
-            _id: { $in: commonFollowers }
-        }, 'username');
+        if (!dryRun) await invalidateCache([CACHE_TAGS.all]);
 
-        res.status(200).json(getSuccessResponse(200, UserResponseMessages.COMMON_FOLLOWERS, commonFollowersDetails));
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.RECONCILED, report));
     } catch (err) {
         next(err);
     }
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WebhookSubscription, { WEBHOOK_EVENTS } from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../models/WebhookDelivery.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { parseLimit } from '../utils/pagination.js';
+
+const isHttpUrl = (value) => {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * This function creates a webhook subscription.
+ * It validates the URL and the event types, generates a signing secret unless one is given,
+ * and sends the subscription including its secret, which is not returned again.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const createWebhook = async (req, res, next) => {
+    try {
+        const { url, events, secret } = req.body;
+
+        if (typeof url !== 'string' || !isHttpUrl(url)) {
+            throw new ValidationError(UserResponseMessages.ERROR_WEBHOOK_URL);
+        }
+
+        const eventTypes = Object.values(WEBHOOK_EVENTS);
+        if (!Array.isArray(events) || !events.length || events.some(event => !eventTypes.includes(event))) {
+            throw new ValidationError(UserResponseMessages.ERROR_WEBHOOK_EVENTS);
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new ValidationError(UserResponseMessages.ERROR_WEBHOOK_SECRET);
+        }
+
+        const subscription = await WebhookSubscription.create({
+            url,
+            events: [...new Set(events)],
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdBy: req.user.id,
+        });
+
+        res.status(201).json(getSuccessResponse(201, UserResponseMessages.WEBHOOK_CREATED, subscription));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function lists the webhook subscriptions without their secrets.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getWebhooks = async (req, res, next) => {
+    try {
+        const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.WEBHOOKS, subscriptions));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function deletes a webhook subscription. Its pending deliveries fail on their next attempt.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const deleteWebhook = async (req, res, next) => {
+    try {
+        const { webhookId } = req.params;
+
+        if (!mongoose.isValidObjectId(webhookId)) {
+            throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+        }
+
+        const subscription = await WebhookSubscription.findByIdAndDelete(webhookId);
+
+        if (!subscription) {
+            throw new NotFoundError(UserResponseMessages.ERROR_WEBHOOK_NOT_FOUND);
+        }
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.WEBHOOK_DELETED));
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This function lists the most recent webhook deliveries with their attempts, newest first.
+ * They can be filtered by `webhookId` and `status`.
+ * If any error occurs, it forwards the error to the error handling middleware.
+ */
+export const getWebhookDeliveries = async (req, res, next) => {
+    try {
+        const { webhookId, status } = req.query;
+        const filter = {};
+
+        if (webhookId !== undefined) {
+            if (!mongoose.isValidObjectId(webhookId)) {
+                throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+            }
+            filter.subscription = webhookId;
+        }
+
+        if (status !== undefined) {
+            if (!Object.values(DELIVERY_STATUS).includes(status)) {
+                throw new ValidationError(UserResponseMessages.ERROR_DELIVERY_STATUS);
+            }
+            filter.status = status;
+        }
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(parseLimit(req.query.limit));
+
+        res.status(200).json(getSuccessResponse(200, UserResponseMessages.WEBHOOK_DELIVERIES, deliveries));
+    } catch (err) {
+        next(err);
+    }
+};
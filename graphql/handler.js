@@ -0,0 +1,151 @@
+import { GraphQLError, Kind, getNamedType, specifiedRules } from 'graphql';
+import { createHandler } from 'graphql-http/lib/use/express';
+import mongoose from 'mongoose';
+import { schema } from './schema.js';
+import { createLoaders } from './loaders.js';
+import { describeError } from '../utils/HandleResponse.js';
+import { DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } from '../utils/pagination.js';
+
+// Deep enough for e.g. the followers of a user's followers with their counts, no deeper:
+// every nested connection multiplies the work of a query by up to a page of users.
+export const MAX_QUERY_DEPTH = 10;
+
+// Depth alone lets a shallow query ask for pages of 100 users of pages of 100 users, or repeat
+// a field under many aliases. The cost counts every field once per value it may resolve: the
+// fields under a connection once per item of its page. Two levels of 20 followers with a dozen
+// fields each cost about 5000; two levels of 100 cost far more.
+export const MAX_QUERY_COST = 10000;
+
+/**
+ * This function measures how deeply fields are nested in a selection set, following fragments.
+ */
+const selectionDepth = (selectionSet, fragments, visited = new Set()) => {
+    if (!selectionSet) return 0;
+
+    return Math.max(0, ...selectionSet.selections.map((selection) => {
+        if (selection.kind === Kind.FIELD) return 1 + selectionDepth(selection.selectionSet, fragments, visited);
+        if (selection.kind === Kind.INLINE_FRAGMENT) return selectionDepth(selection.selectionSet, fragments, visited);
+
+        // Fragment cycles are reported by the standard rules; they only must not loop here.
+        const name = selection.name.value;
+        if (visited.has(name) || !fragments[name]) return 0;
+        return selectionDepth(fragments[name].selectionSet, fragments, new Set([...visited, name]));
+    }));
+};
+
+/**
+ * This validation rule rejects operations that nest fields deeper than `maxDepth`.
+ */
+export const depthLimit = maxDepth => (context) => {
+    const fragments = Object.fromEntries(context.getDocument().definitions
+        .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map(definition => [definition.name.value, definition]));
+
+    return {
+        OperationDefinition(operation) {
+            if (selectionDepth(operation.selectionSet, fragments) > maxDepth) {
+                context.reportError(new GraphQLError(`Query is nested deeper than ${maxDepth} levels`, { nodes: [operation] }));
+            }
+        },
+    };
+};
+
+/**
+ * This function returns the number of items a field asks for: its `first` argument, the default
+ * page size when a connection is asked for without one, or 1 for other fields.
+ * A `first` given in a variable is not known while validating, so it counts as the largest page.
+ */
+const pageSize = (field, fieldDef) => {
+    if (!fieldDef?.args.some(arg => arg.name === 'first')) return 1;
+
+    const first = field.arguments.find(argument => argument.name.value === 'first');
+    if (!first) return DEFAULT_PAGE_LIMIT;
+    if (first.value.kind !== Kind.INT) return MAX_PAGE_LIMIT;
+    return Math.min(Math.max(Number(first.value.value), 1), MAX_PAGE_LIMIT);
+};
+
+/**
+ * This function adds up the cost of a selection set of `type`, whose fields are each resolved
+ * `multiplier` times. Fields selected under several aliases count once per alias.
+ */
+const selectionCost = (selectionSet, type, multiplier, { schema, fragments }, visited = new Set()) => {
+    if (!selectionSet) return 0;
+
+    return selectionSet.selections.reduce((cost, selection) => {
+        if (selection.kind === Kind.FIELD) {
+            // Unknown fields are reported by the standard rules; here they only cost their own value.
+            const fieldDef = type?.getFields?.()[selection.name.value];
+            const items = multiplier * pageSize(selection, fieldDef);
+            return cost + multiplier + selectionCost(selection.selectionSet, fieldDef && getNamedType(fieldDef.type), items, { schema, fragments }, visited);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const fragmentType = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : type;
+            return cost + selectionCost(selection.selectionSet, fragmentType, multiplier, { schema, fragments }, visited);
+        }
+
+        const fragment = fragments[selection.name.value];
+        if (visited.has(selection.name.value) || !fragment) return cost;
+        return cost + selectionCost(
+            fragment.selectionSet, schema.getType(fragment.typeCondition.name.value), multiplier,
+            { schema, fragments }, new Set([...visited, selection.name.value])
+        );
+    }, 0);
+};
+
+/**
+ * This validation rule rejects operations that cost more than `maxCost` (see MAX_QUERY_COST).
+ */
+export const costLimit = maxCost => (context) => {
+    const schema = context.getSchema();
+    const fragments = Object.fromEntries(context.getDocument().definitions
+        .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map(definition => [definition.name.value, definition]));
+
+    return {
+        OperationDefinition(operation) {
+            const cost = selectionCost(operation.selectionSet, schema.getRootType(operation.operation), 1, { schema, fragments });
+            if (cost > maxCost) {
+                context.reportError(new GraphQLError(`Query costs ${cost}, more than the limit of ${maxCost}`, { nodes: [operation] }));
+            }
+        },
+    };
+};
+
+/**
+ * This function formats an error of a GraphQL response. Errors thrown by resolvers get the
+ * message, `code`, `status` and `messageCode` they would have in a REST error response
+ * (see `describeError`); other errors are returned as they are.
+ */
+const formatError = (error, req) => {
+    if (!error.originalError || error.originalError instanceof GraphQLError) return error;
+
+    const { status, code, messageCode, message, errors } = describeError(error.originalError, req);
+    const { retryAfter } = error.originalError;
+
+    return new GraphQLError(message, {
+        nodes: error.nodes,
+        source: error.source,
+        positions: error.positions,
+        path: error.path,
+        extensions: { code, status, messageCode, ...(errors[0]?.path && { errors }), ...(retryAfter && { retryAfter }) },
+    });
+};
+
+/**
+ * This middleware serves GraphQL over HTTP (GET and POST) for the authenticated user.
+ * Every request gets its own DataLoaders, so nothing is cached across requests or users.
+ */
+export const graphqlHandler = createHandler({
+    schema,
+    validationRules: [...specifiedRules, depthLimit(MAX_QUERY_DEPTH), costLimit(MAX_QUERY_COST)],
+    context: ({ raw: req }) => ({
+        user: req.user,
+        ip: req.ip,
+        viewer: mongoose.Types.ObjectId.createFromHexString(req.user.id),
+        loaders: createLoaders(req.user.id),
+    }),
+    onOperation: ({ raw: req }, args, result) => {
+        if (result.errors) result.errors = result.errors.map(error => formatError(error, req));
+        return result;
+    },
+});
@@ -0,0 +1,88 @@
+import DataLoader from 'dataloader';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import { afterDateCursor } from '../utils/pagination.js';
+import { getBlockedUserIds, getRelationshipFlags } from '../utils/relationships.js';
+
+// Fields of a user that GraphQL can return; everything else (password, search fields) stays out.
+export const USER_FIELDS = 'username displayName bio avatarUrl verified isPrivate followersCount followingsCount createdAt';
+
+const cacheKeyFn = id => id.toString();
+
+/**
+ * This function creates the DataLoaders of one GraphQL request made by `viewerId`.
+ * Loads issued while resolving the same level of a query are batched into a single query,
+ * so e.g. the followers of a user and each follower's counts cost one lookup, not one per follower.
+ * Results are cached for the request only.
+ * - users: users by id, or null for ids that do not exist
+ * - relationships: the viewer's relationship flags to users by id (see `getRelationshipFlags`)
+ * - followEdges: pages of follow edges by `{ userId, side, limit, cursor }`, newest first, leaving out
+ *   users the viewer has blocked or been blocked by. `side` is `followers` or `followings`.
+ *   The pages of one level share their side, size and cursor, so they are read in one query,
+ *   and the users on their other side are then loaded in one batch.
+ * - blockedIds(): the users the viewer has blocked or been blocked by, read once per request
+ */
+export const createLoaders = (viewerId) => {
+    const viewer = mongoose.Types.ObjectId.createFromHexString(viewerId);
+    let blockedIds;
+
+    const loaders = {
+        blockedIds: () => {
+            blockedIds ??= getBlockedUserIds(viewer);
+            return blockedIds;
+        },
+
+        users: new DataLoader(async (ids) => {
+            const users = await User.find({ _id: { $in: ids } }, USER_FIELDS).lean();
+            const byId = new Map(users.map(user => [user._id.toString(), user]));
+            return ids.map(id => byId.get(id.toString()) || null);
+        }, { cacheKeyFn }),
+
+        relationships: new DataLoader(async (ids) => {
+            const flags = await getRelationshipFlags(viewer, ids.map(id => new mongoose.Types.ObjectId(id)), await loaders.blockedIds());
+            return ids.map(id => flags.get(id.toString()));
+        }, { cacheKeyFn }),
+
+        followEdges: new DataLoader(async (keys) => {
+            const excludeIds = await loaders.blockedIds();
+
+            const groups = new Map();
+            for (const key of keys) {
+                const groupKey = JSON.stringify([key.side, key.limit, key.cursor]);
+                if (!groups.has(groupKey)) groups.set(groupKey, []);
+                groups.get(groupKey).push(key);
+            }
+
+            const pages = new Map();
+            await Promise.all([...groups.values()].map(async (group) => {
+                const { side, limit, cursor } = group[0];
+                const [ownField, otherField] = side === 'followers' ? ['followee', 'follower'] : ['follower', 'followee'];
+
+                const edges = await Follow.aggregate([
+                    {
+                        $match: {
+                            [ownField]: { $in: group.map(key => new mongoose.Types.ObjectId(key.userId)) },
+                            [otherField]: { $nin: excludeIds },
+                            ...afterDateCursor(cursor)
+                        }
+                    },
+                    // Numbers the edges of each user newest first, so every user gets a page of its own.
+                    { $setWindowFields: { partitionBy: `$${ownField}`, sortBy: { createdAt: -1, _id: -1 }, output: { position: { $documentNumber: {} } } } },
+                    { $match: { position: { $lte: limit + 1 } } },
+                    { $sort: { createdAt: -1, _id: -1 } },
+                ]);
+
+                const byUser = new Map(group.map(key => [key.userId.toString(), []]));
+                for (const edge of edges) {
+                    byUser.get(edge[ownField].toString())?.push({ _id: edge._id, createdAt: edge.createdAt, userId: edge[otherField] });
+                }
+                group.forEach(key => pages.set(key, byUser.get(key.userId.toString())));
+            }));
+
+            return keys.map(key => pages.get(key));
+        }, { cacheKeyFn: key => JSON.stringify(key) }),
+    };
+
+    return loaders;
+};
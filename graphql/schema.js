@@ -0,0 +1,291 @@
+import {
+    GraphQLBoolean,
+    GraphQLEnumType,
+    GraphQLID,
+    GraphQLInt,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLObjectType,
+    GraphQLSchema,
+    GraphQLString,
+} from 'graphql';
+import mongoose from 'mongoose';
+import { UserResponseMessages } from '../utils/constants.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { decodeCursor, encodeCursor, parseLimit } from '../utils/pagination.js';
+import { follow, unfollow } from '../utils/followActions.js';
+import { consumeRateLimit } from '../utils/rateLimit.js';
+import { computeFollowerAnalytics, parseAnalyticsQuery } from '../controllers/analyticsController.js';
+import { intersectRelations } from '../controllers/mutualController.js';
+
+const nonNull = type => new GraphQLNonNull(type);
+const list = type => nonNull(new GraphQLList(nonNull(type)));
+const isoDate = date => (date ? new Date(date).toISOString() : null);
+
+/**
+ * This function checks an id argument like the `objectId` rule of the REST routes.
+ */
+const toObjectId = (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ValidationError(UserResponseMessages.ERROR_VALID_ID);
+    }
+    return mongoose.Types.ObjectId.createFromHexString(id);
+};
+
+/**
+ * This function returns a user by id, or null when it does not exist or either the viewer
+ * or the user has blocked the other, like GET /api/users/:userId answers 404.
+ */
+const loadVisibleUser = async (id, { viewer, loaders }) => {
+    const user = await loaders.users.load(id);
+    if (!user || user._id.equals(viewer)) return user;
+
+    const blockedIds = await loaders.blockedIds();
+    return blockedIds.some(blockedId => blockedId.equals(user._id)) ? null : user;
+};
+
+const pageArgs = {
+    first: { type: GraphQLInt, description: 'Page size, 20 by default and at most 100.' },
+    after: { type: GraphQLString, description: 'The `endCursor` of the previous page.' },
+};
+
+const PageInfo = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: {
+        hasNextPage: { type: nonNull(GraphQLBoolean) },
+        endCursor: { type: GraphQLString },
+    },
+});
+
+const Relationship = new GraphQLObjectType({
+    name: 'Relationship',
+    description: 'How the viewer relates to a user.',
+    fields: {
+        isFollowing: { type: nonNull(GraphQLBoolean) },
+        followsYou: { type: nonNull(GraphQLBoolean) },
+        isMutual: { type: nonNull(GraphQLBoolean) },
+        mutualFollowersCount: { type: nonNull(GraphQLInt) },
+    },
+});
+
+const Granularity = new GraphQLEnumType({
+    name: 'Granularity',
+    values: { HOUR: { value: 'hour' }, DAY: { value: 'day' }, WEEK: { value: 'week' }, MONTH: { value: 'month' } },
+});
+
+const FollowerTotals = new GraphQLObjectType({
+    name: 'FollowerTotals',
+    fields: {
+        gained: { type: nonNull(GraphQLInt) },
+        lost: { type: nonNull(GraphQLInt) },
+        net: { type: nonNull(GraphQLInt) },
+    },
+});
+
+const FollowerBucket = new GraphQLObjectType({
+    name: 'FollowerBucket',
+    fields: {
+        period: { type: nonNull(GraphQLString) },
+        gained: { type: nonNull(GraphQLInt) },
+        lost: { type: nonNull(GraphQLInt) },
+        net: { type: nonNull(GraphQLInt) },
+        cumulative: { type: nonNull(GraphQLInt) },
+    },
+});
+
+const FollowerStats = new GraphQLObjectType({
+    name: 'FollowerStats',
+    description: 'Followers gained and lost per period, as returned by GET /api/users/:userId/followers/stats.',
+    fields: {
+        granularity: { type: nonNull(Granularity) },
+        tz: { type: nonNull(GraphQLString) },
+        from: { type: nonNull(GraphQLString), resolve: stats => isoDate(stats.from) },
+        to: { type: nonNull(GraphQLString), resolve: stats => isoDate(stats.to) },
+        totals: { type: nonNull(FollowerTotals) },
+        buckets: { type: list(FollowerBucket) },
+    },
+});
+
+/**
+ * This function resolves one page of a user's followers or followings, newest first.
+ * Cursors are the same as those of GET /api/users/:userId/followers and /followings.
+ * `totalCount` is the user's stored counter.
+ */
+const followConnection = side => async (user, { first, after }, { loaders }) => {
+    const limit = parseLimit(first ?? undefined);
+    const cursor = decodeCursor(after, { dated: true });
+
+    const edges = await loaders.followEdges.load({ userId: user._id, side, limit, cursor });
+    const hasNextPage = edges.length > limit;
+    const page = edges.slice(0, limit);
+    const nodes = await loaders.users.loadMany(page.map(edge => edge.userId));
+
+    const cursors = page.map(edge => encodeCursor({ id: edge._id, date: edge.createdAt }));
+
+    return {
+        // Edges whose user was deleted still move the cursor but are not returned.
+        edges: page
+            .map((edge, i) => ({ cursor: cursors[i], followedAt: edge.createdAt, node: nodes[i] }))
+            .filter(edge => edge.node),
+        pageInfo: { hasNextPage, endCursor: cursors[cursors.length - 1] || null },
+        totalCount: side === 'followers' ? user.followersCount : user.followingsCount,
+    };
+};
+
+const User = new GraphQLObjectType({
+    name: 'User',
+    fields: () => ({
+        id: { type: nonNull(GraphQLID), resolve: user => user._id.toString() },
+        username: { type: nonNull(GraphQLString) },
+        displayName: { type: GraphQLString },
+        bio: { type: GraphQLString },
+        avatarUrl: { type: GraphQLString },
+        verified: { type: nonNull(GraphQLBoolean), resolve: user => Boolean(user.verified) },
+        isPrivate: { type: nonNull(GraphQLBoolean), resolve: user => Boolean(user.isPrivate) },
+        followersCount: { type: nonNull(GraphQLInt), resolve: user => user.followersCount || 0 },
+        followingsCount: { type: nonNull(GraphQLInt), resolve: user => user.followingsCount || 0 },
+        createdAt: { type: GraphQLString, resolve: user => isoDate(user.createdAt) },
+        relationship: {
+            type: Relationship,
+            description: 'How the viewer relates to this user; null for the viewer themselves.',
+            resolve: (user, args, { viewer, loaders }) => (user._id.equals(viewer) ? null : loaders.relationships.load(user._id)),
+        },
+        followers: { type: nonNull(UserConnection), args: pageArgs, resolve: followConnection('followers') },
+        followings: { type: nonNull(UserConnection), args: pageArgs, resolve: followConnection('followings') },
+        mutualFollowers: {
+            type: nonNull(UserConnection),
+            description: 'Users who follow both this user and `with`, ordered by id.',
+            args: { with: { type: nonNull(GraphQLID) }, ...pageArgs },
+            resolve: async (user, { with: withId, first, after }, { loaders }) => {
+                const otherId = toObjectId(withId);
+                if (otherId.equals(user._id)) {
+                    throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+                }
+
+                const limit = parseLimit(first ?? undefined);
+                const cursor = decodeCursor(after);
+
+                if (!(await loaders.users.load(otherId))) {
+                    throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+                }
+
+                const { items, nextCursor, total } = await intersectRelations([user._id, otherId], 'followers', {
+                    limit,
+                    cursor,
+                    excludeIds: await loaders.blockedIds()
+                });
+                const nodes = await loaders.users.loadMany(items.map(item => item._id));
+                const cursors = items.map(item => encodeCursor({ id: item._id }));
+
+                return {
+                    edges: items
+                        .map((item, i) => ({ cursor: cursors[i], node: nodes[i] }))
+                        .filter(edge => edge.node),
+                    pageInfo: { hasNextPage: Boolean(nextCursor), endCursor: cursors[cursors.length - 1] || null },
+                    totalCount: total,
+                };
+            },
+        },
+        followerStats: {
+            type: nonNull(FollowerStats),
+            description: 'Follower analytics over a date range, the last 30 days by default.',
+            args: {
+                granularity: { type: Granularity, defaultValue: 'day' },
+                from: { type: GraphQLString },
+                to: { type: GraphQLString },
+                tz: { type: GraphQLString, description: 'IANA time zone, UTC by default.' },
+            },
+            resolve: (user, args) => computeFollowerAnalytics(user._id, parseAnalyticsQuery(args)),
+        },
+    }),
+});
+
+const UserEdge = new GraphQLObjectType({
+    name: 'UserEdge',
+    fields: {
+        cursor: { type: nonNull(GraphQLString) },
+        followedAt: { type: GraphQLString, resolve: edge => isoDate(edge.followedAt) },
+        node: { type: nonNull(User) },
+    },
+});
+
+const UserConnection = new GraphQLObjectType({
+    name: 'UserConnection',
+    fields: {
+        edges: { type: list(UserEdge) },
+        pageInfo: { type: nonNull(PageInfo) },
+        totalCount: { type: nonNull(GraphQLInt) },
+    },
+});
+
+const Query = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        me: {
+            type: User,
+            resolve: (root, args, context) => context.loaders.users.load(context.viewer),
+        },
+        user: {
+            type: User,
+            description: 'A user by id; null when they do not exist or either side has blocked the other.',
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: (root, { id }, context) => loadVisibleUser(toObjectId(id), context),
+        },
+    },
+});
+
+const FollowPayload = new GraphQLObjectType({
+    name: 'FollowPayload',
+    fields: {
+        requested: {
+            type: nonNull(GraphQLBoolean),
+            description: 'True when the account is private and a follow request was sent instead.',
+        },
+        user: { type: nonNull(User), description: 'The followed user, with updated counters.' },
+    },
+});
+
+const UnfollowPayload = new GraphQLObjectType({
+    name: 'UnfollowPayload',
+    fields: {
+        user: { type: nonNull(User), description: 'The unfollowed user, with updated counters.' },
+    },
+});
+
+/**
+ * This function returns a user again after a mutation changed them, bypassing the request cache.
+ */
+const reloadUser = (id, { loaders }) => loaders.users.clear(id).load(id);
+
+const Mutation = new GraphQLObjectType({
+    name: 'Mutation',
+    fields: {
+        follow: {
+            type: nonNull(FollowPayload),
+            description: 'Follows a user as POST /api/users/follow does, with the same rules and rate limits.',
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: async (root, { id }, context) => {
+                const succeeded = await consumeRateLimit('follow', { user: context.user, ip: context.ip, body: { followId: id } });
+
+                const followRequest = await follow(context.user.id, toObjectId(id).toString());
+                await succeeded();
+
+                return { requested: Boolean(followRequest), user: await reloadUser(id, context) };
+            },
+        },
+        unfollow: {
+            type: nonNull(UnfollowPayload),
+            description: 'Unfollows a user as POST /api/users/unfollow does, with the same rules and rate limits.',
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: async (root, { id }, context) => {
+                await consumeRateLimit('unfollow', { user: context.user, ip: context.ip, body: { unfollowId: id } });
+
+                await unfollow(context.user.id, toObjectId(id).toString());
+
+                return { user: await reloadUser(id, context) };
+            },
+        },
+    },
+});
+
+export const schema = new GraphQLSchema({ query: Query, mutation: Mutation });
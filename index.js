@@ -1,29 +1,74 @@
-import express from 'express';
-import bodyParser from 'body-parser';
 import mongoose from 'mongoose';
-import userRoutes from './routes/user.js';
-import { notFound, errorHandler } from './utils/HandleResponse.js';
+import { createApp } from './app.js';
+import { config } from './utils/config.js';
+import { registerNotificationListeners } from './utils/notifications.js';
+import { registerWebhookListeners, startWebhookWorker } from './utils/webhooks.js';
+import { startFollowCountRecount } from './utils/followCounters.js';
+import { registerCacheInvalidation } from './utils/responseCache.js';
+import { closeAll as closeNotificationStreams } from './utils/notificationHub.js';
 
-const app = express();
+const app = createApp();
 
-// Middleware
-app.use(bodyParser.json());
+// Functions that undo what startup did, run in reverse order on shutdown.
+const stops = [];
 
-// Database connection
-mongoose.connect('mongodb://localhost:27017/folowing-system')
-  .then(() => {
+/**
+ * This function connects to MongoDB, registers the event listeners and background jobs enabled
+ * in the configuration, and only then starts listening.
+ */
+const start = async () => {
+    await mongoose.connect(config.mongo.uri, {
+        minPoolSize: config.mongo.minPoolSize,
+        maxPoolSize: config.mongo.maxPoolSize,
+        serverSelectionTimeoutMS: config.mongo.serverSelectionTimeoutMS,
+    });
     console.log('MongoDB connected');
-  })
-  .catch(err => {
-    console.error('MongoDB connection error:', err);
-  });
+    stops.push(() => mongoose.disconnect());
 
-// Routes
-app.use('/api/users', userRoutes);
+    // Cache invalidation is not optional, unlike the features below.
+    stops.push(registerCacheInvalidation());
+    if (config.features.notifications) stops.push(registerNotificationListeners());
+    if (config.features.webhooks) stops.push(registerWebhookListeners(), startWebhookWorker());
+    if (config.features.followCountRecount) stops.push(startFollowCountRecount());
 
-app.use(notFound);
-app.use(errorHandler);
+    const server = app.listen(config.port, () => console.log(`Server running on port ${config.port}`));
+    stops.push(() => new Promise((resolve) => {
+        server.close(() => resolve());
+        // Idle keep-alive connections and notification streams, which never end by themselves,
+        // would keep close() waiting.
+        server.closeIdleConnections();
+        closeNotificationStreams();
+    }));
+};
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+/**
+ * This function stops taking traffic, lets requests in flight finish, stops the background jobs
+ * and disconnects from MongoDB. If that takes longer than SHUTDOWN_TIMEOUT_MS, it exits anyway.
+ */
+const shutdown = async (signal) => {
+    if (app.locals.shuttingDown) return;
+    app.locals.shuttingDown = true;
+    console.log(`${signal} received, shutting down`);
+
+    const timer = setTimeout(() => {
+        console.error('Shutdown timed out, exiting');
+        process.exit(1);
+    }, config.shutdownTimeoutMs);
+    timer.unref();
+
+    try {
+        for (const stop of stops.reverse()) await stop();
+        process.exit(0);
+    } catch (err) {
+        console.error('Shutdown failed:', err);
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((err) => {
+    console.error('Startup failed:', err);
+    process.exit(1);
+});
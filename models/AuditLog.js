@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const AUDIT_ACTIONS = {
+    FOLLOW: 'follow',
+    FOLLOW_REQUEST: 'follow.request',
+    UNFOLLOW: 'unfollow',
+    UNFOLLOW_UNDONE: 'unfollow.undone',
+    BLOCK: 'block',
+    UNBLOCK: 'unblock',
+    PROFILE_UPDATE: 'profile.update',
+    USER_DELETE: 'user.delete',
+};
+
+// Append-only trail of relationship and profile changes, kept for support and admins.
+const AuditLogSchema = new Schema({
+    action: { type: String, enum: Object.values(AUDIT_ACTIONS), required: true },
+    actor: { type: Schema.Types.ObjectId, ref: 'User' },                  // کاربر احراز هویت‌شده؛ در کارهای پس‌زمینه خالی است
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },   // کاربری که رابطه یا پروفایلش تغییر کرد
+    target: { type: Schema.Types.ObjectId, ref: 'User' },                 // طرف دیگر رابطه
+    details: { type: Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+    requestId: { type: String },
+    createdAt: { type: Date, default: Date.now },
+});
+
+AuditLogSchema.index({ user: 1, createdAt: -1, _id: -1 });
+AuditLogSchema.index({ target: 1, createdAt: -1, _id: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1, _id: -1 });
+AuditLogSchema.index({ createdAt: -1, _id: -1 });
+
+export default mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const BlockSchema = new Schema({
+    blocker: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربری که مسدود می‌کند
+    blocked: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربر مسدود شده
+    createdAt: { type: Date, default: Date.now },
+});
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+BlockSchema.index({ blocked: 1 });
+
+export default mongoose.model('Block', BlockSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const FollowSchema = new Schema({
+    follower: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربری که دنبال می‌کند
+    followee: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربری که دنبال می‌شود
+    createdAt: { type: Date, default: Date.now },
+});
+
+FollowSchema.index({ follower: 1, followee: 1 }, { unique: true });
+FollowSchema.index({ followee: 1, createdAt: -1, _id: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('Follow', FollowSchema);
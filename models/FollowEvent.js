@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const FOLLOW_EVENT_TYPES = {
+    FOLLOW: 'follow',
+    UNFOLLOW: 'unfollow',
+};
+
+// Append-only log of changes to the follow graph; documents are never removed, and only
+// `undoneAt` is ever set on an existing one.
+const FollowEventSchema = new Schema({
+    type: { type: String, enum: Object.values(FOLLOW_EVENT_TYPES), required: true },
+    follower: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    followee: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+    followedAt: { type: Date },  // فقط در لغو دنبال کردن: تاریخ دنبال کردنی که حذف شد
+    undoneAt: { type: Date },    // لغو دنبال کردنی که در مهلت بازگردانده شد؛ در آمار شمرده نمی‌شود
+});
+
+FollowEventSchema.index({ followee: 1, createdAt: 1 });
+FollowEventSchema.index({ follower: 1, createdAt: 1 });
+FollowEventSchema.index({ follower: 1, followee: 1, createdAt: -1 });
+
+export default mongoose.model('FollowEvent', FollowEventSchema);
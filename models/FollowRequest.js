@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const FOLLOW_REQUEST_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+};
+
+const FollowRequestSchema = new Schema({
+    requester: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربری که درخواست داده
+    target: { type: Schema.Types.ObjectId, ref: 'User', required: true },     // حساب خصوصی
+    status: {
+        type: String,
+        enum: Object.values(FOLLOW_REQUEST_STATUS),
+        default: FOLLOW_REQUEST_STATUS.PENDING,
+    },
+    respondedAt: { type: Date },
+}, { timestamps: true });
+
+// Only one pending request per pair; answered requests are kept as history.
+FollowRequestSchema.index(
+    { requester: 1, target: 1 },
+    { unique: true, partialFilterExpression: { status: FOLLOW_REQUEST_STATUS.PENDING } }
+);
+FollowRequestSchema.index({ target: 1, status: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('FollowRequest', FollowRequestSchema);
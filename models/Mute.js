@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A mute hides a user's activity from the muter without touching the follow graph.
+const MuteSchema = new Schema({
+    muter: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    muted: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+MuteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+export default mongoose.model('Mute', MuteSchema);
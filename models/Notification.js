@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const NOTIFICATION_TYPES = {
+    NEW_FOLLOWER: 'new_follower',
+    FOLLOW_REQUEST: 'follow_request',
+    REQUEST_APPROVED: 'request_approved',
+};
+
+const NotificationSchema = new Schema({
+    recipient: { type: Schema.Types.ObjectId, ref: 'User', required: true },  // کاربری که اعلان را دریافت می‌کند
+    actor: { type: Schema.Types.ObjectId, ref: 'User', required: true },      // کاربری که عمل را انجام داده
+    type: { type: String, enum: Object.values(NOTIFICATION_TYPES), required: true },
+    readAt: { type: Date, default: null },
+}, { timestamps: true });
+
+NotificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ recipient: 1, readAt: 1 });
+
+export default mongoose.model('Notification', NotificationSchema);
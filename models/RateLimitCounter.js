@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One fixed-window counter of the Mongo rate limit store; `_id` is the rule key plus the window start.
+const RateLimitCounterSchema = new Schema({
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },  // پایان پنجره؛ سند پس از آن حذف می‌شود
+}, { versionKey: false });
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitCounter', RateLimitCounterSchema);
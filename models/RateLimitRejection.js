@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const REJECTION_TTL_DAYS = 30;
+
+// A request refused by a rate limit rule, kept for review.
+const RateLimitRejectionSchema = new Schema({
+    action: { type: String, required: true },   // follow، unfollow یا create
+    rule: { type: String, required: true },
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    target: { type: Schema.Types.ObjectId, ref: 'User' },
+    ip: { type: String },
+    count: { type: Number },
+    limit: { type: Number },
+    createdAt: { type: Date, default: Date.now },
+});
+
+RateLimitRejectionSchema.index({ createdAt: 1 }, { expireAfterSeconds: REJECTION_TTL_DAYS * 24 * 60 * 60 });
+RateLimitRejectionSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('RateLimitRejection', RateLimitRejectionSchema);
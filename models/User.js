@@ -2,16 +2,38 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+// Usernames are unique regardless of case; lookups by username must use this collation.
+export const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Follow edges are stored in the Follow collection, see models/Follow.js.
 const UserSchema = new Schema({
-    username: { type: String, required: true, unique: true },
-    followers: [{
-        followId: { type: Schema.Types.ObjectId, ref: 'User' },
-        date: { type: Date, default: Date.now },
-    }],   // کسایی که کاربر را دنبال می‌کنند
-    followings: [{
-        followingId: { type: Schema.Types.ObjectId, ref: 'User' },
-        date: { type: Date, default: Date.now },
-    }],  // افرادی که کاربر آنها را دنبال می‌کند
-}, { timestamps: true });
+    username: { type: String, required: true },
+    password: { type: String, required: true, select: false },  // هش scrypt به شکل salt:hash
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    isPrivate: { type: Boolean, default: false },  // دنبال کردن حساب خصوصی نیاز به تایید دارد
+    displayName: { type: String, trim: true, maxlength: 50 },
+    bio: { type: String, trim: true, maxlength: 160 },
+    avatarUrl: { type: String, trim: true },
+    verified: { type: Boolean, default: false },  // تیک تایید؛ فقط مدیر می‌تواند آن را تغییر دهد
+    followersCount: { type: Number, default: 0, min: 0 },   // همراه با یال‌های Follow به‌روز می‌شود
+    followingsCount: { type: Number, default: 0, min: 0 },
+    searchKeys: { type: [String], select: false },       // نام‌های نرمال‌شده برای جستجوی پیشوندی، از utils/search.js
+    searchTrigrams: { type: [String], select: false },   // سه‌حرفی‌های نام‌ها برای جستجوی تقریبی
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.password;
+            delete ret.searchKeys;
+            delete ret.searchTrigrams;
+            return ret;
+        }
+    }
+});
+
+UserSchema.index({ username: 1 }, { unique: true, collation: USERNAME_COLLATION, name: 'username_ci' });
+UserSchema.index({ followersCount: -1, _id: 1 });
+UserSchema.index({ searchKeys: 1 });
+UserSchema.index({ searchTrigrams: 1 });
 
 export default mongoose.model('User', UserSchema);
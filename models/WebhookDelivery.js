@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+};
+
+// One queued webhook call; `attemptLog` keeps the outcome of every try.
+const WebhookDeliverySchema = new Schema({
+    subscription: { type: Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+    event: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, required: true },
+    status: { type: String, enum: Object.values(DELIVERY_STATUS), default: DELIVERY_STATUS.PENDING },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    deliveredAt: { type: Date },
+    attemptLog: [{
+        _id: false,
+        at: { type: Date },
+        responseStatus: { type: Number },
+        error: { type: String },
+        durationMs: { type: Number },
+    }],
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
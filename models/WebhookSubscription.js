@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const WEBHOOK_EVENTS = {
+    FOLLOW: 'follow',
+    UNFOLLOW: 'unfollow',
+    USER_CREATED: 'user.created',
+};
+
+const WebhookSubscriptionSchema = new Schema({
+    url: { type: String, required: true },
+    events: [{ type: String, enum: Object.values(WEBHOOK_EVENTS) }],
+    secret: { type: String, required: true, select: false },  // کلید امضای HMAC، فقط هنگام ساخت برگردانده می‌شود
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,9 @@
+import express from 'express';
+import { graphqlHandler } from '../graphql/handler.js';
+import { authenticate } from '../utils/auth.js';
+
+const router = express.Router();
+
+router.all('/', authenticate, graphqlHandler);
+
+export default router;
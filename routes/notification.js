@@ -0,0 +1,12 @@
+import express from 'express';
+import { getNotifications, markAllNotificationsRead, markNotificationRead, streamNotifications } from '../controllers/notificationController.js';
+import { authenticate, tokenFromQuery } from '../utils/auth.js';
+
+const router = express.Router();
+
+router.get('/', authenticate, getNotifications);
+router.get('/stream', tokenFromQuery, authenticate, streamNotifications);
+router.post('/read-all', authenticate, markAllNotificationsRead);
+router.post('/:notificationId/read', authenticate, markNotificationRead);
+
+export default router;
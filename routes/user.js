@@ -1,13 +1,147 @@
 import express from 'express';
-import { createUser, followUser, getAllUsers, getCommonFollowers, getFollowersCountDaily, unfollowUser } from '../controllers/userController.js';
+import { createUser, followUser, getAllUsers, getCommonFollowers, getFollowers, getFollowersCountDaily, getFollowings, getTopUsers, loginUser, reconcileFollowEdges, undoUnfollowUser, unfollowUser } from '../controllers/userController.js';
+import { approveFollowRequest, cancelFollowRequest, getIncomingFollowRequests, rejectFollowRequest, updatePrivacy } from '../controllers/followRequestController.js';
+import { blockUser, muteUser, unblockUser, unmuteUser } from '../controllers/blockController.js';
+import { getSuggestions } from '../controllers/suggestionController.js';
+import { deleteUser, getProfile, updateProfile } from '../controllers/profileController.js';
+import { getFollowerAnalytics } from '../controllers/analyticsController.js';
+import { getFollowsBack, getMutualRelations, MUTUAL_RELATIONS } from '../controllers/mutualController.js';
+import { searchUsers } from '../controllers/searchController.js';
+import { getConnection } from '../controllers/connectionController.js';
+import { getActivityFeed } from '../controllers/activityController.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import { getRateLimitRejections } from '../controllers/rateLimitController.js';
+import { bulkFollow, bulkUnfollow, exportGraph, importGraph, MAX_BULK_ITEMS } from '../controllers/graphController.js';
+import { authenticate, authenticateOptional, requireRole, ROLES } from '../utils/auth.js';
+import { array, boolean, httpUrl, objectId, positiveInteger, string, username, validate } from '../utils/validation.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { GRANULARITIES } from '../utils/timeBuckets.js';
+import { SEARCH_QUERY_MAX_LENGTH } from '../utils/search.js';
+import { rateLimit } from '../utils/rateLimit.js';
+import { GRAPH_FORMATS } from '../utils/followGraph.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
 
 const router = express.Router();
 
-router.post('/create', createUser);
-router.post('/follow', followUser);
-router.post('/unfollow', unfollowUser);
-router.get('/all',getAllUsers);
-router.get('/:userId/followers/daily', getFollowersCountDaily);
-router.get('/mutual-followers/:userId1/:userId2', getCommonFollowers);
+const page = {
+    limit: positiveInteger({ message: UserResponseMessages.ERROR_LIMIT }),
+    cursor: string({ required: false, message: UserResponseMessages.ERROR_CURSOR }),
+};
+
+// `userId` names the acting user and is only accepted from admins.
+const actingUser = { userId: objectId({ required: false }) };
+
+const bulkIds = array({ min: 1, max: MAX_BULK_ITEMS, message: UserResponseMessages.ERROR_BULK_IDS });
+const graphFormat = string({ required: false, oneOf: GRAPH_FORMATS, message: UserResponseMessages.ERROR_GRAPH_FORMAT });
+const dryRun = string({ required: false, oneOf: ['true', 'false'] });
+
+const schemas = {
+    create: { body: { username: username(), password: string({ min: 8, message: UserResponseMessages.ERROR_PASSWORD }) } },
+    follow: { body: { ...actingUser, followId: objectId() } },
+    unfollow: { body: { ...actingUser, unfollowId: objectId() } },
+    undoUnfollow: { body: { ...actingUser, unfollowId: objectId() } },
+    bulkFollow: { body: { ...actingUser, followIds: bulkIds } },
+    bulkUnfollow: { body: { ...actingUser, unfollowIds: bulkIds } },
+    exportGraph: { query: { userId: objectId({ required: false }), format: graphFormat } },
+    importGraph: { query: { format: graphFormat, dryRun } },
+    block: { body: { ...actingUser, blockId: objectId() } },
+    unblock: { body: { ...actingUser, unblockId: objectId() } },
+    mute: { body: { ...actingUser, muteId: objectId() } },
+    unmute: { body: { ...actingUser, unmuteId: objectId() } },
+    privacy: { body: { isPrivate: boolean({ message: UserResponseMessages.ERROR_PRIVACY }) } },
+    followRequests: { query: page },
+    followRequest: { params: { requestId: objectId() } },
+    allUsers: { query: page },
+    topUsers: { query: { limit: page.limit } },
+    search: {
+        query: {
+            ...page,
+            q: string({ max: SEARCH_QUERY_MAX_LENGTH, message: UserResponseMessages.ERROR_SEARCH_QUERY }),
+        }
+    },
+    userList: { params: { userId: objectId() }, query: page },
+    user: { params: { userId: objectId() } },
+    followerStats: {
+        params: { userId: objectId() },
+        query: {
+            granularity: string({ required: false, oneOf: GRANULARITIES, message: UserResponseMessages.ERROR_GRANULARITY }),
+            tz: string({ required: false, message: UserResponseMessages.ERROR_TIMEZONE }),
+        }
+    },
+    suggestions: { params: { userId: objectId() }, query: { limit: page.limit } },
+    commonFollowers: { params: { userId1: objectId(), userId2: objectId() } },
+    mutual: {
+        query: {
+            ...page,
+            relation: string({ required: false, oneOf: MUTUAL_RELATIONS, message: UserResponseMessages.ERROR_RELATION }),
+        }
+    },
+    followsBack: { params: { userId: objectId(), otherId: objectId() } },
+    connection: {
+        params: { fromId: objectId(), toId: objectId() },
+        query: { maxDepth: positiveInteger({ message: UserResponseMessages.ERROR_CONNECTION_DEPTH }) },
+    },
+    updateProfile: {
+        params: { userId: objectId() },
+        body: {
+            username: username({ required: false }),
+            displayName: string({ required: false, max: 50 }),
+            bio: string({ required: false, max: 160 }),
+            avatarUrl: httpUrl({ required: false }),
+            verified: boolean({ required: false }),
+        }
+    },
+    rateLimitRejections: { query: { ...page, userId: objectId({ required: false }) } },
+    auditLog: {
+        query: {
+            ...page,
+            userId: objectId({ required: false }),
+            action: string({ required: false, oneOf: Object.values(AUDIT_ACTIONS), message: UserResponseMessages.ERROR_AUDIT_ACTION }),
+            from: string({ required: false, message: UserResponseMessages.ERROR_DATE_RANGE }),
+            to: string({ required: false, message: UserResponseMessages.ERROR_DATE_RANGE }),
+        }
+    },
+    reconcile: { query: { dryRun } },
+};
+
+router.post('/create', rateLimit('create'), validate(schemas.create), createUser);
+router.post('/login', rateLimit('login'), loginUser);
+router.post('/follow', authenticate, rateLimit('follow'), validate(schemas.follow), followUser);
+router.post('/unfollow', authenticate, rateLimit('unfollow'), validate(schemas.unfollow), unfollowUser);
+router.post('/unfollow/undo', authenticate, rateLimit('undoUnfollow'), validate(schemas.undoUnfollow), undoUnfollowUser);
+router.post('/follow/bulk', authenticate, requireRole(ROLES.ADMIN), validate(schemas.bulkFollow), bulkFollow);
+router.post('/unfollow/bulk', authenticate, requireRole(ROLES.ADMIN), validate(schemas.bulkUnfollow), bulkUnfollow);
+router.post('/block', authenticate, validate(schemas.block), blockUser);
+router.post('/unblock', authenticate, validate(schemas.unblock), unblockUser);
+router.post('/mute', authenticate, validate(schemas.mute), muteUser);
+router.post('/unmute', authenticate, validate(schemas.unmute), unmuteUser);
+router.post('/privacy', authenticate, validate(schemas.privacy), updatePrivacy);
+router.get('/follow-requests', authenticate, validate(schemas.followRequests), getIncomingFollowRequests);
+router.post('/follow-requests/:requestId/approve', authenticate, validate(schemas.followRequest), approveFollowRequest);
+router.post('/follow-requests/:requestId/reject', authenticate, validate(schemas.followRequest), rejectFollowRequest);
+router.post('/follow-requests/:requestId/cancel', authenticate, validate(schemas.followRequest), cancelFollowRequest);
+router.get('/all', authenticate, validate(schemas.allUsers), getAllUsers);
+router.get('/top', authenticate, validate(schemas.topUsers), getTopUsers);
+router.get('/search', authenticateOptional, validate(schemas.search), searchUsers);
+router.get('/:userId/followers', authenticate, validate(schemas.userList), getFollowers);
+router.get('/:userId/followings', authenticate, validate(schemas.userList), getFollowings);
+router.get('/:userId/followers/daily', authenticate, validate(schemas.user), getFollowersCountDaily);
+router.get('/:userId/followers/stats', authenticate, validate(schemas.followerStats), getFollowerAnalytics);
+router.get('/:userId/activity', authenticate, validate(schemas.userList), getActivityFeed);
+router.get('/:userId/suggestions', authenticate, validate(schemas.suggestions), getSuggestions);
+router.get('/mutual-followers/:userId1/:userId2', authenticate, validate(schemas.commonFollowers), getCommonFollowers);
+router.get('/mutual', authenticate, validate(schemas.mutual), getMutualRelations);
+router.get('/follows-back/:userId/:otherId', authenticate, validate(schemas.followsBack), getFollowsBack);
+router.get('/:fromId/connection/:toId', authenticate, validate(schemas.connection), getConnection);
+router.post('/admin/reconcile', authenticate, requireRole(ROLES.ADMIN), validate(schemas.reconcile), reconcileFollowEdges);
+router.get('/graph/export', authenticate, validate(schemas.exportGraph), exportGraph);
+router.post('/admin/graph/import', authenticate, requireRole(ROLES.ADMIN), validate(schemas.importGraph), importGraph);
+router.get('/admin/audit', authenticate, requireRole(ROLES.ADMIN), validate(schemas.auditLog), getAuditLog);
+router.get('/admin/rate-limit-rejections', authenticate, requireRole(ROLES.ADMIN), validate(schemas.rateLimitRejections), getRateLimitRejections);
+
+// Keep these last: `/:userId` would otherwise match the routes above.
+router.get('/:userId', authenticate, validate(schemas.user), getProfile);
+router.patch('/:userId', authenticate, validate(schemas.updateProfile), updateProfile);
+router.delete('/:userId', authenticate, validate(schemas.user), deleteUser);
 
 export default router;
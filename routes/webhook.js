@@ -0,0 +1,14 @@
+import express from 'express';
+import { createWebhook, deleteWebhook, getWebhookDeliveries, getWebhooks } from '../controllers/webhookController.js';
+import { authenticate, requireRole, ROLES } from '../utils/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireRole(ROLES.ADMIN));
+
+router.post('/', createWebhook);
+router.get('/', getWebhooks);
+router.get('/deliveries', getWebhookDeliveries);
+router.delete('/:webhookId', deleteWebhook);
+
+export default router;
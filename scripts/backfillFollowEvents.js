@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import Follow from '../models/Follow.js';
+import FollowEvent, { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+
+/**
+ * Creates a follow event for every existing follow edge that has none, dated at the edge's
+ * creation, so follower analytics also cover follows made before the event log existed.
+ *
+ * Usage: node scripts/backfillFollowEvents.js
+ *
+ * The script is idempotent and can be re-run.
+ */
+
+const BATCH_SIZE = 1000;
+
+const backfill = async () => {
+    await mongoose.connect(config.mongo.uri);
+
+    let operations = [];
+    let created = 0;
+
+    const flush = async () => {
+        if (!operations.length) return;
+        const result = await FollowEvent.bulkWrite(operations, { ordered: false });
+        created += result.upsertedCount;
+        operations = [];
+    };
+
+    for await (const edge of Follow.find({}, 'follower followee createdAt').lean().cursor()) {
+        operations.push({
+            updateOne: {
+                filter: { type: FOLLOW_EVENT_TYPES.FOLLOW, follower: edge.follower, followee: edge.followee },
+                update: { $setOnInsert: { createdAt: edge.createdAt } },
+                upsert: true
+            }
+        });
+
+        if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Created ${created} follow events.`);
+};
+
+backfill()
+    .catch(err => {
+        console.error('Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import User from '../models/User.js';
+import { searchFieldsFor } from '../utils/search.js';
+
+/**
+ * Fills in the search fields of every user from their username and display name,
+ * so users created before search existed can be found.
+ *
+ * Usage: node scripts/backfillSearchFields.js
+ *
+ * The script is idempotent and can be re-run.
+ */
+
+const BATCH_SIZE = 1000;
+
+const backfill = async () => {
+    await mongoose.connect(config.mongo.uri);
+
+    let operations = [];
+    let updated = 0;
+
+    const flush = async () => {
+        if (!operations.length) return;
+        const result = await User.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+        operations = [];
+    };
+
+    for await (const user of User.find({}, 'username displayName').lean().cursor()) {
+        operations.push({ updateOne: { filter: { _id: user._id }, update: { $set: searchFieldsFor(user) } } });
+
+        if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Updated the search fields of ${updated} users.`);
+};
+
+backfill()
+    .catch(err => {
+        console.error('Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import Follow from '../models/Follow.js';
+
+/**
+ * Converts the embedded `followers`/`followings` arrays of existing user documents into
+ * documents of the Follow collection.
+ *
+ * Usage: node scripts/migrateFollows.js [--drop-embedded]
+ *
+ * Both sides of every edge are read, so an edge that was only stored on one user is still
+ * migrated. When both sides carry a date, the earliest one is kept. The script is idempotent
+ * and can be re-run; with `--drop-embedded` the old arrays are removed afterwards.
+ */
+
+const BATCH_SIZE = 1000;
+const dropEmbedded = process.argv.includes('--drop-embedded');
+
+const upsertEdge = (follower, followee, date) => ({
+    updateOne: {
+        filter: { follower, followee },
+        update: { $min: { createdAt: date || new Date(0) } },
+        upsert: true
+    }
+});
+
+const migrate = async () => {
+    await mongoose.connect(config.mongo.uri);
+    await Follow.createIndexes();
+
+    // The User model no longer declares the embedded arrays, so read the raw collection.
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find(
+        { $or: [{ 'followers.0': { $exists: true } }, { 'followings.0': { $exists: true } }] },
+        { projection: { followers: 1, followings: 1 } }
+    );
+
+    let operations = [];
+    let usersScanned = 0;
+    let edgesWritten = 0;
+
+    const flush = async () => {
+        if (!operations.length) return;
+        const result = await Follow.bulkWrite(operations, { ordered: false });
+        edgesWritten += result.upsertedCount;
+        operations = [];
+    };
+
+    for await (const user of cursor) {
+        usersScanned++;
+
+        for (const { followingId, date } of user.followings || []) {
+            if (followingId && !followingId.equals(user._id)) operations.push(upsertEdge(user._id, followingId, date));
+        }
+        for (const { followId, date } of user.followers || []) {
+            if (followId && !followId.equals(user._id)) operations.push(upsertEdge(followId, user._id, date));
+        }
+
+        if (operations.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`Scanned ${usersScanned} users, created ${edgesWritten} follow edges.`);
+
+    if (dropEmbedded) {
+        const result = await users.updateMany({}, { $unset: { followers: '', followings: '' } });
+        console.log(`Removed embedded arrays from ${result.modifiedCount} users.`);
+    }
+};
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import User, { USERNAME_COLLATION } from '../models/User.js';
+
+/**
+ * Replaces the case-sensitive unique index on usernames (`username_1`) with the
+ * case-insensitive one (`username_ci`), so that e.g. "Ali" and "ali" cannot both sign up.
+ *
+ * Usage: node scripts/migrateUsernameIndex.js
+ *
+ * The new index cannot be built while usernames that differ only in case exist, so the
+ * script first lists them and stops without changing anything; rename or remove all but one
+ * of each group and run it again. The script is idempotent and can be re-run.
+ */
+
+const OLD_INDEX = 'username_1';
+const NEW_INDEX = 'username_ci';
+
+const migrate = async () => {
+    await mongoose.connect(config.mongo.uri);
+
+    // Grouping under the index collation puts usernames that differ only in case together.
+    const duplicates = await User.aggregate([
+        { $group: { _id: '$username', users: { $push: { _id: '$_id', username: '$username' } }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+    ]).collation(USERNAME_COLLATION).allowDiskUse(true);
+
+    if (duplicates.length) {
+        console.error(`Found ${duplicates.length} usernames taken more than once regardless of case:`);
+        for (const { users } of duplicates) {
+            console.error(`  ${users.map(user => `${user.username} (${user._id})`).join(', ')}`);
+        }
+        console.error('Rename or remove all but one user of each group, then run the migration again.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const indexes = (await User.collection.indexes()).map(index => index.name);
+
+    // Build the new index before dropping the old one, so usernames stay unique throughout.
+    if (!indexes.includes(NEW_INDEX)) {
+        await User.collection.createIndex({ username: 1 }, { unique: true, collation: USERNAME_COLLATION, name: NEW_INDEX });
+        console.log(`Created the ${NEW_INDEX} index.`);
+    }
+
+    if (indexes.includes(OLD_INDEX)) {
+        await User.collection.dropIndex(OLD_INDEX);
+        console.log(`Dropped the ${OLD_INDEX} index.`);
+    }
+
+    console.log('Usernames are now unique regardless of case.');
+};
+
+migrate()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import User from '../models/User.js';
+
+/**
+ * Gives an existing user the admin role.
+ *
+ * Usage: node scripts/promoteAdmin.js <username>
+ */
+
+const [username] = process.argv.slice(2);
+
+const promote = async () => {
+    if (!username) throw new Error('Usage: node scripts/promoteAdmin.js <username>');
+
+    await mongoose.connect(config.mongo.uri);
+
+    const user = await User.findOneAndUpdate({ username }, { role: 'admin' }, { new: true });
+    if (!user) throw new Error(`User "${username}" not found.`);
+
+    console.log(`User "${username}" is now an admin.`);
+};
+
+promote()
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { config } from '../utils/config.js';
+import { recountFollowCounts } from '../utils/followCounters.js';
+
+/**
+ * Recounts every user's follow edges and fixes the stored follower/following counters.
+ * Run it once after upgrading, to fill in the counters of existing users.
+ *
+ * Usage: node scripts/recountFollows.js [--dry-run]
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const recount = async () => {
+    await mongoose.connect(config.mongo.uri);
+
+    const { drifted, corrected } = await recountFollowCounts({ dryRun });
+
+    console.log(dryRun
+        ? `${drifted.length} users have drifted counters.`
+        : `Corrected the counters of ${corrected} users.`);
+};
+
+recount()
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,56 @@
+import http from 'http';
+import crypto from 'crypto';
+import { signPayload } from '../utils/webhooks.js';
+
+/**
+ * Stand-in webhook receiver for local testing. It verifies the signature and the
+ * timestamp of every delivery and logs the event.
+ * Set FAIL_RATE (0-1) to answer a share of the deliveries with 500 and exercise retries.
+ *
+ * Usage: WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js [port]
+ */
+
+const PORT = Number(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const MAX_CLOCK_SKEW_S = 5 * 60;
+
+if (!SECRET) {
+    console.error('Usage: WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js [port]');
+    process.exit(1);
+}
+
+const isValidSignature = (timestamp, body, signature) => {
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_CLOCK_SKEW_S) return false;
+
+    const expected = Buffer.from(signPayload(SECRET, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const timestamp = req.headers['x-webhook-timestamp'];
+        const signature = req.headers['x-webhook-signature'];
+
+        if (!isValidSignature(timestamp, body, signature)) {
+            console.warn(`Rejected ${req.headers['x-webhook-id']}: invalid signature`);
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (Math.random() < FAIL_RATE) {
+            console.warn(`Failing ${req.headers['x-webhook-id']} on purpose`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        console.log(`${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']}`, body);
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(PORT, () => console.log(`Webhook receiver listening on port ${PORT}`));
@@ -0,0 +1,180 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import FollowEvent from '../models/FollowEvent.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+import { encodeCursor } from '../utils/pagination.js';
+import { ACTIVITY_GROUP_WINDOW_MS } from '../controllers/activityController.js';
+
+const userId = new mongoose.Types.ObjectId();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+// Makes a stubbed query chain (`find().lean()`) resolve to `result`.
+const query = (result) => {
+    const chain = {
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const group = (actor, lastAt, count = 1) => ({
+    type: 'follow',
+    actor: { _id: actor, username: `user_${actor.toString().slice(-4)}` },
+    count,
+    targets: [{ _id: new mongoose.Types.ObjectId(), username: 'sara', followedAt: lastAt }],
+    firstAt: lastAt,
+    lastAt
+});
+
+// Serves `FollowEvent.aggregate` from `{ actor, at }` follows, applying the date filter, grouping,
+// cursor and limit stages of the feed's pipeline.
+const stubFeed = (events) => Sinon.stub(FollowEvent, 'aggregate').callsFake(async (pipeline) => {
+    const { createdAt } = pipeline[0].$match;
+    const groups = new Map();
+
+    for (const { actor, at } of events) {
+        if (at < createdAt.$gte || (createdAt.$lte && at > createdAt.$lte)) continue;
+
+        const key = `${actor}:${Math.floor(at.getTime() / ACTIVITY_GROUP_WINDOW_MS)}`;
+        const item = groups.get(key) || { ...group(actor, at, 0), firstAt: at };
+        item.count += 1;
+        if (at > item.lastAt) item.lastAt = at;
+        if (at < item.firstAt) item.firstAt = at;
+        groups.set(key, item);
+    }
+
+    const cursor = pipeline.find(stage => stage.$match?.$or?.[0]?.lastAt)?.$match.$or;
+    const { $limit } = pipeline.find(stage => stage.$limit);
+
+    return [...groups.values()]
+        .filter(item => !cursor || item.lastAt < cursor[0].lastAt.$lt ||
+            (item.lastAt.getTime() === cursor[1].lastAt.getTime() && item.actor._id.toString() < cursor[1]['_id.actor'].$lt.toString()))
+        .sort((a, b) => b.lastAt - a.lastAt || b.actor._id.toString().localeCompare(a.actor._id.toString()))
+        .slice(0, $limit);
+});
+
+describe('Activity Feed Controller', () => {
+    const followed = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const [friend, muted, blocked] = followed;
+
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([{ blocker: userId, blocked }]);
+        Sinon.stub(Mute, 'find').returns(query([{ muted }]));
+        Sinon.stub(Follow, 'find').returns(query(followed.map(followee => ({ followee }))));
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return grouped follows by followed accounts, leaving out muted and blocked ones', async () => {
+        const lastAt = new Date('2024-07-01T10:30:00Z');
+        const aggregateStub = Sinon.stub(FollowEvent, 'aggregate').resolves([group(friend, lastAt, 4)]);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/activity`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.ACTIVITY);
+        expect(res.body.user).to.have.lengthOf(1);
+        expect(res.body.user[0]).to.include({ type: 'follow', count: 4, lastAt: lastAt.toISOString() });
+        expect(res.body.pagination).to.deep.equal({ nextCursor: null });
+
+        const [{ $match }] = aggregateStub.firstCall.args[0];
+        expect($match.type).to.equal('follow');
+        expect($match.follower.$in).to.deep.equal([friend]);
+        expect($match.followee.$nin).to.deep.equal([blocked]);
+        expect($match.createdAt.$lte).to.equal(undefined);
+    });
+
+    it('should group follows by actor and window and hide private accounts the user does not follow', async () => {
+        const aggregateStub = Sinon.stub(FollowEvent, 'aggregate').resolves([]);
+
+        await request(app)
+            .get(`/api/users/${userId}/activity`)
+            .set(userAuth);
+
+        const pipeline = aggregateStub.firstCall.args[0];
+        const privacy = pipeline.find(stage => stage.$match?.$or?.[0]?.['target.isPrivate']);
+        expect(privacy.$match.$or[1].followee.$in).to.deep.equal([userId, ...followed]);
+
+        const { $group } = pipeline.find(stage => stage.$group);
+        expect($group._id.actor).to.equal('$follower');
+        expect($group.count).to.deep.equal({ $sum: 1 });
+    });
+
+    it('should paginate the items with a cursor', async () => {
+        const dates = [new Date('2024-07-03'), new Date('2024-07-02'), new Date('2024-07-01')];
+        const aggregateStub = Sinon.stub(FollowEvent, 'aggregate').resolves(dates.map(date => group(friend, date)));
+
+        const first = await request(app)
+            .get(`/api/users/${userId}/activity?limit=2`)
+            .set(userAuth);
+
+        expect(first.body.user).to.have.lengthOf(2);
+        expect(first.body.pagination.nextCursor).to.equal(encodeCursor({ id: friend, date: dates[1] }));
+
+        await request(app)
+            .get(`/api/users/${userId}/activity?limit=2&cursor=${first.body.pagination.nextCursor}`)
+            .set(userAuth);
+
+        const pipeline = aggregateStub.secondCall.args[0];
+        expect(pipeline[0].$match.createdAt.$lte).to.equal(undefined);
+        expect(pipeline.find(stage => stage.$match?.$or?.[0]?.lastAt).$match.$or).to.deep.equal([
+            { lastAt: { $lt: dates[1] } },
+            { lastAt: dates[1], '_id.actor': { $lt: friend } }
+        ]);
+    });
+
+    it('should return a group straddling the cursor once, with all of its follows', async () => {
+        const [a, b, c] = [friend, new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+        // Recent enough to be in the feed, in the same hour-long window.
+        const base = new Date(Math.floor(Date.now() / ACTIVITY_GROUP_WINDOW_MS) * ACTIVITY_GROUP_WINDOW_MS - 24 * ACTIVITY_GROUP_WINDOW_MS);
+        const at = minutes => new Date(base.getTime() + minutes * 60 * 1000);
+        stubFeed([{ actor: a, at: at(5) }, { actor: a, at: at(40) }, { actor: b, at: at(30) }, { actor: c, at: at(1) }]);
+
+        const items = [];
+        let cursor = null;
+        do {
+            const res = await request(app)
+                .get(`/api/users/${userId}/activity?limit=1${cursor ? `&cursor=${cursor}` : ''}`)
+                .set(userAuth);
+            expect(res.status).to.equal(200);
+            items.push(...res.body.user);
+            cursor = res.body.pagination.nextCursor;
+        } while (cursor && items.length < 5);
+
+        // Cut at B's date, A's group would come back with its earlier follow alone.
+        expect(items.map(item => [item.actor._id, item.count])).to.deep.equal([[a.toString(), 2], [b.toString(), 1], [c.toString(), 1]]);
+    });
+
+    it('should only let the user themselves or an admin read the feed', async () => {
+        const aggregateStub = Sinon.stub(FollowEvent, 'aggregate').resolves([]);
+
+        const res = await request(app)
+            .get(`/api/users/${new mongoose.Types.ObjectId()}/activity`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(403);
+        expect(aggregateStub.called).to.equal(false);
+    });
+
+    it('should return 422 for an invalid cursor', async () => {
+        const res = await request(app)
+            .get(`/api/users/${userId}/activity?cursor=not-a-cursor`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_CURSOR);
+    });
+});
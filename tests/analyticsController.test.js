@@ -0,0 +1,113 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowEvent from '../models/FollowEvent.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+import { bucketLabel, listBucketLabels } from '../utils/timeBuckets.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+describe('Time Buckets', () => {
+    it('should label weeks like MongoDB %G-W%V', () => {
+        expect(bucketLabel(new Date('2021-01-03T12:00:00Z'), 'week', 'UTC')).to.equal('2020-W53');
+        expect(bucketLabel(new Date('2021-01-04T12:00:00Z'), 'week', 'UTC')).to.equal('2021-W01');
+    });
+
+    it('should label buckets in the requested time zone', () => {
+        const date = new Date('2024-07-21T22:00:00Z');
+
+        expect(bucketLabel(date, 'day', 'UTC')).to.equal('2024-07-21');
+        expect(bucketLabel(date, 'day', 'Asia/Tehran')).to.equal('2024-07-22');
+        expect(bucketLabel(date, 'hour', 'Asia/Tehran')).to.equal('2024-07-22T01:00');
+    });
+
+    it('should list every bucket across a daylight saving change', () => {
+        const labels = listBucketLabels(new Date('2024-03-09T05:00:00Z'), new Date('2024-03-12T04:00:00Z'), 'day', 'America/New_York');
+
+        expect(labels).to.deep.equal(['2024-03-09', '2024-03-10', '2024-03-11']);
+    });
+});
+
+describe('Get Follower Analytics Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if the granularity is not valid', async () => {
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers/stats?granularity=year`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_GRANULARITY);
+    });
+
+    it('should return 422 if the time zone is not valid', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers/stats?tz=Mars/Olympus`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_TIMEZONE);
+    });
+
+    it('should return 422 if from is not before to', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers/stats?from=2024-07-05&to=2024-07-01`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_DATE_RANGE);
+    });
+
+    it('should return 422 if the range has too many buckets', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers/stats?granularity=hour&from=2020-01-01&to=2024-01-01`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_TOO_MANY_BUCKETS);
+    });
+
+    it('should fill empty buckets and compute cumulative counts from the current count', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+        const aggregateStub = Sinon.stub(FollowEvent, 'aggregate').resolves([{
+            buckets: [
+                { _id: '2024-07-01', gained: 3, lost: 1 },
+                { _id: '2024-07-03', gained: 0, lost: 2 }
+            ],
+            after: [{ _id: null, net: 4 }]
+        }]);
+        Sinon.stub(Follow, 'countDocuments').resolves(10);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers/stats?from=2024-07-01T00:00:00Z&to=2024-07-04T00:00:00Z`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOWER_ANALYTICS);
+        expect(res.body.user.buckets).to.deep.equal([
+            { period: '2024-07-01', gained: 3, lost: 1, net: 2, cumulative: 8 },
+            { period: '2024-07-02', gained: 0, lost: 0, net: 0, cumulative: 8 },
+            { period: '2024-07-03', gained: 0, lost: 2, net: -2, cumulative: 6 }
+        ]);
+        expect(res.body.user.totals).to.deep.equal({ gained: 3, lost: 3, net: 0 });
+
+        const group = aggregateStub.firstCall.args[0][1].$facet.buckets[1].$group;
+        expect(group._id.$dateToString).to.include({ format: '%Y-%m-%d', timezone: 'UTC' });
+    });
+});
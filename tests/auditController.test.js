@@ -0,0 +1,180 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import FollowRequest from '../models/FollowRequest.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+import { encodeCursor } from '../utils/pagination.js';
+
+const userId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+const userAuth = authHeader(userId);
+const adminAuth = authHeader(new mongoose.Types.ObjectId(), 'admin');
+
+const app = createApp();
+
+// Makes a stubbed query chain (`find().sort().limit().lean()` and friends) resolve to `result`.
+const query = (result) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+describe('Audit Log', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should record who blocked whom, from where, in the transaction of the block', async () => {
+        const session = fakeSession();
+        mongoose.startSession.resolves(session);
+        Sinon.stub(User, 'exists').resolves({ _id: otherId });
+        Sinon.stub(Block, 'create').resolves([{}]);
+        Sinon.stub(Follow, 'find').resolves([]);
+        Sinon.stub(Follow, 'deleteMany').resolves({ deletedCount: 0 });
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(FollowRequest, 'updateMany').resolves({ modifiedCount: 0 });
+        const auditStub = Sinon.stub(AuditLog, 'insertMany').resolves([]);
+
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(userAuth)
+            .set('User-Agent', 'test-agent/1.0')
+            .set('X-Request-Id', 'req-audit')
+            .send({ blockId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(auditStub.firstCall.args[0]).to.have.length(1);
+        expect(auditStub.firstCall.args[1].session).to.equal(session);
+        expect(auditStub.firstCall.args[0][0]).to.deep.include({
+            action: 'block',
+            actor: userId.toString(),
+            user: userId.toString(),
+            target: otherId.toString(),
+            userAgent: 'test-agent/1.0',
+            requestId: 'req-audit'
+        });
+        expect(auditStub.firstCall.args[0][0].ip).to.be.a('string');
+    });
+
+    it('should list entries for admins only, filtered by user, action and date range', async () => {
+        const entry = { _id: new mongoose.Types.ObjectId(), action: 'unfollow', user: userId, createdAt: new Date('2024-07-01') };
+        const findStub = Sinon.stub(AuditLog, 'find').returns(query([entry, { ...entry, _id: new mongoose.Types.ObjectId() }]));
+
+        const forbidden = await request(app)
+            .get('/api/users/admin/audit')
+            .set(userAuth);
+        expect(forbidden.status).to.equal(403);
+
+        const res = await request(app)
+            .get(`/api/users/admin/audit?userId=${userId}&action=unfollow&from=2024-06-01&to=2024-08-01&limit=1`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.AUDIT_LOG);
+        expect(res.body.user).to.have.length(1);
+        expect(res.body.pagination.nextCursor).to.equal(encodeCursor({ id: entry._id, date: entry.createdAt }));
+        expect(findStub.firstCall.args[0]).to.deep.equal({
+            action: 'unfollow',
+            createdAt: { $gte: new Date('2024-06-01'), $lt: new Date('2024-08-01') },
+            $and: [{ $or: [{ user: userId.toString() }, { target: userId.toString() }, { actor: userId.toString() }] }]
+        });
+    });
+
+    it('should reject unknown actions and invalid date ranges', async () => {
+        const unknownAction = await request(app)
+            .get('/api/users/admin/audit?action=login')
+            .set(adminAuth);
+        expect(unknownAction.status).to.equal(422);
+
+        const reversed = await request(app)
+            .get('/api/users/admin/audit?from=2024-08-01&to=2024-06-01')
+            .set(adminAuth);
+        expect(reversed.status).to.equal(422);
+        expect(reversed.body.message).to.equal(UserResponseMessages.ERROR_DATE_RANGE);
+    });
+});
+
+describe('Undo Unfollow Controller', () => {
+    const followedAt = new Date('2024-01-01');
+
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(User, 'exists').resolves({ _id: otherId });
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should restore the follow with its original date', async () => {
+        const eventId = new mongoose.Types.ObjectId();
+        const findStub = Sinon.stub(FollowEvent, 'findOne').returns(query({ _id: eventId, followedAt }));
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
+        const updateStub = Sinon.stub(FollowEvent, 'updateOne').resolves({ modifiedCount: 1 });
+
+        const res = await request(app)
+            .post('/api/users/unfollow/undo')
+            .set(userAuth)
+            .send({ unfollowId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.UNFOLLOW_UNDONE);
+        expect(findStub.firstCall.args[0]).to.deep.include({ type: 'unfollow', follower: userId.toString(), followee: otherId.toString() });
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ follower: userId.toString(), followee: otherId.toString(), createdAt: followedAt }]);
+        expect(updateStub.firstCall.args[0]).to.deep.equal({ _id: eventId });
+        expect(User.bulkWrite.firstCall.args[0][0].updateOne.update.$inc.followingsCount).to.equal(1);
+    });
+
+    it('should return 404 without a recent unfollow still to undo', async () => {
+        const findStub = Sinon.stub(FollowEvent, 'findOne').returns(query(null));
+
+        const res = await request(app)
+            .post('/api/users/unfollow/undo')
+            .set(userAuth)
+            .send({ unfollowId: otherId });
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UNDO_UNFOLLOW);
+        expect(findStub.firstCall.args[0].createdAt.$gte).to.be.instanceOf(Date);
+
+        findStub.returns(query({ _id: new mongoose.Types.ObjectId(), followedAt, undoneAt: new Date() }));
+        const undone = await request(app)
+            .post('/api/users/unfollow/undo')
+            .set(userAuth)
+            .send({ unfollowId: otherId });
+
+        expect(undone.status).to.equal(404);
+    });
+
+    it('should return 409 when the user is followed again already', async () => {
+        Sinon.stub(FollowEvent, 'findOne').returns(query({ _id: new mongoose.Types.ObjectId(), followedAt }));
+        Sinon.stub(Follow, 'create').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+        const res = await request(app)
+            .post('/api/users/unfollow/undo')
+            .set(userAuth)
+            .send({ unfollowId: otherId });
+
+        expect(res.status).to.equal(409);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
+    });
+});
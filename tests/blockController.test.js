@@ -0,0 +1,179 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherId = new mongoose.Types.ObjectId().toString();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+describe('Block User Controller', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if blockId is not valid', async () => {
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(userAuth)
+            .send({ blockId: 'invalidId' });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+
+    it('should return 422 if the user blocks themselves', async () => {
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(userAuth)
+            .send({ blockId: userId });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+    });
+
+    it('should return 422 if the user blocks their own id in upper case', async () => {
+        const ownId = 'abcdefabcdefabcdefabcdef';
+        const createStub = Sinon.stub(Block, 'create');
+
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(authHeader(ownId))
+            .send({ blockId: ownId.toUpperCase() });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+        expect(createStub.called).to.equal(false);
+    });
+
+    it('should return 409 if the user is already blocked', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: otherId });
+        Sinon.stub(Block, 'create').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+        const deleteStub = Sinon.stub(Follow, 'deleteMany');
+
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(userAuth)
+            .send({ blockId: otherId });
+
+        expect(res.status).to.equal(409);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_ALREADY_BLOCKED);
+        expect(deleteStub.called).to.equal(false);
+    });
+
+    it('should block and remove follow edges and requests in both directions', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: otherId });
+        const createStub = Sinon.stub(Block, 'create').resolves([{}]);
+        const removedEdges = [{ follower: userId, followee: otherId }, { follower: otherId, followee: userId }];
+        Sinon.stub(Follow, 'find').resolves(removedEdges);
+        const deleteStub = Sinon.stub(Follow, 'deleteMany').resolves({ deletedCount: 2 });
+        const eventStub = Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        const requestsStub = Sinon.stub(FollowRequest, 'updateMany').resolves({ modifiedCount: 0 });
+
+        const res = await request(app)
+            .post('/api/users/block')
+            .set(userAuth)
+            .send({ blockId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.BLOCKED);
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ blocker: userId, blocked: otherId }]);
+        expect(deleteStub.firstCall.args[0]).to.deep.equal({
+            $or: [
+                { follower: userId, followee: otherId },
+                { follower: otherId, followee: userId }
+            ]
+        });
+        expect(requestsStub.firstCall.args[1].status).to.equal('cancelled');
+        expect(eventStub.firstCall.args[0].map(e => e.type)).to.deep.equal(['unfollow', 'unfollow']);
+    });
+
+    it('should return 404 when unblocking a user that is not blocked', async () => {
+        Sinon.stub(Block, 'findOneAndDelete').resolves(null);
+
+        const res = await request(app)
+            .post('/api/users/unblock')
+            .set(userAuth)
+            .send({ unblockId: otherId });
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_NOT_BLOCKED);
+    });
+
+    it('should unblock a user', async () => {
+        const deleteStub = Sinon.stub(Block, 'findOneAndDelete').resolves({ blocker: userId, blocked: otherId });
+
+        const res = await request(app)
+            .post('/api/users/unblock')
+            .set(userAuth)
+            .send({ unblockId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.UNBLOCKED);
+        expect(deleteStub.firstCall.args[0]).to.deep.equal({ blocker: userId, blocked: otherId });
+    });
+});
+
+describe('Mute User Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 404 if the muted user is not found', async () => {
+        Sinon.stub(User, 'exists').resolves(null);
+
+        const res = await request(app)
+            .post('/api/users/mute')
+            .set(userAuth)
+            .send({ muteId: otherId });
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+    });
+
+    it('should mute a user without touching follow edges', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: otherId });
+        const createStub = Sinon.stub(Mute, 'create').resolves({});
+        const deleteStub = Sinon.stub(Follow, 'deleteMany');
+
+        const res = await request(app)
+            .post('/api/users/mute')
+            .set(userAuth)
+            .send({ muteId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.MUTED);
+        expect(createStub.firstCall.args[0]).to.deep.equal({ muter: userId, muted: otherId });
+        expect(deleteStub.called).to.equal(false);
+    });
+
+    it('should return 404 when unmuting a user that is not muted', async () => {
+        Sinon.stub(Mute, 'findOneAndDelete').resolves(null);
+
+        const res = await request(app)
+            .post('/api/users/unmute')
+            .set(userAuth)
+            .send({ unmuteId: otherId });
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_NOT_MUTED);
+    });
+});
@@ -0,0 +1,183 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+import { findFollowPath } from '../utils/followPath.js';
+
+const viewerId = new mongoose.Types.ObjectId().toString();
+const userAuth = authHeader(viewerId);
+
+const app = createApp();
+
+// Makes a stubbed query chain (`find().limit().maxTimeMS().lean()` and friends) resolve to `result`.
+const query = (result) => {
+    const chain = {
+        limit: () => chain,
+        maxTimeMS: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const ids = Object.fromEntries(['a', 'b', 'c', 'd', 'e', 'x'].map(name => [name, new mongoose.Types.ObjectId()]));
+const nameOf = id => Object.keys(ids).find(name => ids[name].equals(id));
+
+// Serves `Follow.find` from a list of `follower->followee` edges, honouring `$in` and `$nin`.
+const stubGraph = (edges) => Sinon.stub(Follow, 'find').callsFake((filter) => {
+    const [ownField, otherField] = filter.follower?.$in ? ['follower', 'followee'] : ['followee', 'follower'];
+    const inIds = filter[ownField].$in.map(String);
+    const ninIds = filter[otherField].$nin.map(String);
+
+    return query(edges
+        .map(edge => edge.split('->'))
+        .map(([follower, followee]) => ({ follower: ids[follower], followee: ids[followee] }))
+        .filter(edge => inIds.includes(edge[ownField].toString()) && !ninIds.includes(edge[otherField].toString())));
+});
+
+describe('Connection Controller', () => {
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([]);
+        Sinon.stub(User, 'countDocuments').resolves(2);
+        Sinon.stub(User, 'find').callsFake(({ _id }) => query(_id.$in.map(id => ({ _id: new mongoose.Types.ObjectId(id), username: nameOf(id) }))));
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return the shortest follow path and its degree', async () => {
+        stubGraph(['a->b', 'b->c', 'c->d', 'a->e', 'e->x', 'x->c']);
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.d}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.CONNECTION);
+        expect(res.body.user).to.include({ connected: true, degree: 3, maxDepth: 6, truncated: false });
+        expect(res.body.user.path.map(user => user.username)).to.deep.equal(['a', 'b', 'c', 'd']);
+    });
+
+    it('should only follow edges in their direction', async () => {
+        stubGraph(['b->a', 'c->b']);
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.c}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.NO_CONNECTION);
+        expect(res.body.user).to.deep.include({ connected: false, degree: null, path: [], truncated: false });
+    });
+
+    it('should not look further than maxDepth', async () => {
+        stubGraph(['a->b', 'b->c', 'c->d']);
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.d}?maxDepth=2`)
+            .set(userAuth);
+
+        expect(res.body.user).to.include({ connected: false, maxDepth: 2 });
+    });
+
+    it('should route around users the caller has blocked', async () => {
+        Block.find.resolves([{ blocker: new mongoose.Types.ObjectId(viewerId), blocked: ids.b }]);
+        stubGraph(['a->b', 'b->d', 'a->e', 'e->x', 'x->d']);
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.d}`)
+            .set(userAuth);
+
+        expect(res.body.user.path.map(user => user.username)).to.deep.equal(['a', 'e', 'x', 'd']);
+    });
+
+    it('should return 404 if a user does not exist or is blocked', async () => {
+        User.countDocuments.resolves(1);
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.d}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(404);
+    });
+
+    it('should return 422 for the same user or a depth over the maximum', async () => {
+        const same = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.a}`)
+            .set(userAuth);
+        expect(same.status).to.equal(422);
+        expect(same.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+
+        for (const maxDepth of ['0', 'two', '7']) {
+            const res = await request(app)
+                .get(`/api/users/${ids.a}/connection/${ids.d}?maxDepth=${maxDepth}`)
+                .set(userAuth);
+            expect(res.status).to.equal(422);
+            expect(res.body.message).to.equal(UserResponseMessages.ERROR_CONNECTION_DEPTH);
+        }
+    });
+
+    it('should report a search cut short by its time budget', async () => {
+        Sinon.stub(Follow, 'find').returns({
+            limit: () => ({
+                maxTimeMS: () => ({ lean: () => Promise.reject(Object.assign(new Error('operation exceeded time limit'), { code: 50 })) })
+            })
+        });
+
+        const res = await request(app)
+            .get(`/api/users/${ids.a}/connection/${ids.d}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.user).to.include({ connected: false, truncated: true });
+    });
+});
+
+describe('Find Follow Path', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should grow the smaller side of the search first', async () => {
+        // `a` follows many users; `d` has a single follower.
+        const findStub = stubGraph(['a->b', 'a->e', 'a->x', 'c->d', 'b->c']);
+
+        const result = await findFollowPath(ids.a, ids.d, { maxDepth: 6, timeBudgetMs: 1000 });
+
+        expect(result).to.deep.equal({ path: [ids.a, ids.b, ids.c, ids.d].map(String), degree: 3, truncated: false });
+        expect(findStub.firstCall.args[0]).to.have.property('follower');
+        expect(findStub.secondCall.args[0]).to.have.property('followee');
+    });
+
+    it('should stop once the time budget is spent', async () => {
+        const clock = Sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        Sinon.stub(Follow, 'find').callsFake(() => {
+            clock.tick(2000);
+            return query([{ follower: ids.a, followee: ids.b }]);
+        });
+
+        const result = await findFollowPath(ids.a, ids.d, { maxDepth: 6, timeBudgetMs: 1000 });
+
+        expect(result).to.deep.equal({ path: null, degree: null, truncated: true });
+    });
+
+    it('should read no more edges than the users it may still reach', async () => {
+        // `a` and `d` take two of the four users; the first level may reach the other two only.
+        const chain = query([{ follower: ids.a, followee: ids.b }, { follower: ids.a, followee: ids.e }]);
+        const limitSpy = Sinon.spy(chain, 'limit');
+        Sinon.stub(Follow, 'find').returns(chain);
+
+        const result = await findFollowPath(ids.a, ids.d, { maxDepth: 6, timeBudgetMs: 1000, maxVisited: 4 });
+
+        expect(limitSpy.firstCall.args[0]).to.equal(2);
+        expect(Follow.find.calledOnce).to.equal(true);
+        expect(result).to.deep.equal({ path: null, degree: null, truncated: true });
+    });
+});
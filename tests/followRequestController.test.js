@@ -0,0 +1,175 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+
+const targetId = new mongoose.Types.ObjectId().toString();
+const requesterId = new mongoose.Types.ObjectId().toString();
+const targetAuth = authHeader(targetId);
+const requesterAuth = authHeader(requesterId);
+
+const app = createApp();
+
+describe('Update Privacy Controller', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if isPrivate is not a boolean', async () => {
+        const res = await request(app)
+            .post('/api/users/privacy')
+            .set(targetAuth)
+            .send({ isPrivate: 'yes' });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_PRIVACY);
+    });
+
+    it('should update the privacy of the authenticated user', async () => {
+        const updateStub = Sinon.stub(User, 'findByIdAndUpdate').resolves({ _id: targetId, isPrivate: true });
+
+        const res = await request(app)
+            .post('/api/users/privacy')
+            .set(targetAuth)
+            .send({ isPrivate: true });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.PRIVACY_UPDATED);
+        expect(updateStub.firstCall.args.slice(0, 2)).to.deep.equal([targetId, { isPrivate: true }]);
+        expect(AuditLog.insertMany.firstCall.args[0][0]).to.deep.include({ action: 'profile.update', details: { changes: { isPrivate: true } } });
+    });
+});
+
+describe('Follow Request Controllers', () => {
+    const requestId = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should list incoming pending requests', async () => {
+        const pending = [{ _id: requestId, createdAt: new Date(), requester: { _id: requesterId, username: 'ali' } }];
+        const aggregateStub = Sinon.stub(FollowRequest, 'aggregate').resolves(pending);
+        Sinon.stub(FollowRequest, 'countDocuments').resolves(1);
+
+        const res = await request(app)
+            .get('/api/users/follow-requests')
+            .set(targetAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOW_REQUESTS);
+        expect(res.body.user[0].requester.username).to.equal('ali');
+        expect(res.body.pagination).to.deep.equal({ nextCursor: null, total: 1 });
+        expect(aggregateStub.firstCall.args[0][0].$match.target.toString()).to.equal(targetId);
+        expect(aggregateStub.firstCall.args[0][0].$match.status).to.equal('pending');
+    });
+
+    it('should return 422 if the request id is not valid', async () => {
+        const res = await request(app)
+            .post('/api/users/follow-requests/invalidId/approve')
+            .set(targetAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+
+    it('should return 404 if there is no pending request to approve', async () => {
+        Sinon.stub(FollowRequest, 'findOneAndUpdate').resolves(null);
+        const createStub = Sinon.stub(Follow, 'create');
+
+        const res = await request(app)
+            .post(`/api/users/follow-requests/${requestId}/approve`)
+            .set(targetAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_REQUEST_NOT_FOUND);
+        expect(createStub.called).to.equal(false);
+    });
+
+    it('should create the follow edge dated at the approval', async () => {
+        const respondedAt = new Date('2024-07-22T10:00:00Z');
+        const findStub = Sinon.stub(FollowRequest, 'findOneAndUpdate')
+            .resolves({ _id: requestId, requester: requesterId, target: targetId, status: 'approved', respondedAt });
+        Sinon.stub(Follow, 'exists').resolves(null);
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
+
+        const res = await request(app)
+            .post(`/api/users/follow-requests/${requestId}/approve`)
+            .set(targetAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.REQUEST_APPROVED);
+        expect(findStub.firstCall.args[0]).to.deep.equal({ _id: requestId, status: 'pending', target: targetId });
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ follower: requesterId, followee: targetId, createdAt: respondedAt }]);
+        expect(FollowEvent.insertMany.firstCall.args[0]).to.deep.equal([
+            { type: 'follow', follower: requesterId, followee: targetId, createdAt: respondedAt }
+        ]);
+    });
+
+    it('should approve a request from a user who already follows without writing the edge again', async () => {
+        const respondedAt = new Date('2024-07-22T10:00:00Z');
+        Sinon.stub(FollowRequest, 'findOneAndUpdate')
+            .resolves({ _id: requestId, requester: requesterId, target: targetId, status: 'approved', respondedAt });
+        const existsStub = Sinon.stub(Follow, 'exists').resolves({ _id: new mongoose.Types.ObjectId() });
+        // A duplicate key error inside the transaction would abort it, so it must not be attempted.
+        const createStub = Sinon.stub(Follow, 'create').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+        const emitSpy = Sinon.spy(eventBus, 'emit');
+
+        const res = await request(app)
+            .post(`/api/users/follow-requests/${requestId}/approve`)
+            .set(targetAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.REQUEST_APPROVED);
+        expect(existsStub.firstCall.args[0]).to.deep.equal({ follower: requesterId, followee: targetId });
+        expect(createStub.called).to.equal(false);
+        expect(FollowEvent.insertMany.called).to.equal(false);
+        expect(emitSpy.args.map(([event]) => event)).to.deep.equal([EVENTS.FOLLOW_REQUEST_APPROVED]);
+    });
+
+    it('should reject a request sent to the authenticated user', async () => {
+        const findStub = Sinon.stub(FollowRequest, 'findOneAndUpdate').resolves({ _id: requestId, status: 'rejected' });
+
+        const res = await request(app)
+            .post(`/api/users/follow-requests/${requestId}/reject`)
+            .set(targetAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.REQUEST_REJECTED);
+        expect(findStub.firstCall.args[0].target).to.equal(targetId);
+        expect(findStub.firstCall.args[1].status).to.equal('rejected');
+    });
+
+    it('should only let the requester cancel a request', async () => {
+        const findStub = Sinon.stub(FollowRequest, 'findOneAndUpdate').resolves({ _id: requestId, status: 'cancelled' });
+
+        const res = await request(app)
+            .post(`/api/users/follow-requests/${requestId}/cancel`)
+            .set(requesterAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.REQUEST_CANCELLED);
+        expect(findStub.firstCall.args[0]).to.deep.equal({ _id: requestId, status: 'pending', requester: requesterId });
+    });
+});
@@ -0,0 +1,284 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+
+const adminId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId().toString();
+const adminAuth = authHeader(adminId, 'admin');
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+// Makes a stubbed query chain (`find().sort().lean()` and friends) resolve to `result`.
+const query = (result) => {
+    const chain = {
+        sort: () => chain,
+        lean: () => chain,
+        cursor: () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+describe('Bulk Follow Controllers', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should only be available to admins', async () => {
+        const res = await request(app)
+            .post('/api/users/follow/bulk')
+            .set(userAuth)
+            .send({ followIds: [new mongoose.Types.ObjectId().toString()] });
+
+        expect(res.status).to.equal(403);
+    });
+
+    it('should return 422 if the ids are missing or too many', async () => {
+        for (const followIds of [undefined, [], 'not-a-list', Array(1001).fill(userId)]) {
+            const res = await request(app)
+                .post('/api/users/follow/bulk')
+                .set(adminAuth)
+                .send({ followIds });
+
+            expect(res.status).to.equal(422);
+            expect(res.body.message).to.equal(UserResponseMessages.ERROR_BULK_IDS);
+        }
+    });
+
+    it('should follow every user and report the status of each', async () => {
+        const [newId, privateId, followedId, missingId] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId().toString());
+
+        Sinon.stub(User, 'exists').resolves({ _id: adminId });
+        Sinon.stub(User, 'findById').callsFake(async (id) => {
+            if (id === missingId) return null;
+            return { _id: id, isPrivate: id === privateId };
+        });
+        Sinon.stub(Follow, 'exists').resolves(null);
+        Sinon.stub(FollowRequest, 'create').resolves([{ _id: new mongoose.Types.ObjectId(), createdAt: new Date() }]);
+        const createStub = Sinon.stub(Follow, 'create').callsFake(async ([edge]) => {
+            if (edge.followee === followedId) throw Object.assign(new Error('E11000'), { code: 11000 });
+            return [edge];
+        });
+
+        const res = await request(app)
+            .post('/api/users/follow/bulk')
+            .set(adminAuth)
+            .send({ followIds: [newId, privateId, followedId, missingId, 'invalidId', adminId] });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.BULK_FOLLOW);
+        expect(res.body.user.results.map(result => result.status)).to.deep.equal([
+            'ok', 'requested', 'already-following', 'not-found', 'invalid-id', 'same-user'
+        ]);
+        expect(res.body.user.summary).to.deep.equal({
+            ok: 1, requested: 1, 'already-following': 1, 'not-found': 1, 'invalid-id': 1, 'same-user': 1
+        });
+        expect(createStub.callCount).to.equal(2);
+    });
+
+    it('should unfollow users for the acting user and report the ones not followed', async () => {
+        const [followedId, notFollowedId] = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+        const deleteStub = Sinon.stub(Follow, 'findOneAndDelete').callsFake(async ({ followee }) =>
+            (followee === followedId ? { follower: userId, followee } : null));
+
+        const res = await request(app)
+            .post('/api/users/unfollow/bulk')
+            .set(adminAuth)
+            .send({ userId, unfollowIds: [followedId, notFollowedId] });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.BULK_UNFOLLOW);
+        expect(res.body.user.results).to.deep.equal([
+            { id: followedId, status: 'ok' },
+            { id: notFollowedId, status: 'not-following' }
+        ]);
+        expect(deleteStub.firstCall.args[0]).to.deep.equal({ follower: userId, followee: followedId });
+    });
+});
+
+describe('Follow Graph Export And Import', () => {
+    const [aliId, saraId, rezaId] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+    const date = new Date('2024-05-01T10:00:00.000Z');
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should export a user\'s edges as CSV', async () => {
+        const findStub = Sinon.stub(Follow, 'find').returns(query([
+            { follower: aliId, followee: saraId, createdAt: date },
+            { follower: saraId, followee: rezaId, createdAt: date },
+        ]));
+
+        const res = await request(app)
+            .get(`/api/users/graph/export?format=csv&userId=${userId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.match(/^text\/csv/);
+        expect(res.text).to.equal([
+            'follower,followee,createdAt',
+            `${aliId},${saraId},${date.toISOString()}`,
+            `${saraId},${rezaId},${date.toISOString()}`,
+            ''
+        ].join('\n'));
+        expect(findStub.firstCall.args[0]).to.deep.equal({ $or: [{ follower: userId }, { followee: userId }] });
+    });
+
+    it('should export the whole graph as NDJSON for admins only', async () => {
+        Sinon.stub(Follow, 'find').returns(query([{ follower: aliId, followee: saraId, createdAt: date }]));
+
+        const forbidden = await request(app)
+            .get('/api/users/graph/export')
+            .set(userAuth);
+        expect(forbidden.status).to.equal(403);
+
+        const res = await request(app)
+            .get('/api/users/graph/export')
+            .set(adminAuth)
+            .buffer(true)
+            .parse((response, callback) => {
+                let body = '';
+                response.on('data', chunk => { body += chunk; });
+                response.on('end', () => callback(null, body));
+            });
+
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.match(/^application\/x-ndjson/);
+        expect(JSON.parse(res.body.trim())).to.deep.equal({
+            follower: aliId.toString(), followee: saraId.toString(), createdAt: date.toISOString()
+        });
+    });
+
+    it('should return 422 for an unknown format', async () => {
+        const res = await request(app)
+            .get('/api/users/graph/export?format=xml')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_GRAPH_FORMAT);
+    });
+
+    it('should check an import without writing anything in dry-run mode', async () => {
+        const missingId = new mongoose.Types.ObjectId();
+        Sinon.stub(User, 'find').returns(query([{ _id: aliId }, { _id: saraId }, { _id: rezaId }]));
+        Sinon.stub(Follow, 'find').returns(query([{ follower: saraId, followee: rezaId }]));
+        Sinon.stub(Block, 'find').returns(query([]));
+        const insertStub = Sinon.stub(Follow, 'insertMany').resolves([]);
+
+        const csv = [
+            'follower,followee,createdAt',
+            `${aliId},${saraId},${date.toISOString()}`,
+            `${saraId},${rezaId}`,
+            `${aliId},${missingId}`,
+            `${aliId},${saraId}`,
+            'not-an-id,x',
+            `${aliId},${aliId.toString().toUpperCase()}`,
+        ].join('\n');
+
+        const res = await request(app)
+            .post('/api/users/admin/graph/import?format=csv&dryRun=true')
+            .set(adminAuth)
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.GRAPH_IMPORT_CHECKED);
+        expect(res.body.user).to.deep.include({ dryRun: true, total: 6 });
+        expect(res.body.user.summary).to.deep.equal({
+            ok: 1, 'already-following': 1, 'not-found': 1, duplicate: 1, 'invalid-id': 1, 'same-user': 1
+        });
+        expect(res.body.user.skipped).to.deep.include({ line: 6, status: 'invalid-id' });
+        expect(insertStub.called).to.equal(false);
+    });
+
+    it('should import NDJSON edges with their dates, counters and follow events', async () => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'find').returns(query([{ _id: aliId }, { _id: saraId }, { _id: rezaId }]));
+        Sinon.stub(Follow, 'find').returns(query([]));
+        Sinon.stub(Block, 'find').returns(query([{ blocker: rezaId, blocked: aliId }]));
+        const insertStub = Sinon.stub(Follow, 'insertMany').resolves([]);
+        const countersStub = Sinon.stub(User, 'bulkWrite').resolves({});
+        const eventStub = Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        const auditStub = Sinon.stub(AuditLog, 'insertMany').resolves([]);
+
+        const ndjson = [
+            JSON.stringify({ follower: aliId, followee: saraId, createdAt: date }),
+            JSON.stringify({ follower: aliId, followee: rezaId }),
+            '{ not json',
+        ].join('\n');
+
+        const res = await request(app)
+            .post('/api/users/admin/graph/import')
+            .set(adminAuth)
+            .set('Content-Type', 'application/x-ndjson')
+            .send(ndjson);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.GRAPH_IMPORTED);
+        expect(res.body.user.summary).to.deep.equal({ ok: 1, blocked: 1, 'invalid-row': 1 });
+        expect(insertStub.firstCall.args[0].map(({ _id, ...edge }) => edge)).to.deep.equal([{ follower: aliId, followee: saraId, createdAt: date }]);
+        expect(countersStub.calledOnce).to.equal(true);
+        expect(eventStub.firstCall.args[0][0]).to.deep.include({ follower: aliId, followee: saraId, createdAt: date });
+        // Imports emit no events, so they write their audit entries themselves.
+        expect(auditStub.firstCall.args[0]).to.have.length(1);
+        expect(auditStub.firstCall.args[0][0]).to.deep.include({
+            action: 'follow', actor: adminId, user: aliId, target: saraId, details: { import: true }
+        });
+        expect(auditStub.firstCall.args[1].session).to.equal(eventStub.firstCall.args[1].session);
+    });
+
+    it('should report edges created since the check as already following', async () => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'find').returns(query([{ _id: aliId }, { _id: saraId }, { _id: rezaId }]));
+        Sinon.stub(Follow, 'find').returns(query([]));
+        Sinon.stub(Block, 'find').returns(query([]));
+        const duplicate = Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            writeErrors: [{ index: 0, code: 11000 }]
+        });
+        const insertStub = Sinon.stub(Follow, 'insertMany');
+        insertStub.onFirstCall().rejects(duplicate);
+        insertStub.onSecondCall().resolves([]);
+        const countersStub = Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+
+        const ndjson = [
+            JSON.stringify({ follower: aliId, followee: saraId, createdAt: date }),
+            JSON.stringify({ follower: aliId, followee: rezaId, createdAt: date }),
+        ].join('\n');
+
+        const res = await request(app)
+            .post('/api/users/admin/graph/import')
+            .set(adminAuth)
+            .set('Content-Type', 'application/x-ndjson')
+            .send(ndjson);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.user.summary).to.deep.equal({ ok: 1, 'already-following': 1 });
+        expect(res.body.user.skipped).to.deep.equal([{ line: 1, status: 'already-following' }]);
+        expect(insertStub.firstCall.args[1]).to.include({ ordered: false });
+        expect(insertStub.secondCall.args[0].map(({ _id, ...edge }) => edge)).to.deep.equal([{ follower: aliId, followee: rezaId, createdAt: date }]);
+        expect(countersStub.calledOnce).to.equal(true);
+    });
+});
@@ -0,0 +1,274 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+
+const viewerId = new mongoose.Types.ObjectId();
+const auth = authHeader(viewerId);
+
+const app = createApp();
+
+// Makes a stubbed query chain (`find().sort().limit().lean()` and friends) resolve to `result`.
+const query = (result) => {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return chain;
+};
+
+const makeUser = (username, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    username,
+    followersCount: 0,
+    followingsCount: 0,
+    ...fields
+});
+
+// Serves `User.find({ _id: { $in } })` from a fixed list of users.
+const stubUsers = (users) => Sinon.stub(User, 'find').callsFake(({ _id }) => query(
+    users.filter(user => _id.$in.some(id => id.toString() === user._id.toString()))
+));
+
+const graphql = (queryText, variables) => request(app).post('/graphql').set(auth).send({ query: queryText, variables });
+
+describe('GraphQL API', () => {
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 401 without a token', async () => {
+        const res = await request(app).post('/graphql').send({ query: '{ me { username } }' });
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UNAUTHORIZED);
+    });
+
+    it('should return a user with a page of followers and their counts', async () => {
+        const target = makeUser('target', { followersCount: 3 });
+        const followers = [makeUser('a', { followersCount: 10 }), makeUser('b', { followersCount: 20 })];
+        const findUsers = stubUsers([target, ...followers]);
+        const dates = [new Date('2024-07-02'), new Date('2024-07-01'), new Date('2024-06-30')];
+        const findEdges = Sinon.stub(Follow, 'aggregate').resolves([
+            { _id: new mongoose.Types.ObjectId(), follower: followers[0]._id, followee: target._id, createdAt: dates[0] },
+            { _id: new mongoose.Types.ObjectId(), follower: followers[1]._id, followee: target._id, createdAt: dates[1] },
+            { _id: new mongoose.Types.ObjectId(), follower: new mongoose.Types.ObjectId(), followee: target._id, createdAt: dates[2] },
+        ]);
+
+        const res = await graphql(`query ($id: ID!) {
+            user(id: $id) {
+                username
+                followers(first: 2) {
+                    totalCount
+                    pageInfo { hasNextPage endCursor }
+                    edges { followedAt node { username followersCount } }
+                }
+            }
+        }`, { id: target._id.toString() });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.errors).to.equal(undefined);
+
+        const { user } = res.body.data;
+        expect(user.username).to.equal('target');
+        expect(user.followers.totalCount).to.equal(3);
+        expect(user.followers.pageInfo.hasNextPage).to.equal(true);
+        expect(user.followers.edges).to.deep.equal([
+            { followedAt: dates[0].toISOString(), node: { username: 'a', followersCount: 10 } },
+            { followedAt: dates[1].toISOString(), node: { username: 'b', followersCount: 20 } },
+        ]);
+        expect(findEdges.firstCall.args[0][0].$match.followee).to.deep.equal({ $in: [target._id] });
+        expect(findEdges.firstCall.args[0][2]).to.deep.equal({ $match: { position: { $lte: 3 } } });
+        // The user and the followers are two lookups, not one per follower.
+        expect(findUsers.callCount).to.equal(2);
+    });
+
+    it('should load the users of nested connections in one batch per level', async () => {
+        const target = makeUser('target');
+        const followers = [makeUser('a'), makeUser('b')];
+        const secondLevel = [makeUser('c'), makeUser('d')];
+        const findUsers = stubUsers([target, ...followers, ...secondLevel]);
+        const followerOf = { [target._id]: followers, [followers[0]._id]: [secondLevel[0]], [followers[1]._id]: [secondLevel[1]] };
+        const findEdges = Sinon.stub(Follow, 'aggregate').callsFake(async ([{ $match }]) => $match.followee.$in.flatMap(followee =>
+            followerOf[followee].map(user => ({ _id: new mongoose.Types.ObjectId(), follower: user._id, followee, createdAt: new Date() }))
+        ));
+
+        const res = await graphql(`query ($id: ID!) {
+            user(id: $id) {
+                followers { edges { node { username followers { edges { node { username } } } } } }
+            }
+        }`, { id: target._id.toString() });
+
+        expect(res.body.errors).to.equal(undefined);
+        const names = res.body.data.user.followers.edges.map(({ node }) => [node.username, node.followers.edges.map(edge => edge.node.username)]);
+        expect(names).to.deep.equal([['a', ['c']], ['b', ['d']]]);
+        expect(findEdges.callCount).to.equal(2);
+        expect(findUsers.callCount).to.equal(3);
+    });
+
+    it('should hide users either side has blocked', async () => {
+        const blocked = makeUser('blocked');
+        stubUsers([blocked]);
+        Block.find.resolves([{ blocker: viewerId, blocked: blocked._id }]);
+
+        const res = await graphql('query ($id: ID!) { user(id: $id) { username } }', { id: blocked._id.toString() });
+
+        expect(res.body.errors).to.equal(undefined);
+        expect(res.body.data.user).to.equal(null);
+    });
+
+    it('should return the mutual followers of two users', async () => {
+        const user = makeUser('u');
+        const other = makeUser('o');
+        const mutual = makeUser('m', { followersCount: 5 });
+        stubUsers([user, other, mutual]);
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([{ items: [{ _id: mutual._id }], total: [{ count: 1 }] }]);
+
+        const res = await graphql(`query ($id: ID!, $with: ID!) {
+            user(id: $id) { mutualFollowers(with: $with) { totalCount pageInfo { hasNextPage } edges { node { username followersCount } } } }
+        }`, { id: user._id.toString(), with: other._id.toString() });
+
+        expect(res.body.errors).to.equal(undefined);
+        expect(res.body.data.user.mutualFollowers).to.deep.equal({
+            totalCount: 1,
+            pageInfo: { hasNextPage: false },
+            edges: [{ node: { username: 'm', followersCount: 5 } }]
+        });
+        expect(aggregateStub.firstCall.args[0][0]).to.deep.equal({ $match: { followee: { $in: [user._id, other._id] } } });
+    });
+
+    it('should report errors with the codes of the REST API', async () => {
+        const user = makeUser('u');
+        stubUsers([user]);
+
+        const res = await graphql(`query ($id: ID!) {
+            user(id: $id) { username mutualFollowers(with: $id) { totalCount } }
+        }`, { id: user._id.toString() });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.data.user).to.equal(null);
+        expect(res.body.errors[0]).to.deep.include({
+            message: UserResponseMessages.ERROR_IDS_SAME,
+            path: ['user', 'mutualFollowers'],
+            extensions: { code: 'VALIDATION_FAILED', status: 422, messageCode: 'ERROR_IDS_SAME' }
+        });
+    });
+
+    it('should return follower stats per granularity', async () => {
+        const user = makeUser('u');
+        stubUsers([user]);
+        Sinon.stub(FollowEvent, 'aggregate').resolves([{
+            buckets: [{ _id: '2024-07', gained: 3, lost: 1 }],
+            after: []
+        }]);
+        Sinon.stub(Follow, 'countDocuments').resolves(5);
+
+        const res = await graphql(`query ($id: ID!) {
+            user(id: $id) {
+                followerStats(granularity: MONTH, from: "2024-06-01T00:00:00Z", to: "2024-08-01T00:00:00Z") {
+                    granularity totals { gained lost net } buckets { period net cumulative }
+                }
+            }
+        }`, { id: user._id.toString() });
+
+        expect(res.body.errors).to.equal(undefined);
+        expect(res.body.data.user.followerStats).to.deep.equal({
+            granularity: 'MONTH',
+            totals: { gained: 3, lost: 1, net: 2 },
+            buckets: [{ period: '2024-06', net: 0, cumulative: 3 }, { period: '2024-07', net: 2, cumulative: 5 }]
+        });
+    });
+
+    it('should reject queries nested too deeply', async () => {
+        const nested = 'followers { edges { node { '.repeat(4) + 'username' + ' } } }'.repeat(4);
+
+        const res = await graphql(`{ me { ${nested} } }`);
+
+        expect(res.body.data).to.equal(undefined);
+        expect(res.body.errors[0].message).to.match(/nested deeper than 10/);
+    });
+
+    it('should reject queries that ask for too many values', async () => {
+        const wide = 'followers(first: 100) { edges { node { followers(first: 100) { edges { node { username } } } } } }';
+
+        const nested = await graphql(`{ me { ${wide} } }`);
+
+        expect(nested.body.data).to.equal(undefined);
+        expect(nested.body.errors[0].message).to.match(/more than the limit of 10000/);
+
+        // Each alias is counted, so repeating a cheaper selection adds up as well.
+        const page = 'followers(first: 100) { edges { node { username followersCount followingsCount } } }';
+        const aliased = await graphql(`{ ${Array.from({ length: 25 }, (_, i) => `u${i}: me { ${page} }`).join(' ')} }`);
+
+        expect(aliased.body.errors[0].message).to.match(/more than the limit/);
+
+        // Variables may hold any page size, so they count as the largest page.
+        const pages = 'followers(first: $n) { edges { node { followers(first: $n) { edges { node { username } } } } } }';
+        const variable = await graphql(`query ($n: Int) { me { ${pages} } }`, { n: 1 });
+
+        expect(variable.body.errors[0].message).to.match(/more than the limit/);
+    });
+});
+
+describe('GraphQL Mutations', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should follow a user and return their updated counters', async () => {
+        const followed = makeUser('followed', { followersCount: 8 });
+        Sinon.stub(User, 'exists').resolves({ _id: viewerId });
+        Sinon.stub(User, 'findById').resolves({ _id: followed._id, isPrivate: false });
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
+        stubUsers([followed]);
+
+        const res = await graphql('mutation ($id: ID!) { follow(id: $id) { requested user { username followersCount } } }', {
+            id: followed._id.toString()
+        });
+
+        expect(res.body.errors).to.equal(undefined);
+        expect(res.body.data.follow).to.deep.equal({ requested: false, user: { username: 'followed', followersCount: 8 } });
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ follower: viewerId.toString(), followee: followed._id.toString() }]);
+    });
+
+    it('should report an unfollow of a user not followed', async () => {
+        Sinon.stub(Follow, 'findOneAndDelete').resolves(null);
+
+        const res = await graphql('mutation ($id: ID!) { unfollow(id: $id) { user { username } } }', {
+            id: new mongoose.Types.ObjectId().toString()
+        });
+
+        expect(res.body.data).to.equal(null);
+        expect(res.body.errors[0].message).to.equal(UserResponseMessages.ERROR_UPDATE_UNFOLLOWING);
+        expect(res.body.errors[0].extensions).to.include({ code: 'NOT_FOUND', status: 404 });
+    });
+
+    it('should reject invalid ids', async () => {
+        const res = await graphql('mutation { follow(id: "not-an-id") { requested } }');
+
+        expect(res.body.errors[0].message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+        expect(res.body.errors[0].extensions.code).to.equal('VALIDATION_FAILED');
+    });
+});
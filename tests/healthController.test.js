@@ -0,0 +1,128 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { ConfigError, loadConfig, parseEnvFile, readEnv } from '../utils/config.js';
+
+describe('Health Controllers', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should report the process as healthy even when MongoDB is down', async () => {
+        const app = createApp();
+
+        const res = await request(app).get('/health');
+
+        expect(res.status).to.equal(200);
+        expect(res.body).to.include({ status: 'ok', mongo: 'disconnected' });
+    });
+
+    it('should only be ready while MongoDB is connected and the server is not shutting down', async () => {
+        const app = createApp();
+
+        const down = await request(app).get('/ready');
+        expect(down.status).to.equal(503);
+        expect(down.body).to.include({ status: 'unavailable', mongo: 'disconnected' });
+
+        // readyState is a non-configurable accessor over `_readyState`.
+        Sinon.stub(mongoose.connection, '_readyState').value(1);
+
+        const up = await request(app).get('/ready');
+        expect(up.status).to.equal(200);
+        expect(up.body).to.include({ status: 'ready', mongo: 'connected', shuttingDown: false });
+
+        app.locals.shuttingDown = true;
+
+        const draining = await request(app).get('/ready');
+        expect(draining.status).to.equal(503);
+        expect(draining.body.shuttingDown).to.equal(true);
+    });
+});
+
+describe('Configuration', () => {
+    it('should fall back to the defaults', () => {
+        const config = loadConfig({});
+
+        expect(config).to.deep.include({ env: 'development', port: 3000 });
+        expect(config.mongo).to.deep.equal({
+            uri: 'mongodb://localhost:27017/folowing-system',
+            minPoolSize: 0,
+            maxPoolSize: 10,
+            serverSelectionTimeoutMS: 5000
+        });
+        expect(config.features).to.deep.equal({ notifications: true, webhooks: true, followCountRecount: true });
+    });
+
+    it('should read and convert the variables', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            MONGO_URI: 'mongodb+srv://cluster.example.com/follows',
+            MONGO_MAX_POOL_SIZE: '50',
+            FEATURE_WEBHOOKS: 'false',
+            RATE_LIMIT_STORE: 'mongo',
+        });
+
+        expect(config.port).to.equal(8080);
+        expect(config.mongo).to.include({ uri: 'mongodb+srv://cluster.example.com/follows', maxPoolSize: 50 });
+        expect(config.features.webhooks).to.equal(false);
+        expect(config.rateLimit.store).to.equal('mongo');
+    });
+
+    it('should report every invalid variable at once', () => {
+        let error;
+        try {
+            loadConfig({ PORT: 'eighty', MONGO_URI: 'localhost', MONGO_MIN_POOL_SIZE: '20', FEATURE_WEBHOOKS: 'maybe' });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).to.be.instanceOf(ConfigError);
+        expect(error.problems).to.deep.equal([
+            'MONGO_URI must start with mongodb:// or mongodb+srv://',
+            'MONGO_MIN_POOL_SIZE must not be greater than MONGO_MAX_POOL_SIZE',
+            'PORT must be an integer between 1 and 65535',
+            'FEATURE_WEBHOOKS must be true or false',
+        ]);
+    });
+
+    it('should require a strong JWT_SECRET in production', () => {
+        expect(() => loadConfig({ NODE_ENV: 'production' })).to.throw(ConfigError, 'JWT_SECRET is required in production');
+        expect(() => loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'short' })).to.throw(ConfigError, 'at least 32 characters');
+
+        const config = loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'x'.repeat(32) });
+        expect(config.production).to.equal(true);
+    });
+
+    it('should parse .env files and let the environment win over them', () => {
+        expect(parseEnvFile([
+            '# comment',
+            'export PORT=4000',
+            'MONGO_URI="mongodb://db:27017/follows"',
+            'JWT_SECRET=\'a # b\'',
+            'FEATURE_WEBHOOKS=false # inline comment',
+            'not a variable',
+        ].join('\n'))).to.deep.equal({
+            PORT: '4000',
+            MONGO_URI: 'mongodb://db:27017/follows',
+            JWT_SECRET: 'a # b',
+            FEATURE_WEBHOOKS: 'false',
+        });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+        try {
+            fs.writeFileSync(path.join(dir, '.env'), 'PORT=4000\nMONGO_MAX_POOL_SIZE=20\n');
+            fs.writeFileSync(path.join(dir, '.env.test'), 'MONGO_MAX_POOL_SIZE=5\n');
+
+            const env = readEnv({ env: { NODE_ENV: 'test', PORT: '5000' }, dir });
+
+            expect(env).to.include({ NODE_ENV: 'test', PORT: '5000', MONGO_MAX_POOL_SIZE: '5' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,29 @@
+import { rememberAccount, signToken } from '../utils/auth.js';
+
+// A session that runs the transaction body directly, since tests have no replica set.
+export const fakeSession = () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {},
+});
+
+// Accounts that tokens were made for, so `authenticate` finds them without a database.
+const accounts = new Map();
+
+// A root hook: every test starts with those accounts cached, however long the run takes.
+beforeEach(() => {
+    for (const [userId, role] of accounts) rememberAccount(userId, { role });
+});
+
+/**
+ * This function returns an access token of `userId` with `role`, for an account that exists.
+ */
+export const tokenFor = (userId, role = 'user') => {
+    accounts.set(userId.toString(), role);
+    rememberAccount(userId, { role });
+    return signToken({ _id: userId, role });
+};
+
+/**
+ * This function returns the Authorization header of a request made by `userId` with `role`.
+ */
+export const authHeader = (userId, role = 'user') => ({ Authorization: `Bearer ${tokenFor(userId, role)}` });
@@ -0,0 +1,185 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+describe('Get Mutual Relations Controller', () => {
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const idsQuery = ids.join(',');
+
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if fewer than two ids are given', async () => {
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${ids[0]}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_MUTUAL_IDS);
+    });
+
+    it('should return 422 if an id is not valid', async () => {
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${ids[0]},invalidId`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+
+    it('should return 422 if an id is repeated in another case', async () => {
+        const id = 'abcdefabcdefabcdefabcdef';
+
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${id},${id.toUpperCase()}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+    });
+
+    it('should return 422 if the relation is not valid', async () => {
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${idsQuery}&relation=friends`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_RELATION);
+    });
+
+    it('should return 404 if one of the users is not found', async () => {
+        Sinon.stub(User, 'countDocuments').resolves(2);
+
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${idsQuery}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+    });
+
+    it('should return the users following all given users with a count', async () => {
+        const common = [
+            { _id: new mongoose.Types.ObjectId().toString(), username: 'ali' },
+            { _id: new mongoose.Types.ObjectId().toString(), username: 'sara' }
+        ];
+        Sinon.stub(User, 'countDocuments').resolves(3);
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([{ items: common, total: [{ count: 5 }] }]);
+
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${idsQuery}&limit=1`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.MUTUAL_RELATIONS);
+        expect(res.body.user).to.deep.equal([common[0]]);
+        expect(res.body.pagination.total).to.equal(5);
+        expect(res.body.pagination.nextCursor).to.be.a('string');
+
+        const pipeline = aggregateStub.firstCall.args[0];
+        expect(pipeline[0]).to.deep.equal({ $match: { followee: { $in: ids } } });
+        expect(pipeline[2]).to.deep.equal({ $match: { count: 3 } });
+    });
+
+    it('should match edges in both directions for mutuals', async () => {
+        Sinon.stub(User, 'countDocuments').resolves(2);
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([{ items: [], total: [] }]);
+
+        const res = await request(app)
+            .get(`/api/users/mutual?ids=${ids[0]}&ids=${ids[1]}&relation=mutuals`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.pagination).to.deep.equal({ nextCursor: null, total: 0 });
+
+        const pipeline = aggregateStub.firstCall.args[0];
+        expect(pipeline[0]).to.deep.equal({
+            $match: { $or: [{ follower: { $in: ids.slice(0, 2) } }, { followee: { $in: ids.slice(0, 2) } }] }
+        });
+        expect(pipeline).to.deep.include({ $match: { out: 1, in: 1 } });
+    });
+});
+
+describe('Get Follows Back Controller', () => {
+    const otherId = new mongoose.Types.ObjectId().toString();
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if the ids are the same', async () => {
+        const res = await request(app)
+            .get(`/api/users/follows-back/${otherId}/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+    });
+
+    it('should return 422 if the ids are the same in another case', async () => {
+        const id = 'abcdefabcdefabcdefabcdef';
+
+        const res = await request(app)
+            .get(`/api/users/follows-back/${id.toUpperCase()}/${id}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+    });
+
+    it('should return 404 if one of the users is not found', async () => {
+        Sinon.stub(User, 'countDocuments').resolves(1);
+        const findStub = Sinon.stub(Follow, 'find');
+
+        const res = await request(app)
+            .get(`/api/users/follows-back/${userId}/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+        expect(findStub.called).to.equal(false);
+    });
+
+    it('should report follows in both directions', async () => {
+        Sinon.stub(User, 'countDocuments').resolves(2);
+        Sinon.stub(Follow, 'find').resolves([{ follower: new mongoose.Types.ObjectId(otherId) }]);
+
+        const res = await request(app)
+            .get(`/api/users/follows-back/${userId}/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOWS_BACK);
+        expect(res.body.user).to.deep.equal({ follows: false, followsBack: true, mutual: false });
+    });
+
+    it('should report the follows of an id given in upper case', async () => {
+        const id = 'abcdefabcdefabcdefabcdef';
+        Sinon.stub(User, 'countDocuments').resolves(2);
+        Sinon.stub(Follow, 'find').resolves([{ follower: new mongoose.Types.ObjectId(id) }]);
+
+        const res = await request(app)
+            .get(`/api/users/follows-back/${id.toUpperCase()}/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.user).to.deep.equal({ follows: true, followsBack: false, mutual: false });
+    });
+});
@@ -0,0 +1,187 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import http from 'http';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import Notification from '../models/Notification.js';
+import mongoose from 'mongoose';
+import { tokenFor } from './helpers.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { notify, registerNotificationListeners } from '../utils/notifications.js';
+import { closeAll, countClients } from '../utils/notificationHub.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const token = tokenFor(userId);
+const userAuth = { Authorization: `Bearer ${token}` };
+
+const app = createApp();
+
+// Waits until the listeners registered with onEvent have run.
+const flushListeners = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Notification Controllers', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should list notifications with the unread count', async () => {
+        const notifications = [{
+            _id: new mongoose.Types.ObjectId().toString(),
+            type: 'new_follower',
+            createdAt: new Date().toISOString(),
+            read: false,
+            readAt: null,
+            actor: { _id: new mongoose.Types.ObjectId().toString(), username: 'ali' }
+        }];
+        const aggregateStub = Sinon.stub(Notification, 'aggregate').resolves(notifications);
+        Sinon.stub(Notification, 'countDocuments')
+            .onFirstCall().resolves(1)
+            .onSecondCall().resolves(1);
+
+        const res = await request(app)
+            .get('/api/notifications?unread=true')
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.NOTIFICATIONS);
+        expect(res.body.user).to.deep.equal(notifications);
+        expect(res.body.pagination).to.deep.equal({ nextCursor: null, total: 1, unreadCount: 1 });
+        expect(aggregateStub.firstCall.args[0][0].$match.readAt).to.equal(null);
+    });
+
+    it('should return 404 when marking a notification of someone else as read', async () => {
+        const updateStub = Sinon.stub(Notification, 'findOneAndUpdate').resolves(null);
+        const notificationId = new mongoose.Types.ObjectId().toString();
+
+        const res = await request(app)
+            .post(`/api/notifications/${notificationId}/read`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_NOTIFICATION_NOT_FOUND);
+        expect(updateStub.firstCall.args[0]).to.deep.equal({ _id: notificationId, recipient: userId });
+    });
+
+    it('should mark all notifications as read', async () => {
+        const updateStub = Sinon.stub(Notification, 'updateMany').resolves({ modifiedCount: 3 });
+
+        const res = await request(app)
+            .post('/api/notifications/read-all')
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.NOTIFICATIONS_READ);
+        expect(res.body.user).to.deep.equal({ updated: 3 });
+        expect(updateStub.firstCall.args[0]).to.deep.equal({ recipient: userId, readAt: null });
+    });
+});
+
+describe('Notification Listeners', () => {
+    let unregister;
+
+    beforeEach(() => {
+        unregister = registerNotificationListeners();
+    });
+
+    afterEach(() => {
+        unregister();
+        Sinon.restore();
+    });
+
+    it('should notify the followed user of a new follower', async () => {
+        const follower = new mongoose.Types.ObjectId().toString();
+        const createStub = Sinon.stub(Notification, 'create').resolves({ _id: new mongoose.Types.ObjectId() });
+
+        eventBus.emit(EVENTS.FOLLOWED, { follower, followee: userId, date: new Date() });
+        await flushListeners();
+
+        expect(createStub.firstCall.args[0]).to.deep.equal({ recipient: userId, actor: follower, type: 'new_follower' });
+    });
+
+    it('should notify the requester when a request is approved, without a new follower notification', async () => {
+        const requester = new mongoose.Types.ObjectId().toString();
+        const createStub = Sinon.stub(Notification, 'create').resolves({ _id: new mongoose.Types.ObjectId() });
+
+        eventBus.emit(EVENTS.FOLLOW_REQUEST_APPROVED, { requester, target: userId, date: new Date() });
+        eventBus.emit(EVENTS.FOLLOWED, { follower: requester, followee: userId, date: new Date(), viaRequest: true });
+        await flushListeners();
+
+        expect(createStub.calledOnce).to.equal(true);
+        expect(createStub.firstCall.args[0]).to.deep.equal({ recipient: requester, actor: userId, type: 'request_approved' });
+    });
+});
+
+describe('Notification Stream', () => {
+    let server;
+
+    before((done) => {
+        server = app.listen(0, done);
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should push new notifications to connected clients', async () => {
+        const notification = { _id: new mongoose.Types.ObjectId(), recipient: userId, type: 'new_follower' };
+        Sinon.stub(Notification, 'create').resolves(notification);
+
+        const { port } = server.address();
+        const received = await new Promise((resolve, reject) => {
+            const req = http.get(`http://127.0.0.1:${port}/api/notifications/stream?token=${token}`, (res) => {
+                expect(res.headers['content-type']).to.include('text/event-stream');
+
+                let body = '';
+                let notified = false;
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+                    if (!notified && body.includes('event: ready')) {
+                        notified = true;
+                        notify(userId, new mongoose.Types.ObjectId(), 'new_follower');
+                    }
+                    if (body.includes('"type":"new_follower"')) {
+                        req.destroy();
+                        resolve(body);
+                    }
+                });
+            });
+            req.on('error', reject);
+        });
+
+        expect(received).to.include('event: notification');
+        expect(received).to.include(`id: ${notification._id}`);
+        expect(received).to.include(`"type":"new_follower"`);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(countClients(userId)).to.equal(0);
+    });
+
+    it('should end every open stream when the server shuts down', async () => {
+        const { port } = server.address();
+        await new Promise((resolve, reject) => {
+            const req = http.get(`http://127.0.0.1:${port}/api/notifications/stream?token=${token}`, (res) => {
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    if (chunk.includes('event: ready')) closeAll();
+                });
+                res.on('end', resolve);
+            });
+            req.on('error', reject);
+        });
+
+        expect(countClients(userId)).to.equal(0);
+    });
+
+    it('should return 401 without a token', async () => {
+        const res = await request(app)
+            .get('/api/notifications/stream');
+
+        expect(res.status).to.equal(401);
+    });
+});
@@ -0,0 +1,243 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User, { USERNAME_COLLATION } from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import Notification from '../models/Notification.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import mongoose from 'mongoose';
+import { authHeader, fakeSession } from './helpers.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherId = new mongoose.Types.ObjectId().toString();
+const userAuth = authHeader(userId);
+const adminAuth = authHeader(new mongoose.Types.ObjectId(), 'admin');
+
+const app = createApp();
+
+describe('Get Profile Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return the profile with follower and following counts', async () => {
+        const user = new User({
+            _id: otherId, username: 'ali', displayName: 'Ali', bio: 'Hello', password: 'hash', followersCount: 5, followingsCount: 2
+        });
+        Sinon.stub(User, 'findById').resolves(user);
+        Sinon.stub(Block, 'exists').resolves(null);
+
+        const res = await request(app)
+            .get(`/api/users/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.PROFILE);
+        expect(res.body.user).to.include({ username: 'ali', displayName: 'Ali', bio: 'Hello', verified: false });
+        expect(res.body.user).to.include({ followersCount: 5, followingsCount: 2 });
+        expect(res.body.user).to.not.have.property('password');
+    });
+
+    it('should return 404 if either user has blocked the other', async () => {
+        Sinon.stub(User, 'findById').resolves(new User({ _id: otherId, username: 'ali' }));
+        Sinon.stub(Block, 'exists').resolves({ _id: 'block' });
+
+        const res = await request(app)
+            .get(`/api/users/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+    });
+
+    it('should return 422 if userId is not valid', async () => {
+        const res = await request(app)
+            .get('/api/users/invalidId')
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+});
+
+describe('Update Profile Controller', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should update the profile and clear fields sent as null', async () => {
+        Sinon.stub(User, 'findOne').resolves(null);
+        const updateStub = Sinon.stub(User, 'findByIdAndUpdate').resolves({ _id: userId, username: 'new.name' });
+
+        const res = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({ username: 'new.name', displayName: 'New Name', bio: null });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.PROFILE_UPDATED);
+        expect(updateStub.firstCall.args[1]).to.deep.equal({
+            $set: {
+                username: 'new.name',
+                displayName: 'New Name',
+                searchKeys: ['new.name', 'new', 'name', 'new name'],
+                searchTrigrams: ['new', 'nam', 'ame']
+            },
+            $unset: { bio: 1 }
+        });
+    });
+
+    it('should refresh the search fields from the unchanged name', async () => {
+        const findByIdStub = Sinon.stub(User, 'findById').resolves({ username: 'ali_k', displayName: 'Old Name' });
+        const updateStub = Sinon.stub(User, 'findByIdAndUpdate').resolves({ _id: userId, username: 'ali_k' });
+
+        const res = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({ displayName: 'Ali Karimi' });
+
+        expect(res.status).to.equal(200);
+        expect(findByIdStub.firstCall.args[1]).to.equal('username displayName');
+        expect(updateStub.firstCall.args[1].$set.searchKeys).to.deep.equal(['ali_k', 'ali', 'k', 'ali karimi', 'karimi']);
+    });
+
+    it('should return 409 if the new username is taken, ignoring case', async () => {
+        const findOneStub = Sinon.stub(User, 'findOne').resolves({ _id: otherId });
+
+        const res = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({ username: 'Taken' });
+
+        expect(res.status).to.equal(409);
+        expect(res.body.errors[0]).to.include({ path: 'body.username', code: 'taken' });
+        expect(findOneStub.firstCall.args[2]).to.deep.equal({ collation: USERNAME_COLLATION });
+    });
+
+    it('should return 403 when updating another user', async () => {
+        const res = await request(app)
+            .patch(`/api/users/${otherId}`)
+            .set(userAuth)
+            .send({ bio: 'Not mine' });
+
+        expect(res.status).to.equal(403);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_FORBIDDEN);
+    });
+
+    it('should only let admins change the verified flag', async () => {
+        const forbidden = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({ verified: true });
+
+        expect(forbidden.status).to.equal(403);
+
+        const updateStub = Sinon.stub(User, 'findByIdAndUpdate').resolves({ _id: userId, verified: true });
+
+        const res = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(adminAuth)
+            .send({ verified: true });
+
+        expect(res.status).to.equal(200);
+        expect(updateStub.firstCall.args[1]).to.deep.equal({ $set: { verified: true } });
+    });
+
+    it('should return 422 for an invalid avatar URL or an empty update', async () => {
+        const invalidUrl = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({ avatarUrl: 'javascript:alert(1)' });
+
+        expect(invalidUrl.status).to.equal(422);
+        expect(invalidUrl.body.errors[0]).to.include({ path: 'body.avatarUrl', code: 'invalid_format' });
+
+        const empty = await request(app)
+            .patch(`/api/users/${userId}`)
+            .set(userAuth)
+            .send({});
+
+        expect(empty.status).to.equal(422);
+        expect(empty.body.message).to.equal(UserResponseMessages.ERROR_PROFILE_EMPTY);
+    });
+});
+
+describe('Delete User Controller', () => {
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should delete the user and everything that references them', async () => {
+        const edges = [
+            { follower: userId, followee: otherId },
+            { follower: otherId, followee: userId }
+        ];
+        Sinon.stub(User, 'findByIdAndDelete').resolves({ _id: userId });
+        Sinon.stub(Follow, 'find').resolves(edges);
+        const followDeleteStub = Sinon.stub(Follow, 'deleteMany').resolves({ deletedCount: 2 });
+        const eventStub = Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        const requestDeleteStub = Sinon.stub(FollowRequest, 'deleteMany').resolves({});
+        const blockDeleteStub = Sinon.stub(Block, 'deleteMany').resolves({});
+        const muteDeleteStub = Sinon.stub(Mute, 'deleteMany').resolves({});
+        const notificationDeleteStub = Sinon.stub(Notification, 'deleteMany').resolves({});
+        const unfollowed = [];
+        const listener = payload => unfollowed.push(payload);
+        eventBus.on(EVENTS.UNFOLLOWED, listener);
+
+        try {
+            const res = await request(app)
+                .delete(`/api/users/${userId}`)
+                .set(userAuth);
+
+            expect(res.status).to.equal(200);
+            expect(res.body.message).to.equal(UserResponseMessages.USER_DELETED);
+        } finally {
+            eventBus.off(EVENTS.UNFOLLOWED, listener);
+        }
+
+        expect(followDeleteStub.firstCall.args[0]).to.deep.equal({ $or: [{ follower: userId }, { followee: userId }] });
+        expect(eventStub.firstCall.args[0].map(e => e.type)).to.deep.equal(['unfollow', 'unfollow']);
+        expect(requestDeleteStub.calledOnce).to.equal(true);
+        expect(blockDeleteStub.calledOnce).to.equal(true);
+        expect(muteDeleteStub.calledOnce).to.equal(true);
+        expect(notificationDeleteStub.calledOnce).to.equal(true);
+        expect(unfollowed).to.have.length(2);
+    });
+
+    it('should return 404 if the user does not exist', async () => {
+        Sinon.stub(User, 'findByIdAndDelete').resolves(null);
+
+        const res = await request(app)
+            .delete(`/api/users/${otherId}`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+    });
+
+    it('should return 403 when deleting another user', async () => {
+        const res = await request(app)
+            .delete(`/api/users/${otherId}`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(403);
+    });
+});
@@ -0,0 +1,116 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+import { encodeOffsetCursor } from '../utils/pagination.js';
+
+const userId = new mongoose.Types.ObjectId();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+describe('Search Users Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if the query is missing, blank or too long', async () => {
+        for (const q of ['', '%20%20', 'a'.repeat(51)]) {
+            const res = await request(app).get(`/api/users/search?q=${q}`);
+
+            expect(res.status).to.equal(422);
+            expect(res.body.message).to.equal(UserResponseMessages.ERROR_SEARCH_QUERY);
+        }
+    });
+
+    it('should return 422 if the cursor is not valid', async () => {
+        const res = await request(app).get('/api/users/search?q=ali&cursor=invalid');
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_CURSOR);
+    });
+
+    it('should match names by prefix and trigrams, ignoring case, for anonymous callers', async () => {
+        const blockStub = Sinon.stub(Block, 'find').resolves([]);
+        const users = [
+            { _id: new mongoose.Types.ObjectId(), username: 'ali_k', followersCount: 4 },
+            { _id: new mongoose.Types.ObjectId(), username: 'alireza', followersCount: 1 },
+        ];
+        const aggregateStub = Sinon.stub(User, 'aggregate').resolves(users);
+        const followStub = Sinon.stub(Follow, 'find').resolves([]);
+
+        const res = await request(app).get('/api/users/search?q=ALI&limit=1');
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.SEARCH_RESULTS);
+        expect(res.body.user).to.have.length(1);
+        expect(res.body.user[0]).to.not.have.property('isFollowing');
+        expect(res.body.pagination.nextCursor).to.equal(encodeOffsetCursor(1));
+        expect(blockStub.called).to.equal(false);
+        expect(followStub.called).to.equal(false);
+
+        const [match] = aggregateStub.firstCall.args[0];
+        expect(match.$match.$or).to.deep.equal([{ searchKeys: /^ali/ }, { searchTrigrams: { $in: ['ali'] } }]);
+    });
+
+    it('should skip the users already returned when a cursor is given', async () => {
+        const aggregateStub = Sinon.stub(User, 'aggregate').resolves([]);
+
+        const res = await request(app).get(`/api/users/search?q=al&cursor=${encodeOffsetCursor(20)}`);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.pagination.nextCursor).to.equal(null);
+        expect(aggregateStub.firstCall.args[0]).to.deep.include({ $skip: 20 });
+        // Queries shorter than a trigram only match by prefix.
+        expect(aggregateStub.firstCall.args[0][0].$match.$or).to.deep.equal([{ searchKeys: /^al/ }]);
+    });
+
+    it('should leave out blocked users and annotate results with the caller\'s relationship', async () => {
+        const blockedId = new mongoose.Types.ObjectId();
+        const friendId = new mongoose.Types.ObjectId();
+        const fanId = new mongoose.Types.ObjectId();
+
+        Sinon.stub(Block, 'find').resolves([{ blocker: userId, blocked: blockedId }]);
+        const aggregateStub = Sinon.stub(User, 'aggregate').resolves([
+            { _id: friendId, username: 'sara' },
+            { _id: fanId, username: 'sarah' },
+        ]);
+        Sinon.stub(Follow, 'find').resolves([
+            { follower: userId, followee: friendId },
+            { follower: friendId, followee: userId },
+            { follower: fanId, followee: userId },
+        ]);
+        const commonStub = Sinon.stub(Follow, 'aggregate').resolves([{ _id: friendId, count: 2 }]);
+
+        const res = await request(app)
+            .get('/api/users/search?q=sara')
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(aggregateStub.firstCall.args[0][0].$match._id).to.deep.equal({ $nin: [blockedId] });
+        expect(res.body.user[0]).to.include({
+            username: 'sara', isFollowing: true, followsYou: true, isMutual: true, mutualFollowersCount: 2
+        });
+        expect(res.body.user[1]).to.include({
+            username: 'sarah', isFollowing: false, followsYou: true, isMutual: false, mutualFollowersCount: 0
+        });
+        expect(commonStub.firstCall.args[0][0]).to.deep.equal({
+            $match: { followee: { $in: [userId, friendId, fanId] }, follower: { $nin: [blockedId] } }
+        });
+    });
+
+    it('should return 401 for an invalid token', async () => {
+        const res = await request(app)
+            .get('/api/users/search?q=sara')
+            .set({ Authorization: 'Bearer invalid' });
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_INVALID_TOKEN);
+    });
+});
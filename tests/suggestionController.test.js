@@ -0,0 +1,69 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const userAuth = authHeader(userId);
+
+const app = createApp();
+
+describe('Get Suggestions Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if userId is not valid', async () => {
+        const res = await request(app)
+            .get('/api/users/invalidId/suggestions')
+            .set(userAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+
+    it('should return 403 for another user\'s suggestions', async () => {
+        const res = await request(app)
+            .get(`/api/users/${new mongoose.Types.ObjectId()}/suggestions`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(403);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_FORBIDDEN);
+    });
+
+    it('should exclude the user, their followings and blocked users and explain each suggestion', async () => {
+        const followingId = new mongoose.Types.ObjectId();
+        const blockedId = new mongoose.Types.ObjectId();
+        const suggestion = {
+            _id: new mongoose.Types.ObjectId().toString(),
+            username: 'sara',
+            score: 3.2,
+            mutualCount: 3,
+            followersCount: 10,
+            sampleUsernames: ['ali', 'reza', 'mina'],
+        };
+
+        Sinon.stub(Follow, 'find').resolves([{ followee: followingId }]);
+        Sinon.stub(Block, 'find').resolves([{ blocker: userId, blocked: blockedId }]);
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([suggestion]);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/suggestions?limit=5`)
+            .set(userAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.SUGGESTIONS);
+        expect(res.body.user).to.deep.equal([{ ...suggestion, reason: 'Followed by 3 people you follow' }]);
+
+        const pipeline = aggregateStub.firstCall.args[0];
+        expect(pipeline[0]).to.deep.equal({
+            $match: { follower: { $in: [followingId] }, followee: { $nin: [userId, followingId, blockedId] } }
+        });
+        expect(pipeline.find(stage => stage.$limit)).to.deep.equal({ $limit: 5 });
+    });
+});
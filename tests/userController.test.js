@@ -1,44 +1,110 @@
 import request from 'supertest';
+import { createApp } from '../app.js';
 import express from 'express';
-import bodyParser from 'body-parser';
-import userRouter from '../routes/user.js';
 import { UserResponseMessages } from '../utils/constants.js';
 import { expect } from 'chai';
 import Sinon from 'sinon';
-import User from '../models/User.js';
+import User, { USERNAME_COLLATION } from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import FollowEvent from '../models/FollowEvent.js';
+import AuditLog from '../models/AuditLog.js';
 import mongoose from 'mongoose';
-import { getSuccessResponse } from '../utils/HandleResponse.js';
+import { assignRequestId, errorHandler, getSuccessResponse, notFound } from '../utils/HandleResponse.js';
+import { NotFoundError } from '../utils/errors.js';
+import { resolveLocale, t } from '../utils/i18n.js';
+import fa from '../utils/locales/fa.js';
+import { hashPassword, signToken, verifyPassword } from '../utils/auth.js';
+import { authHeader, fakeSession } from './helpers.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import RateLimitRejection from '../models/RateLimitRejection.js';
+import { createMongoStore, RATE_LIMITS, rateLimitStore } from '../utils/rateLimit.js';
+import { CACHE_TAGS, invalidateCache, registerCacheInvalidation, useCacheStore } from '../utils/responseCache.js';
+import { createCache, createMemoryStore } from '../utils/cache.js';
+import { config } from '../utils/config.js';
+
+const adminAuth = authHeader(new mongoose.Types.ObjectId(), 'admin');
+
+const app = createApp();
+
+// Every test request comes from the same IP, so start each test with fresh rate limit counters,
+// and with no responses cached by an earlier test.
+afterEach(() => Promise.all([rateLimitStore.reset(), invalidateCache([CACHE_TAGS.all])]));
 
-const app = express();
-app.use(bodyParser.json());
-app.use('/api/users', userRouter);
+describe('Create User', () => {
+    it('should return 422 if username is less than 3 characters', async () => {
+        const res = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'ab' });
 
-// Ensure the error handling middleware is in place
-app.use((err, req, res, next) => {
-    res.status(err.status || 400).json({
-        message: err.message,
-        stack: err.stack
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_USER_NAME);
     });
-});
 
-describe('Create User', () => {
-    it('should return 400 if username is less than 3 characters', async () => {
+    it('should return 422 instead of crashing if username is missing', async () => {
         const res = await request(app)
             .post('/api/users/create')
-            .send({ username: 'ab' });
+            .send({ password: 'secret-password' });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_USER_NAME);
+        expect(res.body.errors).to.deep.equal([
+            { path: 'body.username', code: 'required', message: UserResponseMessages.ERROR_USER_NAME }
+        ]);
+    });
+
+    it('should report every invalid field at once', async () => {
+        const res = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'no spaces!', password: 'short' });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.errors).to.deep.equal([
+            { path: 'body.username', code: 'invalid_format', message: UserResponseMessages.ERROR_USER_NAME_CHARSET },
+            { path: 'body.password', code: 'too_short', message: UserResponseMessages.ERROR_PASSWORD }
+        ]);
+    });
+
+    it('should return 422 if username is too long or reserved', async () => {
+        const tooLong = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'a'.repeat(31), password: 'secret-password' });
+
+        expect(tooLong.status).to.equal(422);
+        expect(tooLong.body.errors[0].code).to.equal('too_long');
+
+        const reserved = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'Admin', password: 'secret-password' });
+
+        expect(reserved.status).to.equal(422);
+        expect(reserved.body.errors[0]).to.include({ code: 'reserved', message: UserResponseMessages.ERROR_USER_NAME_RESERVED });
+    });
+
+    it('should compare usernames ignoring case', async () => {
+        const findOneStub = Sinon.stub(User, 'findOne').resolves({ username: 'ExistingUser' });
+
+        const res = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'existinguser', password: 'secret-password' });
+
+        expect(res.status).to.equal(409);
+        expect(res.body.errors[0]).to.include({ path: 'body.username', code: 'taken' });
+        expect(findOneStub.firstCall.args[2]).to.deep.equal({ collation: USERNAME_COLLATION });
+
+        Sinon.restore();
     });
 
-    it('should return 400 if username already exists', async () => {
+    it('should return 409 if username already exists', async () => {
         Sinon.stub(User, 'findOne').resolves({ username: 'existingUser' });
 
         const res = await request(app)
             .post('/api/users/create')
-            .send({ username: 'existingUser' });
+            .send({ username: 'existingUser', password: 'secret-password' });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(409);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_EXIST_USER);
 
         User.findOne.restore();
@@ -51,7 +117,7 @@ describe('Create User', () => {
 
         const res = await request(app)
             .post('/api/users/create')
-            .send({ username: 'validusername' });
+            .send({ username: 'validusername', password: 'secret-password' });
 
         expect(res.status).to.equal(201);
         expect(res.body.message).to.equal(UserResponseMessages.CREATED);
@@ -60,88 +126,427 @@ describe('Create User', () => {
         User.findOne.restore();
         User.create.restore();
     });
+
+    it('should return 422 if password is less than 8 characters', async () => {
+        const res = await request(app)
+            .post('/api/users/create')
+            .send({ username: 'validusername', password: 'short' });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_PASSWORD);
+    });
+
+    it('should store a hash instead of the password', async () => {
+        Sinon.stub(User, 'findOne').resolves(null);
+        const createStub = Sinon.stub(User, 'create').resolves({ _id: 'mockId', username: 'validusername' });
+
+        await request(app)
+            .post('/api/users/create')
+            .send({ username: 'validusername', password: 'secret-password' });
+
+        const { password } = createStub.firstCall.args[0];
+        expect(password).to.not.equal('secret-password');
+        expect(await verifyPassword('secret-password', password)).to.equal(true);
+
+        Sinon.restore();
+    });
+});
+
+describe('Login User', () => {
+    let storedUser;
+
+    before(async () => {
+        storedUser = {
+            _id: new mongoose.Types.ObjectId(),
+            username: 'validusername',
+            role: 'user',
+            password: await hashPassword('secret-password'),
+        };
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 401 if the password does not match', async () => {
+        Sinon.stub(User, 'findOne').returns({ select: Sinon.stub().resolves(storedUser) });
+
+        const res = await request(app)
+            .post('/api/users/login')
+            .send({ username: 'validusername', password: 'wrong-password' });
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_LOGIN);
+    });
+
+    it('should return 401 if the user does not exist', async () => {
+        Sinon.stub(User, 'findOne').returns({ select: Sinon.stub().resolves(null) });
+
+        const res = await request(app)
+            .post('/api/users/login')
+            .send({ username: 'missing', password: 'secret-password' });
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_LOGIN);
+    });
+
+    it('should return a token that authenticates the user', async () => {
+        Sinon.stub(User, 'findOne').returns({ select: Sinon.stub().resolves(storedUser) });
+
+        const res = await request(app)
+            .post('/api/users/login')
+            .send({ username: 'validusername', password: 'secret-password' });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.LOGGED_IN);
+        expect(res.body.user.user).to.deep.equal({ _id: storedUser._id.toString(), username: 'validusername', role: 'user' });
+
+        Sinon.stub(User, 'aggregate').resolves([]);
+        Sinon.stub(Block, 'find').resolves([]);
+        const all = await request(app)
+            .get('/api/users/all')
+            .set('Authorization', `Bearer ${res.body.user.token}`);
+
+        expect(all.status).to.equal(200);
+    });
+});
+
+describe('Authorization', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const otherId = new mongoose.Types.ObjectId().toString();
+    const userAuth = authHeader(userId);
+
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 401 without a token', async () => {
+        const res = await request(app)
+            .post('/api/users/follow')
+            .send({ followId: otherId });
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UNAUTHORIZED);
+    });
+
+    it('should return 401 with an invalid token', async () => {
+        const res = await request(app)
+            .get('/api/users/all')
+            .set('Authorization', 'Bearer not-a-token');
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_INVALID_TOKEN);
+    });
+
+    it('should follow as the authenticated user', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+        Sinon.stub(User, 'findById').resolves({ _id: otherId, isPrivate: false });
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(userAuth)
+            .send({ followId: otherId });
+
+        expect(res.status).to.equal(200);
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ follower: userId, followee: otherId }]);
+    });
+
+    it('should return 403 if a non-admin acts for another user', async () => {
+        const deleteStub = Sinon.stub(Follow, 'findOneAndDelete');
+
+        const res = await request(app)
+            .post('/api/users/unfollow')
+            .set(userAuth)
+            .send({ userId: otherId, unfollowId: userId });
+
+        expect(res.status).to.equal(403);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_FORBIDDEN);
+        expect(deleteStub.called).to.equal(false);
+    });
+
+    it('should return 403 if a non-admin calls an admin route', async () => {
+        const res = await request(app)
+            .post('/api/users/admin/reconcile')
+            .set(userAuth);
+
+        expect(res.status).to.equal(403);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_FORBIDDEN);
+    });
+
+    it('should return 401 with the token of a deleted user', async () => {
+        const deletedId = new mongoose.Types.ObjectId();
+        const findStub = Sinon.stub(User, 'findById').returns({ lean: async () => null });
+
+        const res = await request(app)
+            .get('/api/users/top')
+            .set('Authorization', `Bearer ${signToken({ _id: deletedId, role: 'user' })}`);
+
+        expect(res.status).to.equal(401);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_INVALID_TOKEN);
+        expect(findStub.firstCall.args).to.deep.equal([deletedId.toString(), 'role']);
+    });
+
+    it('should use the current role of the account rather than the one in the token', async () => {
+        const demotedId = new mongoose.Types.ObjectId();
+        const findStub = Sinon.stub(User, 'findById').returns({ lean: async () => ({ _id: demotedId, role: 'user' }) });
+        const demotedAuth = { Authorization: `Bearer ${signToken({ _id: demotedId, role: 'admin' })}` };
+
+        const first = await request(app).post('/api/users/admin/reconcile').set(demotedAuth);
+        const second = await request(app).post('/api/users/admin/reconcile').set(demotedAuth);
+
+        expect(first.status).to.equal(403);
+        expect(second.status).to.equal(403);
+        // The account is read once and then served from the cache.
+        expect(findStub.calledOnce).to.equal(true);
+    });
 });
 
 describe('Follow User Controller', () => {
-    let user1, user2, user3;
+    let user1, user2;
     const validObjectId = new mongoose.Types.ObjectId().toString();
 
     before(() => {
         // Create mock users
-        user1 = { _id: validObjectId, followings: [], followers: [] };
-        user2 = { _id: new mongoose.Types.ObjectId().toString(), followings: [], followers: [] };
-        user3 = { _id: new mongoose.Types.ObjectId().toString(), followings: [], followers: [] };
+        user1 = { _id: validObjectId };
+        user2 = { _id: new mongoose.Types.ObjectId().toString() };
+    });
+
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
     });
 
     afterEach(() => {
         Sinon.restore(); // Clean up any stubs or mocks
     });
 
-    it('should return 400 if userId or followId is not valid', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves(user1)
-            .onSecondCall().resolves(user2);
+    it('should return 422 if userId or followId is not valid', async () => {
+        const createStub = Sinon.stub(Follow, 'create');
 
         const res = await request(app)
             .post('/api/users/follow')
+            .set(adminAuth)
             .send({ userId: 'invalidId', followId: user2._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+        expect(createStub.called).to.equal(false);
     });
 
 
-    it('should return 400 if userId and followId are the same', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves(user1)
-            .onSecondCall().resolves(user2);
+    it('should return 422 if userId and followId are the same', async () => {
+        const createStub = Sinon.stub(Follow, 'create');
 
         const res = await request(app)
             .post('/api/users/follow')
+            .set(adminAuth)
             .send({ userId: user1._id, followId: user1._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+        expect(createStub.called).to.equal(false);
+    });
+
+    it('should return 422 if an upper-cased own id is followed', async () => {
+        const ownId = 'abcdefabcdefabcdefabcdef';
+        const createStub = Sinon.stub(Follow, 'create');
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(authHeader(ownId))
+            .send({ userId: ownId.toUpperCase(), followId: ownId });
+
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
+        expect(createStub.called).to.equal(false);
     });
 
+    it('should return 404 if one of the users is not found', async () => {
+        Sinon.stub(User, 'exists').resolves(user1);
+        Sinon.stub(User, 'findById').resolves(null);
+        const createStub = Sinon.stub(Follow, 'create');
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+        expect(createStub.called).to.equal(false);
+    });
 
-    it('should return 400 if user update fails', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves(null) // Fail the first update
-            .onSecondCall().resolves(user2); // Second call is not reached due to the first failing
+    it('should return 409 if the user is already following', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        Sinon.stub(Follow, 'create').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
 
         const res = await request(app)
             .post('/api/users/follow')
+            .set(adminAuth)
             .send({ userId: user1._id, followId: user2._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(409);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
     });
 
-    it('should return 400 if follow user update fails', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves(user1) // Success for the first update
-            .onSecondCall().resolves(null); // Fail the second update
+    it('should return 403 if either user has blocked the other', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        Block.exists.resolves({ _id: new mongoose.Types.ObjectId() });
+        const createStub = Sinon.stub(Follow, 'create');
 
         const res = await request(app)
             .post('/api/users/follow')
+            .set(adminAuth)
             .send({ userId: user1._id, followId: user2._id });
 
-        expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UPDATE_FOLLOWERS);
+        expect(res.status).to.equal(403);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_BLOCKED_FOLLOW);
+        expect(Block.exists.firstCall.args[0]).to.deep.equal({
+            $or: [
+                { blocker: user1._id, blocked: user2._id },
+                { blocker: user2._id, blocked: user1._id }
+            ]
+        });
+        expect(createStub.called).to.equal(false);
+    });
+
+    it('should create a follow request instead of following a private account', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: true });
+        Sinon.stub(Follow, 'exists').resolves(null);
+        const followStub = Sinon.stub(Follow, 'create');
+        const requestStub = Sinon.stub(FollowRequest, 'create').resolves([{ requester: user1._id, target: user2._id, status: 'pending' }]);
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(res.status).to.equal(202);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOW_REQUESTED);
+        expect(requestStub.firstCall.args[0]).to.deep.equal([{ requester: user1._id, target: user2._id }]);
+        expect(followStub.called).to.equal(false);
+    });
+
+    it('should return 409 if a follow request is already pending', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: true });
+        Sinon.stub(Follow, 'exists').resolves(null);
+        Sinon.stub(FollowRequest, 'create').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(res.status).to.equal(409);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_REQUEST_EXISTS);
     });
 
     it('should successfully follow a user', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves({ ...user1, followings: [{ followingId: user2._id, date: new Date() }] })
-            .onSecondCall().resolves({ ...user2, followers: [{ followId: user1._id, date: new Date() }] });
+        const session = fakeSession();
+        mongoose.startSession.resolves(session);
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
 
         const res = await request(app)
             .post('/api/users/follow')
+            .set(adminAuth)
             .send({ userId: user1._id, followId: user2._id });
 
         expect(res.status).to.equal(200);
         expect(res.body.message).to.equal(UserResponseMessages.UPDATE_FOLLOW);
+        expect(createStub.firstCall.args[0]).to.deep.equal([{ follower: user1._id, followee: user2._id }]);
+        expect(createStub.firstCall.args[1].session).to.equal(session);
+        expect(FollowEvent.insertMany.firstCall.args[0][0].type).to.equal('follow');
+        expect(FollowEvent.insertMany.firstCall.args[1].session).to.equal(session);
+        expect(User.bulkWrite.firstCall.args[0]).to.deep.equal([
+            { updateOne: { filter: { _id: user1._id }, update: { $inc: { followersCount: 0, followingsCount: 1 } } } },
+            { updateOne: { filter: { _id: user2._id }, update: { $inc: { followersCount: 1, followingsCount: 0 } } } }
+        ]);
+        expect(User.bulkWrite.firstCall.args[1].session).to.equal(session);
+        expect(AuditLog.insertMany.firstCall.args[0][0]).to.include({ action: 'follow', user: user1._id, target: user2._id });
+        expect(AuditLog.insertMany.firstCall.args[1].session).to.equal(session);
+    });
+
+    it('should emit a followed event after the follow is committed', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        Sinon.stub(Follow, 'create').resolves([{}]);
+        const emitSpy = Sinon.spy(eventBus, 'emit');
+
+        await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(emitSpy.calledOnce).to.equal(true);
+        expect(emitSpy.firstCall.args[0]).to.equal(EVENTS.FOLLOWED);
+        expect(emitSpy.firstCall.args[1]).to.include({ follower: user1._id, followee: user2._id });
+    });
+
+    it('should follow without a session when transactions are unsupported', async () => {
+        const unsupported = Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+        mongoose.startSession.resolves({
+            withTransaction: async () => { throw unsupported; },
+            endSession: async () => {},
+        });
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        const createStub = Sinon.stub(Follow, 'create').resolves([{}]);
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.UPDATE_FOLLOW);
+        expect(createStub.firstCall.args[1].session).to.equal(null);
+        expect(User.bulkWrite.calledOnce).to.equal(true);
+        expect(FollowEvent.insertMany.calledOnce).to.equal(true);
+    });
+
+    it('should undo a follow written without a session when a later step fails', async () => {
+        const unsupported = Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+        mongoose.startSession.resolves({
+            withTransaction: async () => { throw unsupported; },
+            endSession: async () => {},
+        });
+        Sinon.stub(console, 'error');
+        Sinon.stub(User, 'exists').resolves({ _id: user1._id });
+        Sinon.stub(User, 'findById').resolves({ _id: user2._id, isPrivate: false });
+        Sinon.stub(Follow, 'create').resolves([{}]);
+        const deleteStub = Sinon.stub(Follow, 'deleteOne').resolves({ deletedCount: 1 });
+        FollowEvent.insertMany.rejects(new Error('Write failed'));
+
+        const res = await request(app)
+            .post('/api/users/follow')
+            .set(adminAuth)
+            .send({ userId: user1._id, followId: user2._id });
+
+        expect(res.status).to.equal(500);
+        expect(deleteStub.firstCall.args[0]).to.deep.equal({ follower: user1._id, followee: user2._id });
+        expect(User.bulkWrite.calledTwice).to.equal(true);
+        expect(User.bulkWrite.secondCall.args[0]).to.deep.equal([
+            { updateOne: { filter: { _id: user1._id }, update: { $inc: { followersCount: 0, followingsCount: -1 } } } },
+            { updateOne: { filter: { _id: user2._id }, update: { $inc: { followersCount: -1, followingsCount: 0 } } } }
+        ]);
     });
 });
 
@@ -151,70 +556,107 @@ describe('Unfollow User Controller', () => {
 
     before(() => {
         // Create mock users
-        user1 = { _id: validObjectId, followings: [{ followingId: 'user2', date: new Date() }], followers: [] };
-        user2 = { _id: new mongoose.Types.ObjectId().toString(), followings: [], followers: [{ followId: validObjectId, date: new Date() }] };
+        user1 = { _id: validObjectId };
+        user2 = { _id: new mongoose.Types.ObjectId().toString() };
+    });
+
+    beforeEach(() => {
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
     });
 
     afterEach(() => {
         Sinon.restore(); // Clean up any stubs or mocks
     });
 
-    it('should return 400 if userId or unfollowId is not valid', async () => {
-        Sinon.stub(User, 'findOneAndUpdate');
+    it('should return 422 if userId or unfollowId is not valid', async () => {
+        Sinon.stub(Follow, 'findOneAndDelete');
 
         const res = await request(app)
             .post('/api/users/unfollow')
+            .set(adminAuth)
             .send({ userId: 'invalidId', unfollowId: user2._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
     });
 
-    it('should return 400 if userId and unfollowId are the same', async () => {
-        Sinon.stub(User, 'findOneAndUpdate');
+    it('should return 422 if userId and unfollowId are the same', async () => {
+        Sinon.stub(Follow, 'findOneAndDelete');
 
         const res = await request(app)
             .post('/api/users/unfollow')
+            .set(adminAuth)
             .send({ userId: user1._id, unfollowId: user1._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
     });
 
-    it('should return 400 if user update fails', async () => {
-        Sinon.stub(User, 'findOneAndUpdate').onFirstCall().resolves(null);
+    it('should return 404 if the user is not following', async () => {
+        Sinon.stub(Follow, 'findOneAndDelete').resolves(null);
 
         const res = await request(app)
             .post('/api/users/unfollow')
+            .set(adminAuth)
             .send({ userId: user1._id, unfollowId: user2._id });
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(404);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_UPDATE_UNFOLLOWING);
     });
 
-    it('should return 400 if unfollow user update fails', async () => {
-        Sinon.stub(User, 'findOneAndUpdate').onFirstCall().resolves(user1)
-            .onSecondCall().resolves(null);
+    it('should successfully unfollow a user', async () => {
+        const followedAt = new Date('2024-01-01');
+        const deleteStub = Sinon.stub(Follow, 'findOneAndDelete')
+            .resolves({ follower: user1._id, followee: user2._id, createdAt: followedAt });
 
         const res = await request(app)
             .post('/api/users/unfollow')
+            .set(adminAuth)
             .send({ userId: user1._id, unfollowId: user2._id });
 
-        expect(res.status).to.equal(400);
-        expect(res.body.message).to.equal(UserResponseMessages.ERROR_UPDATE_UNFOLLOWERS);
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.UPDATE_UNFOLLOW);
+        expect(deleteStub.firstCall.args[0]).to.deep.equal({ follower: user1._id, followee: user2._id });
+        expect(FollowEvent.insertMany.firstCall.args[0]).to.deep.equal([
+            { type: 'unfollow', follower: user1._id, followee: user2._id, createdAt: undefined, followedAt }
+        ]);
+        expect(User.bulkWrite.firstCall.args[0]).to.deep.equal([
+            { updateOne: { filter: { _id: user1._id }, update: { $inc: { followersCount: 0, followingsCount: -1 } } } },
+            { updateOne: { filter: { _id: user2._id }, update: { $inc: { followersCount: -1, followingsCount: 0 } } } }
+        ]);
     });
+});
 
-    it('should successfully unfollow a user', async () => {
-        Sinon.stub(User, 'findOneAndUpdate')
-            .onFirstCall().resolves({ ...user1, followings: [] }) // Simulate success for the first update
-            .onSecondCall().resolves({ ...user2, followers: [] }); // Simulate success for the second update
+describe('Get Top Users Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should list users by follower count without blocked users', async () => {
+        const blockedId = new mongoose.Types.ObjectId();
+        const callerId = new mongoose.Types.ObjectId().toString();
+        const top = [{ _id: new mongoose.Types.ObjectId().toString(), username: 'popular', followersCount: 120, followingsCount: 3 }];
+        Sinon.stub(Block, 'find').resolves([{ blocker: callerId, blocked: blockedId }]);
+        const query = {
+            sort: Sinon.stub().returnsThis(),
+            limit: Sinon.stub().returnsThis(),
+            select: Sinon.stub().resolves(top)
+        };
+        const findStub = Sinon.stub(User, 'find').returns(query);
 
         const res = await request(app)
-            .post('/api/users/unfollow')
-            .send({ userId: user1._id, unfollowId: user2._id });
+            .get('/api/users/top?limit=10')
+            .set(authHeader(callerId));
 
         expect(res.status).to.equal(200);
-        expect(res.body.message).to.equal(UserResponseMessages.UPDATE_UNFOLLOW);
+        expect(res.body.message).to.equal(UserResponseMessages.TOP_USERS);
+        expect(res.body.user).to.deep.equal(top);
+        expect(findStub.firstCall.args[0]).to.deep.equal({ _id: { $nin: [blockedId] } });
+        expect(query.sort.firstCall.args[0]).to.deep.equal({ followersCount: -1, _id: 1 });
+        expect(query.limit.firstCall.args[0]).to.equal(10);
     });
 });
 
@@ -223,19 +665,20 @@ describe('Get Followers Count Daily Controller', () => {
     const invalidObjectId = 'invalidId';
 
     before(() => {
-        // Stub the User.aggregate method
-        Sinon.stub(User, 'aggregate');
+        // Stub the Follow.aggregate method
+        Sinon.stub(Follow, 'aggregate');
     });
 
     afterEach(() => {
         Sinon.restore(); // Clean up any stubs or mocks
     });
 
-    it('should return 400 if userId is not valid', async () => {
+    it('should return 422 if userId is not valid', async () => {
         const res = await request(app)
-            .get(`/api/users/${invalidObjectId}/followers/daily`);
+            .get(`/api/users/${invalidObjectId}/followers/daily`)
+            .set(adminAuth);
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
     });
 
@@ -245,10 +688,11 @@ describe('Get Followers Count Daily Controller', () => {
             { date: '2024-07-21', count: 5 },
         ];
 
-        Sinon.stub(User, 'aggregate').resolves(dailyCounts);
+        Sinon.stub(Follow, 'aggregate').resolves(dailyCounts);
 
         const res = await request(app)
-            .get(`/api/users/${validObjectId}/followers/daily`);
+            .get(`/api/users/${validObjectId}/followers/daily`)
+            .set(adminAuth);
 
         expect(res.status).to.equal(200);
         expect(res.body.message).to.equal(UserResponseMessages.SHOW_FOLLOWERS);
@@ -256,12 +700,15 @@ describe('Get Followers Count Daily Controller', () => {
     });
 
     it('should handle errors thrown by the database', async () => {
-        Sinon.stub(User, 'aggregate').throws(new Error('Database Error'));
+        Sinon.stub(Follow, 'aggregate').throws(new Error('Database Error'));
+        Sinon.stub(console, 'error');
 
         const res = await request(app)
-            .get(`/api/users/${validObjectId}/followers/daily`);
+            .get(`/api/users/${validObjectId}/followers/daily`)
+            .set(adminAuth);
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(500);
+        expect(res.body.code).to.equal('INTERNAL_ERROR');
         expect(res.body.message).to.equal('Database Error');
     });
 });
@@ -269,64 +716,57 @@ describe('Get Followers Count Daily Controller', () => {
 describe('Get Common Followers Controller', () => {
     const validObjectId1 = new mongoose.Types.ObjectId().toString();
     const validObjectId2 = new mongoose.Types.ObjectId().toString();
-    const validObjectId3 = new mongoose.Types.ObjectId().toString();
-    const validObjectId4 = new mongoose.Types.ObjectId().toString();
 
     const invalidObjectId = 'invalidId';
 
-    before(() => {
-        // Stub the User methods
-        Sinon.stub(User, 'findById');
-        Sinon.stub(User, 'find');
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([]);
     });
 
     afterEach(() => {
         Sinon.restore(); // Clean up any stubs or mocks
     });
 
-    it('should return 400 if userId1 or userId2 is not valid', async () => {
+    it('should return 422 if userId1 or userId2 is not valid', async () => {
         const res = await request(app)
-            .get(`/api/users/mutual-followers/${invalidObjectId}/${validObjectId2}`);
+            .get(`/api/users/mutual-followers/${invalidObjectId}/${validObjectId2}`)
+            .set(adminAuth);
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
     });
 
-    it('should return 400 if userId1 and userId2 are the same', async () => {
+    it('should return 422 if userId1 and userId2 are the same', async () => {
         const res = await request(app)
-            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId1}`);
+            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId1}`)
+            .set(adminAuth);
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(422);
         expect(res.body.message).to.equal(UserResponseMessages.ERROR_IDS_SAME);
     });
 
     it('should return 404 if one of the users is not found', async () => {
-        Sinon.stub(User, 'findById')
-        .onFirstCall().resolves(null)  // User1 پیدا نشد
-        .onSecondCall().resolves({ followers: [] });  // User2 وجود دارد
+        Sinon.stub(User, 'exists')
+            .onFirstCall().resolves(null)  // User1 پیدا نشد
+            .onSecondCall().resolves({ _id: validObjectId2 });  // User2 وجود دارد
 
-    const res = await request(app)
-        .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`);
+        const res = await request(app)
+            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`)
+            .set(adminAuth);
 
-        expect(res.status).to.equal(400);
+        expect(res.status).to.equal(404);
         expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
     });
 
     it('should return 200 with empty list if no common followers', async () => {
-        const followers1 = [{ followId: 'user1Id' }];
-        const followers2 = [{ followId: 'user2Id' }];
-
-        const user1 = { followers: followers1 };
-        const user2 = { followers: followers2 };
-
-        Sinon.stub(User, 'findById')
-            .onFirstCall().resolves(user1)
-            .onSecondCall().resolves(user2);
-
-        Sinon.stub(User, 'find').resolves([]);
+        Sinon.stub(User, 'exists')
+            .onFirstCall().resolves({ _id: validObjectId1 })
+            .onSecondCall().resolves({ _id: validObjectId2 });
+        Sinon.stub(Follow, 'aggregate').resolves([]);
 
         const res = await request(app)
-            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`);
+            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`)
+            .set(adminAuth);
 
         expect(res.status).to.equal(200);
         expect(res.body.message).to.equal(UserResponseMessages.COMMON_FOLLOWERS);
@@ -335,40 +775,23 @@ describe('Get Common Followers Controller', () => {
 
 
     it('should return 200 with common followers if data is retrieved successfully', async () => {
-        const followers1 = [
-            { followId: validObjectId2 },
-            { followId: validObjectId3 }
-        ];
-        const followers2 = [
-            { followId: validObjectId2 },
-            { followId: validObjectId4 }
-        ];
-
-        const user1 = { followers: followers1 };
-        const user2 = { followers: followers2 };
-
         const commonFollowersDetails = [
-            { _id: validObjectId2, username: 'user2' }
+            { _id: new mongoose.Types.ObjectId().toString(), username: 'user3' }
         ];
 
-        Sinon.stub(User, 'findById')
-            .onFirstCall().resolves(user1)
-            .onSecondCall().resolves(user2);
-
-        Sinon.stub(User, 'find').resolves(commonFollowersDetails);
+        Sinon.stub(User, 'exists')
+            .onFirstCall().resolves({ _id: validObjectId1 })
+            .onSecondCall().resolves({ _id: validObjectId2 });
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves(commonFollowersDetails);
 
         const res = await request(app)
-            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`);
-
-        // console.log(res.body);
+            .get(`/api/users/mutual-followers/${validObjectId1}/${validObjectId2}`)
+            .set(adminAuth);
 
         expect(res.status).to.equal(200);
         expect(res.body.message).to.equal(UserResponseMessages.COMMON_FOLLOWERS);
         expect(res.body.user).to.deep.equal(commonFollowersDetails);
-
-        // Restore the stubbed methods
-        User.findById.restore();
-        User.find.restore();
+        expect(aggregateStub.firstCall.args[0][0]).to.deep.equal({ $match: { followee: { $in: [validObjectId1, validObjectId2] }, follower: { $nin: [] } } });
     });
 });
 
@@ -379,6 +802,10 @@ describe('Get All Users Controller', () => {
         findAggregateStub = Sinon.stub(User, 'aggregate');
     });
 
+    beforeEach(() => {
+        Sinon.stub(Block, 'find').resolves([]);
+    });
+
     afterEach(() => {
         Sinon.restore();
     });
@@ -397,10 +824,690 @@ describe('Get All Users Controller', () => {
 
         const res = await request(app)
             .get('/api/users/all')
+            .set(adminAuth)
             .expect(200);
 
         expect(res.body.message).to.deep.equal(UserResponseMessages.ALL_USER);
         expect(res.status).to.equal(200);
     });
 
-});
\ No newline at end of file
+    it('should paginate users when a limit is given', async () => {
+        const mockUsers = [
+            { _id: new mongoose.Types.ObjectId(), username: 'user1', followersDetails: [], followingsDetails: [] },
+            { _id: new mongoose.Types.ObjectId(), username: 'user2', followersDetails: [], followingsDetails: [] }
+        ];
+
+        findAggregateStub = Sinon.stub(User, 'aggregate').resolves(mockUsers);
+        Sinon.stub(User, 'countDocuments').resolves(5);
+
+        const res = await request(app)
+            .get('/api/users/all?limit=1')
+            .set(adminAuth)
+            .expect(200);
+
+        expect(res.body.user).to.have.lengthOf(1);
+        expect(res.body.pagination.total).to.equal(5);
+        expect(res.body.pagination.nextCursor).to.be.a('string');
+        expect(findAggregateStub.firstCall.args[0].slice(0, 2)).to.deep.equal([{ $sort: { _id: 1 } }, { $limit: 2 }]);
+    });
+
+    it('should hide blocked users from the follower details', async () => {
+        const blockedId = new mongoose.Types.ObjectId();
+        Block.find.resolves([{ blocker: blockedId, blocked: new mongoose.Types.ObjectId() }]);
+        findAggregateStub = Sinon.stub(User, 'aggregate').resolves([]);
+
+        await request(app)
+            .get('/api/users/all')
+            .set(adminAuth)
+            .expect(200);
+
+        const followersLookup = findAggregateStub.firstCall.args[0][0].$lookup;
+        expect(followersLookup.as).to.equal('followersDetails');
+        expect(followersLookup.pipeline[0].$match.follower).to.deep.equal({ $nin: [blockedId] });
+    });
+
+});
+describe('Response Cache', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const otherId = new mongoose.Types.ObjectId().toString();
+    let unregister;
+
+    // Lets listeners of the event bus, which run after the emitting code, finish.
+    const flushListeners = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        unregister = registerCacheInvalidation();
+        Sinon.stub(Block, 'find').resolves([]);
+    });
+
+    afterEach(() => {
+        unregister();
+        Sinon.restore();
+    });
+
+    it('should evict the least recently used entries of the memory store', async () => {
+        const store = createMemoryStore({ maxEntries: 2 });
+        await store.set('a', '1', 'PX', 1000);
+        await store.set('b', '2', 'PX', 1000);
+        await store.get('a');
+        await store.set('c', '3', 'PX', 1000);
+
+        expect(await store.get('a')).to.equal('1');
+        expect(await store.get('b')).to.equal(null);
+        expect(await store.get('c')).to.equal('3');
+    });
+
+    it('should remove evicted and expired entries from their tags', async () => {
+        const clock = Sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+        const store = createMemoryStore({ maxEntries: 2 });
+        const cache = createCache(store, { ttlMs: 1000 });
+
+        for (const key of ['a', 'b', 'c']) await cache.set(key, key, [CACHE_TAGS.all]);
+        expect(await store.smembers('cache:tag:all')).to.deep.equal(['cache:b', 'cache:c']);
+
+        // A set that does not expire, like a tag refreshed by every write, still loses expired entries.
+        await store.sadd('tag', 'e');
+        await store.set('e', 'e', 'PX', 1000);
+        clock.tick(61 * 1000);
+        await store.sadd('other', 'x');
+        expect(await store.smembers('tag')).to.deep.equal([]);
+    });
+
+    it('should share entries and tags between spellings of an id', async () => {
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([]);
+        const get = id => request(app).get(`/api/users/${id}/followers/daily`).set(adminAuth);
+
+        await get(userId);
+        await get(userId.toUpperCase());
+        expect(aggregateStub.callCount).to.equal(1);
+
+        eventBus.emit(EVENTS.FOLLOWED, { follower: otherId, followee: new mongoose.Types.ObjectId(userId) });
+        await flushListeners();
+        await get(userId.toUpperCase());
+        expect(aggregateStub.callCount).to.equal(2);
+    });
+
+    it('should serve daily follower counts from the cache until the user gains a follower', async () => {
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([{ date: '2024-07-20', count: 1 }]);
+        const get = () => request(app).get(`/api/users/${userId}/followers/daily`).set(adminAuth);
+
+        const first = await get();
+        const second = await get();
+        expect(second.body.user).to.deep.equal(first.body.user);
+        expect(aggregateStub.callCount).to.equal(1);
+
+        eventBus.emit(EVENTS.FOLLOWED, { follower: otherId, followee: new mongoose.Types.ObjectId().toString() });
+        await flushListeners();
+        await get();
+        expect(aggregateStub.callCount).to.equal(1);
+
+        eventBus.emit(EVENTS.FOLLOWED, { follower: otherId, followee: userId });
+        await flushListeners();
+        aggregateStub.resolves([{ date: '2024-07-20', count: 2 }]);
+        const third = await get();
+        expect(aggregateStub.callCount).to.equal(2);
+        expect(third.body.user).to.deep.equal([{ date: '2024-07-20', count: 2 }]);
+    });
+
+    it('should answer 304 to a conditional GET while the response did not change', async () => {
+        Sinon.stub(Follow, 'aggregate').resolves([]);
+
+        const first = await request(app).get(`/api/users/${userId}/followers/daily`).set(adminAuth);
+        expect(first.headers.etag).to.match(/^W\/".+-en"$/);
+
+        const notModified = await request(app)
+            .get(`/api/users/${userId}/followers/daily`)
+            .set(adminAuth)
+            .set('If-None-Match', first.headers.etag);
+        expect(notModified.status).to.equal(304);
+
+        const otherLocale = await request(app)
+            .get(`/api/users/${userId}/followers/daily?lang=fa`)
+            .set(adminAuth)
+            .set('If-None-Match', first.headers.etag);
+        expect(otherLocale.status).to.equal(200);
+        expect(otherLocale.body.message).to.equal(fa.SHOW_FOLLOWERS);
+    });
+
+    it('should drop cached common followers when one of the followers changes', async () => {
+        const follower = { _id: new mongoose.Types.ObjectId().toString(), username: 'sara', followersCount: 1 };
+        Sinon.stub(User, 'exists').callsFake(async ({ _id }) => ({ _id }));
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([follower]);
+        const get = () => request(app).get(`/api/users/mutual-followers/${userId}/${otherId}`).set(adminAuth);
+
+        await get();
+        await get();
+        expect(aggregateStub.callCount).to.equal(1);
+
+        eventBus.emit(EVENTS.USER_UPDATED, { user: { _id: follower._id }, changes: { username: 'sara2' } });
+        await flushListeners();
+        await get();
+        expect(aggregateStub.callCount).to.equal(2);
+    });
+
+    it('should drop cached user lists when a user is created', async () => {
+        const aggregateStub = Sinon.stub(User, 'aggregate').resolves([]);
+
+        await request(app).get('/api/users/all').set(adminAuth);
+        await request(app).get('/api/users/all').set(adminAuth);
+        expect(aggregateStub.callCount).to.equal(1);
+
+        eventBus.emit(EVENTS.USER_CREATED, { user: { _id: new mongoose.Types.ObjectId() } });
+        await flushListeners();
+        await request(app).get('/api/users/all').set(adminAuth);
+        expect(aggregateStub.callCount).to.equal(2);
+    });
+
+    describe('with a Redis-compatible store', () => {
+        const stubStore = () => ({
+            get: Sinon.stub().resolves(null),
+            set: Sinon.stub().resolves('OK'),
+            del: Sinon.stub().resolves(1),
+            sadd: Sinon.stub().resolves(1),
+            smembers: Sinon.stub().resolves([]),
+            pexpire: Sinon.stub().resolves(1),
+        });
+
+        afterEach(() => {
+            useCacheStore(createMemoryStore());
+        });
+
+        it('should store responses with their expiry and tags', async () => {
+            const store = stubStore();
+            useCacheStore(store);
+            Sinon.stub(Follow, 'aggregate').resolves([]);
+
+            await request(app).get(`/api/users/${userId}/followers/daily`).set(adminAuth).expect(200);
+
+            const [key, value, mode, ttlMs] = store.set.firstCall.args;
+            expect(key).to.equal(`cache:followers-daily:${userId}`);
+            expect(JSON.parse(value).data).to.deep.equal([]);
+            expect([mode, ttlMs]).to.deep.equal(['PX', config.cache.ttlMs]);
+            expect(store.sadd.calledWith(`cache:tag:followers:${userId}`, key)).to.equal(true);
+
+            store.smembers.withArgs(`cache:tag:followers:${userId}`).resolves([key]);
+            eventBus.emit(EVENTS.UNFOLLOWED, { follower: otherId, followee: userId });
+            await flushListeners();
+            expect(store.del.firstCall.args).to.include(key);
+        });
+
+        it('should still answer when the store fails', async () => {
+            const store = stubStore();
+            store.get.rejects(new Error('Connection refused'));
+            store.sadd.rejects(new Error('Connection refused'));
+            useCacheStore(store);
+            Sinon.stub(console, 'error');
+            Sinon.stub(Follow, 'aggregate').resolves([{ date: '2024-07-20', count: 1 }]);
+
+            const res = await request(app).get(`/api/users/${userId}/followers/daily`).set(adminAuth);
+
+            expect(res.status).to.equal(200);
+            expect(res.body.user).to.deep.equal([{ date: '2024-07-20', count: 1 }]);
+        });
+    });
+});
+
+describe('Get Followers And Followings Controllers', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    const edge = (username, date) => ({
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date(date),
+        user: { _id: new mongoose.Types.ObjectId().toString(), username },
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 422 if userId is not valid', async () => {
+        const res = await request(app)
+            .get('/api/users/invalidId/followers')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_VALID_ID);
+    });
+
+    it('should return 422 if the cursor is not valid', async () => {
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers?cursor=not-a-cursor`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_CURSOR);
+    });
+
+    it('should return 422 if the cursor does not hold a hex id', async () => {
+        for (const id of [123, 'abcdefghijkl']) {
+            const cursor = Buffer.from(JSON.stringify({ id, date: new Date().toISOString() })).toString('base64url');
+            const res = await request(app)
+                .get(`/api/users/${userId}/followers?cursor=${cursor}`)
+                .set(adminAuth);
+
+            expect(res.status).to.equal(422);
+            expect(res.body.message).to.equal(UserResponseMessages.ERROR_CURSOR);
+        }
+    });
+
+    it('should return 422 if the limit is not valid', async () => {
+        const res = await request(app)
+            .get(`/api/users/${userId}/followings?limit=0`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_LIMIT);
+    });
+
+    it('should return 404 if the user is not found', async () => {
+        Sinon.stub(User, 'exists').resolves(null);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.NOT_FOUND);
+    });
+
+    it('should return a page of followers with the next cursor and total', async () => {
+        const edges = [edge('ali', '2024-07-22'), edge('sara', '2024-07-21'), edge('reza', '2024-07-20')];
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves(edges);
+        Sinon.stub(Follow, 'countDocuments').resolves(3);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followers?limit=2`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOWERS);
+        expect(res.body.user.map(u => u.username)).to.deep.equal(['ali', 'sara']);
+        expect(res.body.user[0].followedAt).to.equal(edges[0].createdAt.toISOString());
+        expect(res.body.pagination.total).to.equal(3);
+        expect(aggregateStub.firstCall.args[0][0]).to.deep.equal({ $match: { followee: userId } });
+
+        Follow.aggregate.resolves([edges[2]]);
+        const next = await request(app)
+            .get(`/api/users/${userId}/followers?limit=2&cursor=${res.body.pagination.nextCursor}`)
+            .set(adminAuth);
+
+        expect(next.body.user.map(u => u.username)).to.deep.equal(['reza']);
+        expect(next.body.pagination.nextCursor).to.equal(null);
+        expect(aggregateStub.secondCall.args[0][0].$match.$or[1]).to.deep.equal({ createdAt: edges[1].createdAt, _id: { $lt: edges[1]._id } });
+    });
+
+    it('should return followings matched on the follower side', async () => {
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+        const aggregateStub = Sinon.stub(Follow, 'aggregate').resolves([edge('sara', '2024-07-21')]);
+        Sinon.stub(Follow, 'countDocuments').resolves(1);
+
+        const res = await request(app)
+            .get(`/api/users/${userId}/followings`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.FOLLOWINGS);
+        expect(res.body.pagination).to.deep.equal({ nextCursor: null, total: 1 });
+        expect(aggregateStub.firstCall.args[0][0]).to.deep.equal({ $match: { follower: userId } });
+    });
+});
+
+describe('Reconcile Follow Edges Controller', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should report dangling edges without writing on a dry run', async () => {
+        const dangling = { _id: new mongoose.Types.ObjectId(), follower: new mongoose.Types.ObjectId(), followee: new mongoose.Types.ObjectId() };
+        Sinon.stub(Follow, 'aggregate').resolves([dangling]);
+        Sinon.stub(User, 'aggregate').resolves([]);
+        const deleteStub = Sinon.stub(Follow, 'deleteMany');
+        const bulkWriteStub = Sinon.stub(User, 'bulkWrite');
+
+        const res = await request(app)
+            .post('/api/users/admin/reconcile?dryRun=true')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.RECONCILED);
+        expect(res.body.user.danglingFollows).to.have.lengthOf(1);
+        expect(res.body.user.repaired).to.equal(0);
+        expect(deleteStub.called).to.equal(false);
+        expect(bulkWriteStub.called).to.equal(false);
+    });
+
+    it('should remove dangling edges', async () => {
+        const dangling = { _id: new mongoose.Types.ObjectId(), follower: new mongoose.Types.ObjectId(), followee: new mongoose.Types.ObjectId() };
+        Sinon.stub(Follow, 'aggregate').resolves([dangling]);
+        Sinon.stub(User, 'aggregate').resolves([]);
+        const session = fakeSession();
+        Sinon.stub(mongoose, 'startSession').resolves(session);
+        const findStub = Sinon.stub(Follow, 'find').resolves([dangling]);
+        const deleteStub = Sinon.stub(Follow, 'deleteMany').resolves({ deletedCount: 1 });
+        const bulkWriteStub = Sinon.stub(User, 'bulkWrite').resolves({});
+        const eventStub = Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+        const auditStub = Sinon.stub(AuditLog, 'insertMany').resolves([]);
+
+        const res = await request(app)
+            .post('/api/users/admin/reconcile')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.user.repaired).to.equal(1);
+        expect(findStub.firstCall.args[2].session).to.equal(session);
+        expect(deleteStub.firstCall.args).to.deep.equal([{ _id: { $in: [dangling._id] } }, { session }]);
+        expect(bulkWriteStub.firstCall.args[0]).to.deep.equal([
+            { updateOne: { filter: { _id: dangling.follower.toString() }, update: { $inc: { followersCount: 0, followingsCount: -1 } } } },
+            { updateOne: { filter: { _id: dangling.followee.toString() }, update: { $inc: { followersCount: -1, followingsCount: 0 } } } }
+        ]);
+        // Analytics count back from the counters, so the removed edges are logged as unfollows.
+        expect(eventStub.firstCall.args[0]).to.deep.equal([
+            { type: 'unfollow', follower: dangling.follower, followee: dangling.followee, createdAt: undefined }
+        ]);
+        expect(eventStub.firstCall.args[1].session).to.equal(session);
+        expect(auditStub.firstCall.args[0][0]).to.deep.include({
+            action: 'unfollow', user: dangling.follower, target: dangling.followee, details: { repair: true }
+        });
+        expect(auditStub.firstCall.args[1].session).to.equal(session);
+    });
+
+    it('should correct follow counters that drifted from the edges', async () => {
+        const drifted = {
+            _id: new mongoose.Types.ObjectId(),
+            username: 'ali',
+            stored: { followersCount: 7, followingsCount: 1 },
+            actual: { followersCount: 5, followingsCount: 1 }
+        };
+        Sinon.stub(Follow, 'aggregate').resolves([]);
+        Sinon.stub(User, 'aggregate').resolves([drifted]);
+        const bulkWriteStub = Sinon.stub(User, 'bulkWrite').resolves({ modifiedCount: 1 });
+
+        const res = await request(app)
+            .post('/api/users/admin/reconcile')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.user.counters.corrected).to.equal(1);
+        expect(bulkWriteStub.firstCall.args[0]).to.deep.equal([
+            { updateOne: { filter: { _id: drifted._id }, update: { $set: drifted.actual } } }
+        ]);
+    });
+});
+
+describe('Rate Limiting', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    const userAuth = authHeader(userId);
+    const targetId = new mongoose.Types.ObjectId().toString();
+
+    let rejectionStub;
+    let warnStub;
+
+    beforeEach(() => {
+        rejectionStub = Sinon.stub(RateLimitRejection, 'create').resolves({});
+        warnStub = Sinon.stub(console, 'warn');
+        Sinon.stub(AuditLog, 'insertMany').resolves([]);
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should return 429 with Retry-After once an IP creates too many users', async () => {
+        Sinon.replace(RATE_LIMITS.create[0], 'max', 2);
+
+        for (let i = 0; i < 2; i++) {
+            const res = await request(app).post('/api/users/create').send({ username: 'ab' });
+            expect(res.status).to.equal(422);
+        }
+
+        const res = await request(app).post('/api/users/create').send({ username: 'ab' });
+
+        expect(res.status).to.equal(429);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_RATE_LIMIT);
+        const retryAfter = Number(res.headers['retry-after']);
+        expect(retryAfter).to.be.within(1, 60 * 60);
+        expect(rejectionStub.firstCall.args[0]).to.include({ action: 'create', rule: 'ip', count: 3, limit: 2 });
+        expect(warnStub.calledOnce).to.equal(true);
+    });
+
+    it('should return 429 once a username has too many login attempts, in any case', async () => {
+        const perUsername = RATE_LIMITS.login.find(limit => limit.name === 'username');
+        Sinon.replace(perUsername, 'max', 2);
+        Sinon.stub(User, 'findOne').returns({ select: Sinon.stub().resolves(null) });
+
+        for (const username of ['victim', 'VICTIM']) {
+            const res = await request(app).post('/api/users/login').send({ username, password: 'guess' });
+            expect(res.status).to.equal(401);
+        }
+
+        const res = await request(app).post('/api/users/login').send({ username: 'Victim', password: 'guess' });
+
+        expect(res.status).to.equal(429);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_RATE_LIMIT);
+        expect(Number(res.headers['retry-after'])).to.be.within(1, 15 * 60);
+        expect(rejectionStub.firstCall.args[0]).to.include({ action: 'login', rule: 'username', count: 3, limit: 2 });
+        expect(User.findOne.calledTwice).to.equal(true);
+    });
+
+    it('should cap the follows of a user per day, counting only successful ones', async () => {
+        const daily = RATE_LIMITS.follow.find(limit => limit.name === 'daily');
+        Sinon.replace(daily, 'max', 1);
+        Sinon.stub(mongoose, 'startSession').callsFake(async () => fakeSession());
+        Sinon.stub(User, 'exists').resolves({ _id: userId });
+        Sinon.stub(User, 'findById').resolves({ _id: targetId, isPrivate: false });
+        Sinon.stub(User, 'bulkWrite').resolves({});
+        Sinon.stub(Block, 'exists').resolves(null);
+        Sinon.stub(Follow, 'create').resolves([{}]);
+        Sinon.stub(FollowEvent, 'insertMany').resolves([]);
+
+        const follow = (body) => request(app)
+            .post('/api/users/follow')
+            .set(userAuth)
+            .send(body);
+
+        // Failed attempts, here stopped at validation after the limits, leave the daily count alone.
+        expect((await follow({ userId: 'invalidId', followId: targetId })).status).to.equal(422);
+        expect((await follow({ userId, followId: targetId })).status).to.equal(200);
+
+        const res = await follow({ userId, followId: new mongoose.Types.ObjectId().toString() });
+
+        expect(res.status).to.equal(429);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_DAILY_FOLLOW_LIMIT);
+        expect(rejectionStub.firstCall.args[0]).to.include({ action: 'follow', rule: 'daily', user: userId, count: 2 });
+    });
+
+    it('should stop repeated follow/unfollow cycles against the same user', async () => {
+        for (const limits of [RATE_LIMITS.follow, RATE_LIMITS.unfollow, RATE_LIMITS.undoUnfollow]) {
+            Sinon.replace(limits.find(limit => limit.name === 'churn'), 'max', 3);
+        }
+
+        const follow = (followId) => request(app)
+            .post('/api/users/follow')
+            .set(userAuth)
+            .send({ userId: 'invalidId', followId });
+        const unfollow = (unfollowId) => request(app)
+            .post('/api/users/unfollow')
+            .set(userAuth)
+            .send({ userId: 'invalidId', unfollowId });
+        const undo = (unfollowId) => request(app)
+            .post('/api/users/unfollow/undo')
+            .set(userAuth)
+            .send({ userId: 'invalidId', unfollowId });
+
+        expect((await follow(targetId)).status).to.equal(422);
+        // The same id in upper case names the same user.
+        expect((await unfollow(targetId.toUpperCase())).status).to.equal(422);
+        expect((await undo(targetId)).status).to.equal(422);
+
+        const res = await follow(targetId);
+
+        expect(res.status).to.equal(429);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_FOLLOW_CHURN);
+        expect(rejectionStub.firstCall.args[0]).to.include({ action: 'follow', rule: 'churn', target: targetId });
+
+        // Other targets are not affected.
+        expect((await follow(new mongoose.Types.ObjectId().toString())).status).to.equal(422);
+    });
+
+    it('should count hits in MongoDB with the Mongo store', async () => {
+        const updateStub = Sinon.stub(RateLimitCounter, 'findOneAndUpdate');
+        const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        updateStub.onFirstCall().returns({ lean: () => Promise.reject(duplicate) });
+        updateStub.onSecondCall().returns({ lean: async () => ({ _id: 'user:follow:1:0', count: 2 }) });
+
+        const resetAt = Date.now() + 1000;
+        const count = await createMongoStore().increment('user:follow:1:0', resetAt);
+
+        expect(count).to.equal(2);
+        expect(updateStub.secondCall.args.slice(0, 2)).to.deep.equal([
+            { _id: 'user:follow:1:0' },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } }
+        ]);
+    });
+
+    it('should list rate limit rejections for admins only', async () => {
+        const rejections = [{ _id: new mongoose.Types.ObjectId(), action: 'follow', rule: 'daily', createdAt: new Date() }];
+        const findStub = Sinon.stub(RateLimitRejection, 'find').returns({
+            sort: () => ({ limit: () => ({ lean: async () => rejections }) })
+        });
+
+        const forbidden = await request(app)
+            .get('/api/users/admin/rate-limit-rejections')
+            .set(userAuth);
+        expect(forbidden.status).to.equal(403);
+
+        const res = await request(app)
+            .get(`/api/users/admin/rate-limit-rejections?userId=${userId}`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.RATE_LIMIT_REJECTIONS);
+        expect(res.body.user).to.have.length(1);
+        expect(findStub.firstCall.args[0]).to.deep.equal({ user: userId });
+    });
+});
+
+describe('Error Handler', () => {
+    const handlerApp = express();
+    handlerApp.use(assignRequestId);
+    handlerApp.get('/not-found', (req, res, next) => next(new NotFoundError(UserResponseMessages.NOT_FOUND)));
+    handlerApp.get('/duplicate', (req, res, next) =>
+        next(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { username: 'ali' } })));
+    handlerApp.get('/crash', (req, res, next) => next(new Error('Connection string leaked')));
+    handlerApp.use(notFound);
+    handlerApp.use(errorHandler);
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should map typed errors to their status and code and attach the request ID', async () => {
+        const res = await request(handlerApp)
+            .get('/not-found')
+            .set('X-Request-Id', 'req-123');
+
+        expect(res.status).to.equal(404);
+        expect(res.headers['x-request-id']).to.equal('req-123');
+        expect(res.body).to.deep.include({
+            code: 'NOT_FOUND',
+            message: UserResponseMessages.NOT_FOUND,
+            requestId: 'req-123',
+            success: false
+        });
+    });
+
+    it('should map duplicate key errors to 409', async () => {
+        const res = await request(handlerApp).get('/duplicate');
+
+        expect(res.status).to.equal(409);
+        expect(res.body.code).to.equal('CONFLICT');
+        expect(res.body.errors).to.deep.equal([
+            { path: 'username', code: 'duplicate', message: UserResponseMessages.ERROR_DUPLICATE }
+        ]);
+        expect(res.body.requestId).to.be.a('string');
+    });
+
+    it('should hide the details of internal errors in production', async () => {
+        Sinon.stub(console, 'error');
+        const nodeEnv = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        let res;
+        try {
+            res = await request(handlerApp).get('/crash');
+        } finally {
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+        }
+
+        expect(res.status).to.equal(500);
+        expect(res.body.code).to.equal('INTERNAL_ERROR');
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_INTERNAL);
+        expect(JSON.stringify(res.body)).to.not.include('leaked');
+    });
+
+    it('should report unknown routes as not found', async () => {
+        const res = await request(handlerApp).get('/missing');
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_ROUTE_NOT_FOUND);
+    });
+});
+
+describe('Localized Messages', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should have a Persian message for every code', () => {
+        expect(Object.keys(fa)).to.have.members(Object.keys(UserResponseMessages));
+    });
+
+    it('should translate errors using Accept-Language', async () => {
+        const res = await request(app)
+            .post('/api/users/create')
+            .set('Accept-Language', 'fa-IR,fa;q=0.9,en;q=0.8')
+            .send({ username: 'ab', password: 'secret-password' });
+
+        expect(res.status).to.equal(422);
+        expect(res.headers['content-language']).to.equal('fa');
+        expect(res.body.messageCode).to.equal('ERROR_USER_NAME');
+        expect(res.body.message).to.equal(fa.ERROR_USER_NAME);
+        expect(res.body.errors[0]).to.deep.equal({ path: 'body.username', code: 'too_short', message: fa.ERROR_USER_NAME });
+    });
+
+    it('should prefer the lang query parameter over Accept-Language', async () => {
+        Sinon.stub(User, 'findOne').resolves(null);
+        Sinon.stub(User, 'create').resolves({ _id: 'mockId', username: 'validusername' });
+
+        const res = await request(app)
+            .post('/api/users/create?lang=fa')
+            .set('Accept-Language', 'en')
+            .send({ username: 'validusername', password: 'secret-password' });
+
+        expect(res.status).to.equal(201);
+        expect(res.body.code).to.equal('CREATED');
+        expect(res.body.message).to.equal(fa.CREATED);
+    });
+
+    it('should pick the supported language with the highest quality', () => {
+        const req = { query: {}, get: () => 'de;q=1, en;q=0.5, fa;q=0.7' };
+        expect(resolveLocale(req)).to.equal('fa');
+    });
+
+    it('should fall back to English', async () => {
+        const res = await request(app)
+            .post('/api/users/create')
+            .set('Accept-Language', 'de-DE')
+            .send({ username: 'ab', password: 'secret-password' });
+
+        expect(res.headers['content-language']).to.equal('en');
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_USER_NAME);
+    });
+
+    it('should fill in message parameters', () => {
+        expect(t('VALIDATION_MIN_LENGTH', { min: 8 }, 'en')).to.equal('Must contain at least 8 characters.');
+        expect(t('VALIDATION_MIN_LENGTH', { min: 8 }, 'fa')).to.equal('باید حداقل 8 کاراکتر داشته باشد.');
+    });
+});
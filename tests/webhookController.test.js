@@ -0,0 +1,211 @@
+import request from 'supertest';
+import { createApp } from '../app.js';
+import http from 'http';
+import { UserResponseMessages } from '../utils/constants.js';
+import { expect } from 'chai';
+import Sinon from 'sinon';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import mongoose from 'mongoose';
+import { authHeader } from './helpers.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+import { attemptDelivery, MAX_ATTEMPTS, registerWebhookListeners, retryDelay, signPayload } from '../utils/webhooks.js';
+
+const adminId = new mongoose.Types.ObjectId().toString();
+const adminAuth = authHeader(adminId, 'admin');
+const userAuth = authHeader(new mongoose.Types.ObjectId());
+
+const app = createApp();
+
+// Waits until the listeners registered with onEvent have run.
+const flushListeners = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Webhook Controllers', () => {
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    it('should create a webhook and return its generated secret', async () => {
+        const createStub = Sinon.stub(WebhookSubscription, 'create').callsFake(async doc => ({ _id: 'w1', ...doc }));
+
+        const res = await request(app)
+            .post('/api/webhooks')
+            .set(adminAuth)
+            .send({ url: 'https://example.com/hooks', events: ['follow', 'follow', 'user.created'] });
+
+        expect(res.status).to.equal(201);
+        expect(res.body.message).to.equal(UserResponseMessages.WEBHOOK_CREATED);
+        expect(res.body.user.events).to.deep.equal(['follow', 'user.created']);
+        expect(res.body.user.secret).to.match(/^[0-9a-f]{64}$/);
+        expect(createStub.firstCall.args[0].createdBy).to.equal(adminId);
+    });
+
+    it('should reject a webhook with a non-http URL', async () => {
+        const res = await request(app)
+            .post('/api/webhooks')
+            .set(adminAuth)
+            .send({ url: 'ftp://example.com', events: ['follow'] });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_WEBHOOK_URL);
+    });
+
+    it('should reject a webhook with unknown events', async () => {
+        const res = await request(app)
+            .post('/api/webhooks')
+            .set(adminAuth)
+            .send({ url: 'https://example.com/hooks', events: ['follow', 'block'] });
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_WEBHOOK_EVENTS);
+    });
+
+    it('should only allow admins to manage webhooks', async () => {
+        const res = await request(app)
+            .get('/api/webhooks')
+            .set(userAuth);
+
+        expect(res.status).to.equal(403);
+    });
+
+    it('should return an error when deleting an unknown webhook', async () => {
+        Sinon.stub(WebhookSubscription, 'findByIdAndDelete').resolves(null);
+
+        const res = await request(app)
+            .delete(`/api/webhooks/${new mongoose.Types.ObjectId()}`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(404);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_WEBHOOK_NOT_FOUND);
+    });
+
+    it('should list deliveries filtered by webhook and status', async () => {
+        const webhookId = new mongoose.Types.ObjectId().toString();
+        const query = {
+            sort: Sinon.stub().returnsThis(),
+            limit: Sinon.stub().resolves([])
+        };
+        const findStub = Sinon.stub(WebhookDelivery, 'find').returns(query);
+
+        const res = await request(app)
+            .get(`/api/webhooks/deliveries?webhookId=${webhookId}&status=failed&limit=5`)
+            .set(adminAuth);
+
+        expect(res.status).to.equal(200);
+        expect(res.body.message).to.equal(UserResponseMessages.WEBHOOK_DELIVERIES);
+        expect(findStub.firstCall.args[0]).to.deep.equal({ subscription: webhookId, status: 'failed' });
+        expect(query.limit.firstCall.args[0]).to.equal(5);
+    });
+
+    it('should reject an unknown delivery status', async () => {
+        const res = await request(app)
+            .get('/api/webhooks/deliveries?status=lost')
+            .set(adminAuth);
+
+        expect(res.status).to.equal(422);
+        expect(res.body.message).to.equal(UserResponseMessages.ERROR_DELIVERY_STATUS);
+    });
+
+    it('should queue a delivery for every subscription when a user is followed', async () => {
+        const subscriptionId = new mongoose.Types.ObjectId();
+        Sinon.stub(WebhookSubscription, 'find').resolves([{ _id: subscriptionId }]);
+        const insertStub = Sinon.stub(WebhookDelivery, 'insertMany').resolves([]);
+        const unsubscribe = registerWebhookListeners();
+
+        try {
+            eventBus.emit(EVENTS.FOLLOWED, { follower: 'a', followee: 'b', date: new Date() });
+            await flushListeners();
+        } finally {
+            unsubscribe();
+        }
+
+        const [delivery] = insertStub.firstCall.args[0];
+        expect(delivery.subscription).to.equal(subscriptionId);
+        expect(delivery.event).to.equal('follow');
+        expect(delivery.payload.data).to.include({ follower: 'a', followee: 'b' });
+    });
+});
+
+describe('Webhook delivery', () => {
+    let server;
+    let url;
+    let responseStatus;
+    let received;
+
+    before(async () => {
+        // Stand-in receiver that records every request and answers with `responseStatus`.
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(responseStatus).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        responseStatus = 204;
+        received = [];
+    });
+
+    afterEach(() => {
+        Sinon.restore();
+    });
+
+    const makeDelivery = (attempts = 0) => ({
+        _id: new mongoose.Types.ObjectId(),
+        event: 'follow',
+        attempts,
+        payload: { event: 'follow', data: { follower: 'a', followee: 'b' } }
+    });
+
+    it('should send a signed payload and mark the delivery as succeeded', async () => {
+        const updateStub = Sinon.stub(WebhookDelivery, 'updateOne').resolves();
+        const delivery = makeDelivery();
+
+        const result = await attemptDelivery(delivery, { url, secret: 'test-secret' });
+
+        expect(result.status).to.equal('succeeded');
+        const [{ headers, body }] = received;
+        expect(headers['x-webhook-event']).to.equal('follow');
+        expect(headers['x-webhook-signature'])
+            .to.equal(signPayload('test-secret', headers['x-webhook-timestamp'], body));
+        expect(JSON.parse(body)).to.deep.include({ id: delivery._id.toString(), event: 'follow' });
+        expect(updateStub.firstCall.args[1]).to.include({ status: 'succeeded', attempts: 1 });
+    });
+
+    it('should schedule a retry with backoff when the receiver fails', async () => {
+        responseStatus = 500;
+        const updateStub = Sinon.stub(WebhookDelivery, 'updateOne').resolves();
+        const before = Date.now();
+
+        const result = await attemptDelivery(makeDelivery(2), { url, secret: 'test-secret' });
+
+        expect(result).to.include({ status: 'pending', attempts: 3, responseStatus: 500 });
+        const update = updateStub.firstCall.args[1];
+        expect(update.status).to.equal(undefined);
+        expect(update.nextAttemptAt.getTime()).to.be.at.least(before + retryDelay(3));
+        expect(update.$push.attemptLog.error).to.equal('HTTP 500');
+    });
+
+    it('should mark the delivery as failed after the last attempt', async () => {
+        responseStatus = 500;
+        const updateStub = Sinon.stub(WebhookDelivery, 'updateOne').resolves();
+
+        const result = await attemptDelivery(makeDelivery(MAX_ATTEMPTS - 1), { url, secret: 'test-secret' });
+
+        expect(result.status).to.equal('failed');
+        expect(updateStub.firstCall.args[1]).to.include({ status: 'failed', attempts: MAX_ATTEMPTS });
+    });
+
+    it('should double the retry delay up to one hour', () => {
+        expect(retryDelay(1)).to.equal(10 * 1000);
+        expect(retryDelay(2)).to.equal(20 * 1000);
+        expect(retryDelay(20)).to.equal(60 * 60 * 1000);
+    });
+});
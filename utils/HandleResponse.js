@@ -1,19 +1,101 @@
 // responseUtils.js
+import crypto from 'crypto';
+import { UserResponseMessages } from './constants.js';
+import { localize } from './i18n.js';
+import { AppError, ConflictError, InternalError, NotFoundError, ValidationError, isDuplicateKeyError } from './errors.js';
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * This middleware gives every request an ID, reusing a well-formed `X-Request-Id` header
+ * from the client or a proxy, and echoes it in the response so errors can be traced in the logs.
+ */
+export const assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
 
 export const notFound = (req, res, next) => {
-    res.status(404).json({ message: "notfound" });
+    next(new NotFoundError(UserResponseMessages.ERROR_ROUTE_NOT_FOUND));
 };
 
+/**
+ * This function turns any error into an AppError. MongoDB duplicate keys become conflicts,
+ * Mongoose validation and cast errors become validation errors, client errors raised by
+ * other middleware (e.g. malformed JSON) keep their status, and anything else is internal.
+ */
+const toAppError = (error) => {
+    if (error instanceof AppError) return error;
+
+    if (isDuplicateKeyError(error)) {
+        const errors = Object.keys(error.keyValue || {}).map(path =>
+            ({ path, code: 'duplicate', message: UserResponseMessages.ERROR_DUPLICATE }));
+        return new ConflictError(UserResponseMessages.ERROR_DUPLICATE, { errors: errors.length ? errors : undefined });
+    }
+
+    if (error?.name === 'ValidationError' && error.errors) {
+        const errors = Object.values(error.errors).map(({ path, kind, message }) => ({ path, code: kind, message }));
+        return new ValidationError(errors[0]?.message || error.message, { errors });
+    }
+
+    if (error?.name === 'CastError') {
+        return new ValidationError(UserResponseMessages.ERROR_VALID_ID, {
+            errors: [{ path: error.path, code: 'invalid_id', message: UserResponseMessages.ERROR_VALID_ID }]
+        });
+    }
+
+    const status = error?.status || error?.statusCode;
+    if (status >= 400 && status < 500) {
+        return new AppError(error.message, { status, code: 'BAD_REQUEST' });
+    }
+
+    return new InternalError(error?.message || undefined, { cause: error });
+};
+
+/**
+ * This function turns any error into the fields of an error response, translated into the
+ * request's locale. Internal errors are logged with the request ID.
+ * It is shared by `errorHandler` and the GraphQL endpoint, which reports errors in its own body.
+ */
+export const describeError = (error, req) => {
+    const appError = toAppError(error);
+    const { status, code } = appError;
+
+    if (status >= 500) {
+        console.error(`Request ${req.id} failed:`, error);
+    }
+
+    const hideDetails = status >= 500 && process.env.NODE_ENV === 'production';
+    const { code: messageCode, message } = localize(hideDetails ? UserResponseMessages.ERROR_INTERNAL : appError.message);
+    const errors = appError.errors
+        ? appError.errors.map(entry => ({ ...entry, message: localize(entry.message).message }))
+        : [{ code, message }];
+
+    return { status, code, messageCode, message, errors };
+};
+
+// Validation errors carry one `{ path, code, message }` entry per failing field;
+// any other error is reported as a single entry without a path.
+// Messages are translated into the request's locale and `messageCode` names the catalog message.
+// Internal errors are logged with the request ID and never expose their details in production.
 export const errorHandler = (error, req, res, next) => {
-    const status = error.status || 400;
-    const message = error.message || "Internal server error";
-    res.status(status).json({ status, message, success: false });
+    const body = describeError(error, req);
+
+    res.status(body.status).json({ ...body, requestId: req.id, success: false });
 };
 
-export const getSuccessResponse = (status, message, user) => {
+/**
+ * This function builds the body of a successful response. The message is translated into
+ * the request's locale and `code` names the catalog message.
+ */
+export const getSuccessResponse = (status, message, user, pagination) => {
+    const localized = localize(message);
     const response = {
         status,
-        message,
+        code: localized.code,
+        message: localized.message,
         success: true,
     };
 
@@ -21,5 +103,9 @@ export const getSuccessResponse = (status, message, user) => {
         response.user = user;
     }
 
+    if (pagination) {
+        response.pagination = pagination;
+    }
+
     return response;
 };
@@ -0,0 +1,54 @@
+import AuditLog from '../models/AuditLog.js';
+import { currentRequest } from './requestContext.js';
+
+// Longest user agent kept; anything longer is cut.
+const MAX_USER_AGENT_LENGTH = 256;
+
+/**
+ * This function returns the fields of an audit entry taken from the request being handled, if any.
+ */
+const requestFields = () => {
+    const req = currentRequest();
+
+    return {
+        actor: req?.user?.id,
+        ip: req?.ip,
+        userAgent: req?.get('User-Agent')?.slice(0, MAX_USER_AGENT_LENGTH),
+        requestId: req?.id,
+    };
+};
+
+/**
+ * This function inserts audit `entries` in the transaction of `session` and registers their
+ * removal with `onRollback` (see `runInTransaction`).
+ */
+const insertAudits = async (entries, session, onRollback) => {
+    const inserted = await AuditLog.insertMany(entries, { session });
+    onRollback(() => AuditLog.deleteMany({ _id: { $in: inserted.map(entry => entry._id) } }));
+    return inserted;
+};
+
+/**
+ * This function appends an entry to the audit log in the transaction of `session`, so it is
+ * written if and only if the change it records is. The actor, IP, user agent and request ID
+ * are taken from the request being handled, if any; admins acting for another user are
+ * recorded as the actor with that user as `user`.
+ */
+export const recordAudit = ({ action, user, target, details }, session = null, onRollback = () => {}) =>
+    insertAudits([{ action, user, target, details, ...requestFields() }], session, onRollback);
+
+/**
+ * This function appends one `action` entry per follow edge to the audit log, with the follower
+ * as `user` and the followee as `target`, like `recordAudit`.
+ * Follows and unfollows are recorded this way however they happen, including through bulk routes,
+ * GraphQL, approved follow requests, blocks, account deletions, imports and repairs.
+ */
+export const recordEdgeAudits = (action, edges, details, session = null, onRollback = () => {}) => {
+    const fields = requestFields();
+
+    return insertAudits(
+        edges.map(({ follower, followee }) => ({ action, user: follower, target: followee, details, ...fields })),
+        session,
+        onRollback
+    );
+};
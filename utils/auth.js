@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { UserResponseMessages } from './constants.js';
+import { ForbiddenError, UnauthorizedError } from './errors.js';
+import { config } from './config.js';
+import { isSameId } from './validation.js';
+import User from '../models/User.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// JWT_SECRET is required in production; see utils/config.js.
+const { secret: JWT_SECRET, expiresIn: JWT_EXPIRES_IN } = config.jwt;
+
+export const ROLES = { USER: 'user', ADMIN: 'admin' };
+
+// How long the role read for an account is trusted. A role changed by e.g. the promote:admin
+// script, or an account deleted through another server instance, applies after at most this long.
+const ACCOUNT_CACHE_MS = 30 * 1000;
+
+// Accounts by user id as `{ account, expiresAt }`; `account` is `{ role }`, or null once deleted.
+const accounts = new Map();
+let nextSweep = 0;
+
+/**
+ * This function caches the account of `userId`, e.g. one just read at login.
+ */
+export const rememberAccount = (userId, account) => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+        for (const [id, entry] of accounts) {
+            if (entry.expiresAt <= now) accounts.delete(id);
+        }
+        nextSweep = now + ACCOUNT_CACHE_MS;
+    }
+
+    accounts.set(userId.toString(), { account, expiresAt: now + ACCOUNT_CACHE_MS });
+};
+
+/**
+ * This function drops the cached account of `userId`, so its next request reads it again.
+ */
+export const forgetAccount = (userId) => {
+    accounts.delete(userId.toString());
+};
+
+/**
+ * This function returns the account of `userId` as `{ role }`, or null when the user no
+ * longer exists. Accounts are read from the database at most once per ACCOUNT_CACHE_MS.
+ */
+const loadAccount = async (userId) => {
+    const cached = accounts.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.account;
+
+    const user = await User.findById(userId, 'role').lean();
+    const account = user ? { role: user.role || ROLES.USER } : null;
+    rememberAccount(userId, account);
+    return account;
+};
+
+/**
+ * This function hashes a password with scrypt and a random salt.
+ * The result has the form `salt:hash`, both hex encoded.
+ */
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+};
+
+/**
+ * This function checks a password against a hash produced by `hashPassword`.
+ */
+export const verifyPassword = async (password, stored) => {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * This function signs an access token for the given user.
+ */
+export const signToken = (user) => jwt.sign(
+    { role: user.role || ROLES.USER },
+    JWT_SECRET,
+    { subject: user._id.toString(), expiresIn: JWT_EXPIRES_IN }
+);
+
+/**
+ * This middleware reads the bearer token from the Authorization header, verifies it,
+ * and stores the acting user on `req.user` as `{ id, role }`.
+ * The role is the account's current one rather than the one in the token, and tokens of
+ * deleted users are rejected, so demotions and deletions do not wait for tokens to expire.
+ */
+export const authenticate = async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError(UserResponseMessages.ERROR_UNAUTHORIZED));
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+        return next(new UnauthorizedError(UserResponseMessages.ERROR_INVALID_TOKEN));
+    }
+
+    try {
+        const account = await loadAccount(payload.sub);
+        if (!account) {
+            return next(new UnauthorizedError(UserResponseMessages.ERROR_INVALID_TOKEN));
+        }
+
+        req.user = { id: payload.sub, role: account.role };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * This middleware authenticates the request like `authenticate` when it carries a token,
+ * and lets anonymous requests through without `req.user`.
+ */
+export const authenticateOptional = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    authenticate(req, res, next);
+};
+
+/**
+ * This function creates a middleware that only lets users with one of the given roles through.
+ * It must run after `authenticate`.
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+        return next(new ForbiddenError(UserResponseMessages.ERROR_FORBIDDEN));
+    }
+    next();
+};
+
+/**
+ * This function returns the id of the user an action is performed for.
+ * It is the authenticated user, unless an admin names another user in `userId`.
+ */
+export const getActingUserId = (req) => {
+    const { userId } = req.body;
+
+    if (userId === undefined || isSameId(userId, req.user.id)) return req.user.id;
+
+    if (req.user.role !== ROLES.ADMIN) {
+        throw new ForbiddenError(UserResponseMessages.ERROR_FORBIDDEN);
+    }
+
+    return userId;
+};
+
+/**
+ * This function makes sure the authenticated user may read data that belongs to `userId`:
+ * only the user themselves or an admin may.
+ */
+export const assertSelfOrAdmin = (req, userId) => {
+    if (!isSameId(req.user.id, userId) && req.user.role !== ROLES.ADMIN) {
+        throw new ForbiddenError(UserResponseMessages.ERROR_FORBIDDEN);
+    }
+};
+
+/**
+ * This middleware accepts the access token in the `token` query parameter when no
+ * Authorization header is sent. Browsers cannot set headers on EventSource connections,
+ * so use it only on streaming routes, before `authenticate`.
+ */
+export const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
@@ -0,0 +1,172 @@
+const MINUTE_MS = 60 * 1000;
+
+/*
+ * A cache store keeps string values and sets of strings under string keys, with the commands
+ * and signatures of a Redis client such as ioredis, so one can be used as a store as it is:
+ * - get(key): the value, or null
+ * - set(key, value, 'PX', ttlMs)
+ * - del(...keys)
+ * - sadd(key, ...members), smembers(key)
+ * - pexpire(key, ttlMs)
+ */
+
+/**
+ * This function creates a cache store that keeps its entries in process memory.
+ * Once it holds `maxEntries` values, setting another evicts the least recently used one.
+ * A value that is evicted, expires or is deleted also leaves the sets listing its key, so sets
+ * such as the tags of a cache, refreshed on every write, never outgrow the values.
+ * Entries are not shared between server instances; plug in a Redis client when running several.
+ */
+export const createMemoryStore = ({ maxEntries = 1000 } = {}) => {
+    // Both maps hold `{ expiresAt }` entries; `values` is ordered from least to most recently used.
+    const values = new Map();
+    const sets = new Map();
+    // The keys of the sets each member belongs to.
+    const memberships = new Map();
+    let nextSweep = 0;
+
+    const removeValue = (key) => {
+        values.delete(key);
+        for (const setKey of memberships.get(key) || []) {
+            const entry = sets.get(setKey);
+            entry.members.delete(key);
+            if (!entry.members.size) sets.delete(setKey);
+        }
+        memberships.delete(key);
+    };
+
+    const removeSet = (key) => {
+        for (const member of sets.get(key)?.members || []) {
+            const setKeys = memberships.get(member);
+            setKeys.delete(key);
+            if (!setKeys.size) memberships.delete(member);
+        }
+        sets.delete(key);
+    };
+
+    const live = (map, key) => {
+        const entry = map.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            (map === values ? removeValue : removeSet)(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    // Entries that are never read again would stay until evicted, so expired ones are dropped from time to time.
+    const sweep = () => {
+        const now = Date.now();
+        if (now < nextSweep) return;
+
+        for (const [key, entry] of values) {
+            if (entry.expiresAt <= now) removeValue(key);
+        }
+        for (const [key, entry] of sets) {
+            if (entry.expiresAt <= now) removeSet(key);
+        }
+        nextSweep = now + MINUTE_MS;
+    };
+
+    return {
+        async get(key) {
+            const entry = live(values, key);
+            if (!entry) return null;
+
+            values.delete(key);
+            values.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, mode, ttlMs) {
+            sweep();
+            // Moved to the most recently used end, keeping the sets it belongs to.
+            values.delete(key);
+            values.set(key, { value, expiresAt: mode === 'PX' ? Date.now() + ttlMs : Infinity });
+
+            while (values.size > maxEntries) {
+                removeValue(values.keys().next().value);
+            }
+            return 'OK';
+        },
+
+        async del(...keys) {
+            return keys.filter((key) => {
+                const found = values.has(key) || sets.has(key);
+                if (values.has(key)) removeValue(key);
+                if (sets.has(key)) removeSet(key);
+                return found;
+            }).length;
+        },
+
+        async sadd(key, ...members) {
+            sweep();
+            const entry = live(sets, key) || { members: new Set(), expiresAt: Infinity };
+            const size = entry.members.size;
+
+            for (const member of members) {
+                entry.members.add(member);
+                if (!memberships.has(member)) memberships.set(member, new Set());
+                memberships.get(member).add(key);
+            }
+            sets.set(key, entry);
+            return entry.members.size - size;
+        },
+
+        async smembers(key) {
+            return [...(live(sets, key)?.members || [])];
+        },
+
+        async pexpire(key, ttlMs) {
+            const entry = live(values, key) || live(sets, key);
+            if (!entry) return 0;
+
+            entry.expiresAt = Date.now() + ttlMs;
+            return 1;
+        },
+    };
+};
+
+/**
+ * This function creates a cache of JSON values on top of a cache store.
+ * Entries expire after `ttlMs` and carry tags naming the data they were computed from;
+ * `invalidate` removes every entry carrying one of the given tags. Each tag is a set in the
+ * store listing the keys of its entries.
+ * The cache never fails a request: errors of the store are logged and reads then miss.
+ */
+export const createCache = (store, { ttlMs, prefix = 'cache:' }) => {
+    const entryKey = key => `${prefix}${key}`;
+    const tagKey = tag => `${prefix}tag:${tag}`;
+
+    return {
+        async get(key) {
+            try {
+                const value = await store.get(entryKey(key));
+                return value === null || value === undefined ? null : JSON.parse(value);
+            } catch (err) {
+                console.error(`Cache read of "${key}" failed:`, err);
+                return null;
+            }
+        },
+
+        async set(key, value, tags = []) {
+            try {
+                // Tags first, so an entry is never stored without a way to invalidate it.
+                await Promise.all([...new Set(tags)].map(async (tag) => {
+                    await store.sadd(tagKey(tag), entryKey(key));
+                    await store.pexpire(tagKey(tag), ttlMs);
+                }));
+                await store.set(entryKey(key), JSON.stringify(value), 'PX', ttlMs);
+            } catch (err) {
+                console.error(`Cache write of "${key}" failed:`, err);
+            }
+        },
+
+        async invalidate(tags) {
+            const tagKeys = [...new Set(tags)].map(tagKey);
+            if (!tagKeys.length) return;
+
+            const keys = (await Promise.all(tagKeys.map(key => store.smembers(key)))).flat();
+            await store.del(...new Set(keys), ...tagKeys);
+        },
+    };
+};
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Server configuration, read once at startup from the environment and `.env` files and validated.
+ * Variables set in the environment win over `.env.<NODE_ENV>`, which wins over `.env`.
+ * Every variable is listed with its default in `.env.example`.
+ */
+
+const DEV_JWT_SECRET = 'following-system-dev-secret';
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * This function parses the contents of a `.env` file: `KEY=value` lines, optionally prefixed with
+ * `export`, with `#` comments and single- or double-quoted values.
+ */
+export const parseEnvFile = (contents) => {
+    const values = {};
+
+    for (const line of contents.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([\w.]+)\s*=\s*(.*)?\s*$/);
+        if (!match) continue;
+
+        let value = (match[2] || '').trim();
+        const quote = value[0];
+        if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length > 1) {
+            value = value.slice(1, -1);
+            if (quote === '"') value = value.replace(/\\n/g, '\n');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    }
+
+    return values;
+};
+
+const readEnvFile = (file) => (fs.existsSync(file) ? parseEnvFile(fs.readFileSync(file, 'utf8')) : {});
+
+/**
+ * This function merges the `.env` files of `dir` with `env`, which takes precedence.
+ */
+export const readEnv = ({ env = process.env, dir = process.cwd() } = {}) => {
+    const base = readEnvFile(path.join(dir, '.env'));
+    const nodeEnv = env.NODE_ENV || base.NODE_ENV || 'development';
+
+    return {
+        ...base,
+        ...readEnvFile(path.join(dir, `.env.${nodeEnv}`)),
+        ...env
+    };
+};
+
+/**
+ * This function builds and validates the configuration from a map of variables.
+ * It reports every invalid variable at once by throwing a ConfigError.
+ */
+export const loadConfig = (env = readEnv()) => {
+    const problems = [];
+
+    const integer = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        const value = Number(env[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            problems.push(`${name} must be an integer between ${min} and ${max}`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const flag = (name, fallback) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        const value = String(env[name]).toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(value)) return true;
+        if (['false', '0', 'no', 'off'].includes(value)) return false;
+        problems.push(`${name} must be true or false`);
+        return fallback;
+    };
+
+    const oneOf = (name, values, fallback) => {
+        if (env[name] === undefined || env[name] === '') return fallback;
+        if (!values.includes(env[name])) {
+            problems.push(`${name} must be one of ${values.join(', ')}`);
+            return fallback;
+        }
+        return env[name];
+    };
+
+    const nodeEnv = env.NODE_ENV || 'development';
+    const production = nodeEnv === 'production';
+
+    const mongoUri = env.MONGO_URI || 'mongodb://localhost:27017/folowing-system';
+    if (!/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+        problems.push('MONGO_URI must start with mongodb:// or mongodb+srv://');
+    }
+
+    const jwtSecret = env.JWT_SECRET || (production ? undefined : DEV_JWT_SECRET);
+    if (!jwtSecret) {
+        problems.push('JWT_SECRET is required in production');
+    } else if (production && jwtSecret.length < 32) {
+        problems.push('JWT_SECRET must be at least 32 characters in production');
+    }
+
+    const mongo = {
+        uri: mongoUri,
+        minPoolSize: integer('MONGO_MIN_POOL_SIZE', 0, { max: 1000 }),
+        maxPoolSize: integer('MONGO_MAX_POOL_SIZE', 10, { min: 1, max: 1000 }),
+        serverSelectionTimeoutMS: integer('MONGO_SERVER_SELECTION_TIMEOUT_MS', 5000, { min: 1 }),
+    };
+    if (mongo.minPoolSize > mongo.maxPoolSize) {
+        problems.push('MONGO_MIN_POOL_SIZE must not be greater than MONGO_MAX_POOL_SIZE');
+    }
+
+    const config = {
+        env: nodeEnv,
+        production,
+        port: integer('PORT', 3000, { min: 1, max: 65535 }),
+        // Passed to Express `trust proxy`, so `req.ip` (used by rate limits) is the client's address.
+        trustProxy: integer('TRUST_PROXY', 0, { max: 10 }),
+        shutdownTimeoutMs: integer('SHUTDOWN_TIMEOUT_MS', 10000, { min: 0 }),
+        mongo,
+        jwt: {
+            secret: jwtSecret,
+            expiresIn: env.JWT_EXPIRES_IN || '1d',
+        },
+        rateLimit: {
+            store: oneOf('RATE_LIMIT_STORE', ['memory', 'mongo'], 'memory'),
+            followPerUser: integer('RATE_LIMIT_FOLLOW_PER_USER', 60, { min: 1 }),
+            followPerIp: integer('RATE_LIMIT_FOLLOW_PER_IP', 300, { min: 1 }),
+            unfollowPerUser: integer('RATE_LIMIT_UNFOLLOW_PER_USER', 60, { min: 1 }),
+            unfollowPerIp: integer('RATE_LIMIT_UNFOLLOW_PER_IP', 300, { min: 1 }),
+            createPerIp: integer('RATE_LIMIT_CREATE_PER_IP', 10, { min: 1 }),
+            loginPerIp: integer('RATE_LIMIT_LOGIN_PER_IP', 30, { min: 1 }),
+            loginPerUsername: integer('RATE_LIMIT_LOGIN_PER_USERNAME', 10, { min: 1 }),
+            dailyFollows: integer('RATE_LIMIT_DAILY_FOLLOWS', 400, { min: 1 }),
+            churn: integer('RATE_LIMIT_CHURN', 6, { min: 1 }),
+        },
+        // How long after an unfollow it may still be undone with its original follow date.
+        undoUnfollowGraceMs: integer('UNDO_UNFOLLOW_GRACE_MS', 10 * 60 * 1000, { min: 0 }),
+        // Shortest follow path searches (GET /api/users/:fromId/connection/:toId).
+        connection: {
+            maxDepth: integer('CONNECTION_MAX_DEPTH', 6, { min: 1, max: 10 }),
+            timeBudgetMs: integer('CONNECTION_TIME_BUDGET_MS', 2000, { min: 1 }),
+        },
+        // Cached responses of the expensive read endpoints (see utils/responseCache.js).
+        cache: {
+            ttlMs: integer('CACHE_TTL_MS', 60 * 1000, { min: 1 }),
+            maxEntries: integer('CACHE_MAX_ENTRIES', 1000, { min: 1 }),
+        },
+        // Background features; turn them off e.g. on instances that only serve requests.
+        features: {
+            notifications: flag('FEATURE_NOTIFICATIONS', true),
+            webhooks: flag('FEATURE_WEBHOOKS', true),
+            followCountRecount: flag('FEATURE_FOLLOW_COUNT_RECOUNT', true),
+        },
+    };
+
+    if (problems.length) throw new ConfigError(problems);
+
+    return Object.freeze(config);
+};
+
+export const config = loadConfig();
@@ -1,17 +1,113 @@
+// English messages keyed by stable codes. This is also the `en` catalog of utils/i18n.js;
+// other languages live in utils/locales/ and must use the same keys.
 export const UserResponseMessages = {
     ERROR_USER_NAME: 'Username must contain at least 3 characters.',
+    ERROR_USER_NAME_LENGTH: 'Username must contain at most 30 characters.',
+    ERROR_USER_NAME_CHARSET: 'Username may only contain letters, digits, underscores and dots.',
+    ERROR_USER_NAME_RESERVED: 'This username is reserved.',
+    ERROR_PASSWORD: 'Password must contain at least 8 characters.',
+    ERROR_LOGIN: 'Invalid username or password.',
+    ERROR_UNAUTHORIZED: 'Authentication required.',
+    ERROR_INVALID_TOKEN: 'The token is not valid or has expired.',
+    ERROR_FORBIDDEN: 'You are not allowed to perform this action.',
     ERROR_VALID_ID: 'The ID is not valid.',
     ERROR_IDS_SAME: 'IDs cannot be the same.',
-    ERROR_EXIST_USER:'Exist username',
+    ERROR_EXIST_USER: 'Exist username',
+    ERROR_DUPLICATE: 'A record with the same value already exists.',
+    ERROR_ROUTE_NOT_FOUND: 'notfound',
+    ERROR_INTERNAL: 'Internal server error',
     CREATED: 'User created successfully.',
+    LOGGED_IN: 'Logged in successfully.',
     ALL_USER: 'List of users.',
-    ERROR_UPDATE_FOLLOWING: 'Already following or user not found.',
-    ERROR_UPDATE_FOLLOWERS: 'Already followers or user not found.',
-    ERROR_UPDATE_UNFOLLOWING: 'Not following or user not found.',
-    ERROR_UPDATE_UNFOLLOWERS: 'Not followers or user not found.',
+    ERROR_UPDATE_FOLLOWING: 'Already following.',
+    ERROR_UPDATE_UNFOLLOWING: 'Not following.',
     UPDATE_FOLLOW: 'Followed successfully.',
     UPDATE_UNFOLLOW: 'Unfollowed successfully.',
     SHOW_FOLLOWERS: 'Show the number of followers of each user on a daily.',
     NOT_FOUND: 'User not found.',
     COMMON_FOLLOWERS: 'Show common followers for two users',
+    RECONCILED: 'Follow edges reconciled.',
+    FOLLOWERS: 'List of followers.',
+    FOLLOWINGS: 'List of followings.',
+    ERROR_LIMIT: 'Limit must be a positive integer.',
+    ERROR_CURSOR: 'The cursor is not valid.',
+    ERROR_PRIVACY: 'isPrivate must be a boolean.',
+    ERROR_REQUEST_EXISTS: 'A follow request is already pending.',
+    ERROR_REQUEST_NOT_FOUND: 'Follow request not found.',
+    FOLLOW_REQUESTED: 'Follow request sent.',
+    FOLLOW_REQUESTS: 'List of follow requests.',
+    REQUEST_APPROVED: 'Follow request approved.',
+    REQUEST_REJECTED: 'Follow request rejected.',
+    REQUEST_CANCELLED: 'Follow request cancelled.',
+    PRIVACY_UPDATED: 'Privacy setting updated.',
+    ERROR_BLOCKED_FOLLOW: 'You cannot follow this user.',
+    ERROR_ALREADY_BLOCKED: 'User is already blocked.',
+    ERROR_NOT_BLOCKED: 'User is not blocked.',
+    ERROR_ALREADY_MUTED: 'User is already muted.',
+    ERROR_NOT_MUTED: 'User is not muted.',
+    BLOCKED: 'User blocked successfully.',
+    UNBLOCKED: 'User unblocked successfully.',
+    MUTED: 'User muted successfully.',
+    UNMUTED: 'User unmuted successfully.',
+    SUGGESTIONS: 'Suggested users to follow.',
+    SUGGESTION_REASON: 'Followed by {count} people you follow',
+    FOLLOWER_ANALYTICS: 'Follower analytics.',
+    MUTUAL_RELATIONS: 'Users related to all given users.',
+    FOLLOWS_BACK: 'Follow relation between two users.',
+    ERROR_MUTUAL_IDS: 'Between 2 and 10 user IDs are required.',
+    ERROR_RELATION: 'Relation must be one of followers, followings or mutuals.',
+    NOTIFICATIONS: 'List of notifications.',
+    NOTIFICATION_READ: 'Notification marked as read.',
+    NOTIFICATIONS_READ: 'All notifications marked as read.',
+    ERROR_NOTIFICATION_NOT_FOUND: 'Notification not found.',
+    WEBHOOK_CREATED: 'Webhook created successfully.',
+    WEBHOOK_DELETED: 'Webhook deleted successfully.',
+    WEBHOOKS: 'List of webhooks.',
+    WEBHOOK_DELIVERIES: 'List of webhook deliveries.',
+    ERROR_WEBHOOK_URL: 'The webhook URL must be an http or https URL.',
+    ERROR_WEBHOOK_EVENTS: 'Events must be a non-empty list of follow, unfollow or user.created.',
+    ERROR_WEBHOOK_SECRET: 'The secret must contain at least 16 characters.',
+    ERROR_WEBHOOK_NOT_FOUND: 'Webhook not found.',
+    ERROR_DELIVERY_STATUS: 'Status must be one of pending, succeeded or failed.',
+    ERROR_GRANULARITY: 'Granularity must be one of hour, day, week or month.',
+    ERROR_TIMEZONE: 'The time zone is not valid.',
+    ERROR_DATE_RANGE: 'The date range is not valid.',
+    ERROR_TOO_MANY_BUCKETS: 'The date range is too large for this granularity.',
+    VALIDATION_REQUIRED: 'This field is required.',
+    VALIDATION_STRING: 'Must be a string.',
+    VALIDATION_MIN_LENGTH: 'Must contain at least {min} characters.',
+    VALIDATION_MAX_LENGTH: 'Must contain at most {max} characters.',
+    VALIDATION_FORMAT: 'Has an invalid format.',
+    VALIDATION_ONE_OF: 'Must be one of {values}.',
+    VALIDATION_BOOLEAN: 'Must be a boolean.',
+    VALIDATION_POSITIVE_INTEGER: 'Must be a positive integer.',
+    VALIDATION_URL: 'Must be an http or https URL.',
+    VALIDATION_ARRAY: 'Must be an array.',
+    VALIDATION_MIN_ITEMS: 'Must contain at least {min} items.',
+    VALIDATION_MAX_ITEMS: 'Must contain at most {max} items.',
+    PROFILE: 'User profile.',
+    PROFILE_UPDATED: 'Profile updated successfully.',
+    USER_DELETED: 'User deleted successfully.',
+    ERROR_PROFILE_EMPTY: 'No profile fields to update.',
+    TOP_USERS: 'Users with the most followers.',
+    SEARCH_RESULTS: 'Users matching the search.',
+    ERROR_SEARCH_QUERY: 'The search query must be between 1 and 50 characters.',
+    ERROR_RATE_LIMIT: 'Too many requests. Please try again later.',
+    ERROR_DAILY_FOLLOW_LIMIT: 'You have reached the daily follow limit.',
+    ERROR_FOLLOW_CHURN: 'You are following and unfollowing this user too often.',
+    RATE_LIMIT_REJECTIONS: 'List of rate limit rejections.',
+    BULK_FOLLOW: 'Bulk follow processed.',
+    BULK_UNFOLLOW: 'Bulk unfollow processed.',
+    ERROR_BULK_IDS: 'Send a list of 1 to 1000 user ids.',
+    GRAPH_IMPORTED: 'Follow graph imported.',
+    GRAPH_IMPORT_CHECKED: 'Follow graph checked; nothing was imported.',
+    ERROR_GRAPH_FORMAT: 'Format must be csv or ndjson.',
+    CONNECTION: 'Shortest follow path between the users.',
+    NO_CONNECTION: 'No follow path was found between the users.',
+    ACTIVITY: 'Recent follows by the accounts you follow.',
+    AUDIT_LOG: 'List of audit log entries.',
+    ERROR_AUDIT_ACTION: 'Unknown audit action.',
+    UNFOLLOW_UNDONE: 'Unfollow undone successfully.',
+    ERROR_UNDO_UNFOLLOW: 'There is no recent unfollow of this user to undo.',
+    ERROR_CONNECTION_DEPTH: 'maxDepth must be a positive integer no greater than the allowed maximum.',
 };
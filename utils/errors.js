@@ -0,0 +1,72 @@
+/**
+ * Typed application errors. Each class has an HTTP status and a stable `code` that clients
+ * can rely on; the message is meant for humans and may change.
+ * Controllers throw these and `errorHandler` (utils/HandleResponse.js) turns them into responses.
+ */
+export class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        if (errors) this.errors = errors;
+    }
+}
+
+/**
+ * The request is malformed or fails validation. `errors` lists the failing fields
+ * as `{ path, code, message }` entries.
+ */
+export class ValidationError extends AppError {
+    constructor(message, { errors } = {}) {
+        super(message, { status: 422, code: 'VALIDATION_FAILED', errors });
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message) {
+        super(message, { status: 401, code: 'UNAUTHORIZED' });
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, { status: 404, code: 'NOT_FOUND' });
+    }
+}
+
+/**
+ * The request conflicts with the current state, e.g. a duplicate follow or a taken username.
+ */
+export class ConflictError extends AppError {
+    constructor(message, { errors } = {}) {
+        super(message, { status: 409, code: 'CONFLICT', errors });
+    }
+}
+
+/**
+ * The caller hit a rate limit. `retryAfter` is the number of seconds until they may try again.
+ */
+export class TooManyRequestsError extends AppError {
+    constructor(message, { retryAfter } = {}) {
+        super(message, { status: 429, code: 'RATE_LIMITED' });
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class InternalError extends AppError {
+    constructor(message = 'Internal server error', { cause } = {}) {
+        super(message, { status: 500, code: 'INTERNAL_ERROR', cause });
+    }
+}
+
+/**
+ * This function tells whether an error is a MongoDB duplicate key error.
+ */
+export const isDuplicateKeyError = (err) => err?.code === 11000;
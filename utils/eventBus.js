@@ -0,0 +1,35 @@
+import { EventEmitter } from 'events';
+
+// Domain events emitted by the controllers after their changes are committed.
+export const EVENTS = {
+    FOLLOWED: 'followed',                            // { follower, followee, date, viaRequest, restored }
+    UNFOLLOWED: 'unfollowed',                        // { follower, followee, date }
+    FOLLOW_REQUESTED: 'follow_requested',            // { requester, target, date }
+    FOLLOW_REQUEST_APPROVED: 'follow_request_approved',  // { requester, target, date }
+    USER_CREATED: 'user_created',                    // { user }
+    USER_UPDATED: 'user_updated',                    // { user, changes }
+    USER_DELETED: 'user_deleted',                    // { userId, date }
+    BLOCKED: 'blocked',                              // { blocker, blocked, date }
+    UNBLOCKED: 'unblocked',                          // { blocker, blocked, date }
+};
+
+/**
+ * The in-process event bus. Listeners must not throw; use `onEvent` to register
+ * async listeners whose failures are logged instead of crashing the emitter.
+ */
+export const eventBus = new EventEmitter();
+
+/**
+ * This function registers an async listener for a domain event and logs its failures.
+ * It returns a function that removes the listener.
+ */
+export const onEvent = (event, listener) => {
+    const wrapped = (payload) => {
+        Promise.resolve()
+            .then(() => listener(payload))
+            .catch(err => console.error(`Listener for "${event}" failed:`, err));
+    };
+
+    eventBus.on(event, wrapped);
+    return () => eventBus.off(event, wrapped);
+};
@@ -0,0 +1,163 @@
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import FollowEvent, { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { UserResponseMessages } from './constants.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError, isDuplicateKeyError } from './errors.js';
+import { reinsert, runInTransaction } from './transaction.js';
+import { isBlockedBetween } from './relationships.js';
+import { recordFollowEvents } from './followEvents.js';
+import { adjustFollowCounts } from './followCounters.js';
+import { EVENTS, eventBus } from './eventBus.js';
+import { config } from './config.js';
+import { isSameId } from './validation.js';
+import { recordAudit, recordEdgeAudits } from './audit.js';
+
+/**
+ * This function makes `userId` follow `followId`.
+ * It checks that both users exist and neither has blocked the other, and creates the follow
+ * edge, its counters, its follow event and its audit entry in a single transaction.
+ * If the followed account is private, a pending follow request is created instead and returned;
+ * otherwise it returns null. Failures are thrown as AppErrors carrying the usual messages.
+ */
+export const follow = async (userId, followId) => {
+    if (isSameId(userId, followId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+    }
+
+    const followRequest = await runInTransaction(async (session, onRollback) => {
+        const user = await User.exists({ _id: userId }, { session });
+        const followedUser = await User.findById(followId, 'isPrivate', { session });
+
+        if (!user || !followedUser) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        if (await isBlockedBetween(userId, followId, session)) {
+            throw new ForbiddenError(UserResponseMessages.ERROR_BLOCKED_FOLLOW);
+        }
+
+        if (followedUser.isPrivate) {
+            const alreadyFollowing = await Follow.exists({ follower: userId, followee: followId }, { session });
+            if (alreadyFollowing) throw new ConflictError(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
+
+            try {
+                const [request] = await FollowRequest.create([{ requester: userId, target: followId }], { session });
+                onRollback(() => FollowRequest.deleteOne({ _id: request._id }));
+                await recordAudit({ action: AUDIT_ACTIONS.FOLLOW_REQUEST, user: userId, target: followId }, session, onRollback);
+                return request;
+            } catch (err) {
+                if (isDuplicateKeyError(err)) throw new ConflictError(UserResponseMessages.ERROR_REQUEST_EXISTS);
+                throw err;
+            }
+        }
+
+        try {
+            await Follow.create([{ follower: userId, followee: followId }], { session });
+        } catch (err) {
+            if (isDuplicateKeyError(err)) throw new ConflictError(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
+            throw err;
+        }
+        onRollback(() => Follow.deleteOne({ follower: userId, followee: followId }));
+
+        const edges = [{ follower: userId, followee: followId }];
+        await adjustFollowCounts(edges, 1, session, onRollback);
+        await recordFollowEvents(FOLLOW_EVENT_TYPES.FOLLOW, edges, session, onRollback);
+        await recordEdgeAudits(AUDIT_ACTIONS.FOLLOW, edges, undefined, session, onRollback);
+
+        return null;
+    });
+
+    if (followRequest) {
+        eventBus.emit(EVENTS.FOLLOW_REQUESTED, { requester: userId, target: followId, date: followRequest.createdAt });
+    } else {
+        eventBus.emit(EVENTS.FOLLOWED, { follower: userId, followee: followId, date: new Date() });
+    }
+
+    return followRequest;
+};
+
+/**
+ * This function makes `userId` unfollow `unfollowId`, removing the follow edge, updating the
+ * counters and logging an unfollow event and audit entry in a single transaction.
+ * The event keeps the date of the removed follow so the unfollow can be undone (see `undoUnfollow`).
+ * Failures are thrown as AppErrors carrying the usual messages.
+ */
+export const unfollow = async (userId, unfollowId) => {
+    if (isSameId(userId, unfollowId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+    }
+
+    await runInTransaction(async (session, onRollback) => {
+        const removedFollow = await Follow.findOneAndDelete({ follower: userId, followee: unfollowId }, { session });
+
+        if (!removedFollow) {
+            throw new NotFoundError(UserResponseMessages.ERROR_UPDATE_UNFOLLOWING);
+        }
+        onRollback(() => reinsert(Follow, [removedFollow]));
+
+        const edges = [{ follower: userId, followee: unfollowId }];
+        await adjustFollowCounts(edges, -1, session, onRollback);
+        await recordFollowEvents(FOLLOW_EVENT_TYPES.UNFOLLOW, [{ ...edges[0], followedAt: removedFollow.createdAt }], session, onRollback);
+        await recordEdgeAudits(AUDIT_ACTIONS.UNFOLLOW, edges, undefined, session, onRollback);
+    });
+
+    eventBus.emit(EVENTS.UNFOLLOWED, { follower: userId, followee: unfollowId, date: new Date() });
+};
+
+/**
+ * This function undoes the latest unfollow of `unfollowId` by `userId` if it happened within
+ * UNDO_UNFOLLOW_GRACE_MS. The follow edge is restored with its original date, the counters
+ * are updated and the undo is audited in a single transaction; the unfollow event is marked as undone, so follower
+ * analytics read as if the unfollow never happened. Private accounts are followed again directly.
+ * Failures are thrown as AppErrors carrying the usual messages.
+ */
+export const undoUnfollow = async (userId, unfollowId) => {
+    if (isSameId(userId, unfollowId)) {
+        throw new ValidationError(UserResponseMessages.ERROR_IDS_SAME);
+    }
+
+    const since = new Date(Date.now() - config.undoUnfollowGraceMs);
+
+    const followedAt = await runInTransaction(async (session, onRollback) => {
+        const unfollowEvent = await FollowEvent.findOne({
+            type: FOLLOW_EVENT_TYPES.UNFOLLOW,
+            follower: userId,
+            followee: unfollowId,
+            createdAt: { $gte: since },
+        }, null, { session }).sort({ createdAt: -1 });
+
+        // Only the latest unfollow counts, and only if it was a plain unfollow not undone yet.
+        if (!unfollowEvent || !unfollowEvent.followedAt || unfollowEvent.undoneAt) {
+            throw new NotFoundError(UserResponseMessages.ERROR_UNDO_UNFOLLOW);
+        }
+
+        const followedUser = await User.exists({ _id: unfollowId }, { session });
+        if (!followedUser) {
+            throw new NotFoundError(UserResponseMessages.NOT_FOUND);
+        }
+
+        if (await isBlockedBetween(userId, unfollowId, session)) {
+            throw new ForbiddenError(UserResponseMessages.ERROR_BLOCKED_FOLLOW);
+        }
+
+        const edges = [{ follower: userId, followee: unfollowId, createdAt: unfollowEvent.followedAt }];
+        try {
+            await Follow.create(edges, { session });
+        } catch (err) {
+            if (isDuplicateKeyError(err)) throw new ConflictError(UserResponseMessages.ERROR_UPDATE_FOLLOWING);
+            throw err;
+        }
+        onRollback(() => Follow.deleteOne({ follower: userId, followee: unfollowId }));
+
+        await adjustFollowCounts(edges, 1, session, onRollback);
+        await FollowEvent.updateOne({ _id: unfollowEvent._id }, { undoneAt: new Date() }, { session });
+        onRollback(() => FollowEvent.updateOne({ _id: unfollowEvent._id }, { $unset: { undoneAt: 1 } }));
+        await recordEdgeAudits(AUDIT_ACTIONS.UNFOLLOW_UNDONE, edges, undefined, session, onRollback);
+
+        return unfollowEvent.followedAt;
+    });
+
+    eventBus.emit(EVENTS.FOLLOWED, { follower: userId, followee: unfollowId, date: followedAt, restored: true });
+};
@@ -0,0 +1,46 @@
+import Follow from '../models/Follow.js';
+import { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { adjustFollowCounts } from './followCounters.js';
+import { recordFollowEvents } from './followEvents.js';
+import { reinsert, runInTransaction } from './transaction.js';
+import { recordEdgeAudits } from './audit.js';
+
+/**
+ * This function finds follow edges whose follower or followee no longer exists.
+ */
+const findDanglingFollows = () => Follow.aggregate([
+    { $lookup: { from: 'users', localField: 'follower', foreignField: '_id', as: 'followerUser' } },
+    { $lookup: { from: 'users', localField: 'followee', foreignField: '_id', as: 'followeeUser' } },
+    { $match: { $or: [{ followerUser: { $size: 0 } }, { followeeUser: { $size: 0 } }] } },
+    { $project: { _id: 1, follower: 1, followee: 1 } }
+]);
+
+/**
+ * This function scans the Follow collection for edges that point at deleted users and removes them,
+ * updating the counters of the users that still exist and logging an unfollow event and an audit
+ * entry per edge in a single transaction, so follower analytics, which count back from the counters, stay right.
+ * With `dryRun` the dangling edges are only reported.
+ */
+export const repairFollowEdges = async ({ dryRun = false } = {}) => {
+    const danglingFollows = await findDanglingFollows();
+
+    let repaired = 0;
+    if (!dryRun && danglingFollows.length) {
+        repaired = await runInTransaction(async (session, onRollback) => {
+            // Only edges still there are removed, so nothing is counted twice if they changed meanwhile.
+            const edges = await Follow.find({ _id: { $in: danglingFollows.map(f => f._id) } }, 'follower followee createdAt', { session });
+            if (!edges.length) return 0;
+
+            const result = await Follow.deleteMany({ _id: { $in: edges.map(edge => edge._id) } }, { session });
+            onRollback(() => reinsert(Follow, edges));
+            await adjustFollowCounts(edges, -1, session, onRollback);
+            await recordFollowEvents(FOLLOW_EVENT_TYPES.UNFOLLOW, edges, session, onRollback);
+            await recordEdgeAudits(AUDIT_ACTIONS.UNFOLLOW, edges, { repair: true }, session, onRollback);
+
+            return result.deletedCount;
+        });
+    }
+
+    return { dryRun, danglingFollows, repaired };
+};
@@ -0,0 +1,114 @@
+import User from '../models/User.js';
+
+/**
+ * This function moves the stored follower/following counters of the users on both sides
+ * of the given follow edges by `delta` (1 for new edges, -1 for removed ones).
+ * Pass the session and `onRollback` of the transaction that changes the edges so both commit
+ * together (see `runInTransaction`). Counters of deleted users are skipped.
+ */
+export const adjustFollowCounts = async (edges, delta, session = null, onRollback = () => {}) => {
+    if (!edges.length) return;
+
+    const increments = new Map();
+    const add = (userId, field) => {
+        const key = userId.toString();
+        const inc = increments.get(key) || { followersCount: 0, followingsCount: 0 };
+        inc[field] += delta;
+        increments.set(key, inc);
+    };
+
+    for (const { follower, followee } of edges) {
+        add(follower, 'followingsCount');
+        add(followee, 'followersCount');
+    }
+
+    await User.bulkWrite(
+        [...increments].map(([userId, inc]) => ({ updateOne: { filter: { _id: userId }, update: { $inc: inc } } })),
+        { session, ordered: false }
+    );
+    onRollback(() => adjustFollowCounts(edges, -delta));
+};
+
+/**
+ * This function recounts every user's follow edges and corrects the stored counters
+ * that drifted, e.g. after a crash between writes or a manual database change.
+ * With `dryRun` the drifted users are only reported.
+ */
+export const recountFollowCounts = async ({ dryRun = false } = {}) => {
+    const drifted = await User.aggregate([
+        {
+            $lookup: {
+                from: 'follows',
+                let: { userId: '$_id' },
+                pipeline: [{ $match: { $expr: { $eq: ['$followee', '$$userId'] } } }, { $count: 'count' }],
+                as: 'followers'
+            }
+        },
+        {
+            $lookup: {
+                from: 'follows',
+                let: { userId: '$_id' },
+                pipeline: [{ $match: { $expr: { $eq: ['$follower', '$$userId'] } } }, { $count: 'count' }],
+                as: 'followings'
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                stored: {
+                    followersCount: { $ifNull: ['$followersCount', null] },
+                    followingsCount: { $ifNull: ['$followingsCount', null] }
+                },
+                actual: {
+                    followersCount: { $ifNull: [{ $arrayElemAt: ['$followers.count', 0] }, 0] },
+                    followingsCount: { $ifNull: [{ $arrayElemAt: ['$followings.count', 0] }, 0] }
+                }
+            }
+        },
+        {
+            $match: {
+                $expr: {
+                    $or: [
+                        { $ne: ['$stored.followersCount', '$actual.followersCount'] },
+                        { $ne: ['$stored.followingsCount', '$actual.followingsCount'] }
+                    ]
+                }
+            }
+        }
+    ]);
+
+    let corrected = 0;
+    if (!dryRun && drifted.length) {
+        const result = await User.bulkWrite(
+            drifted.map(({ _id, actual }) => ({ updateOne: { filter: { _id }, update: { $set: actual } } })),
+            { ordered: false }
+        );
+        corrected = result.modifiedCount;
+    }
+
+    return { dryRun, drifted, corrected };
+};
+
+/**
+ * This function runs the recount every `intervalMs` milliseconds and logs the corrections.
+ * It returns a function that stops the job.
+ */
+export const startFollowCountRecount = ({ intervalMs = 6 * 60 * 60 * 1000 } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { corrected } = await recountFollowCounts();
+            if (corrected) console.warn(`Corrected follow counters of ${corrected} users`);
+        } catch (err) {
+            console.error('Follow counter recount failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    return () => clearInterval(timer);
+};
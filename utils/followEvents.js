@@ -0,0 +1,21 @@
+import FollowEvent from '../models/FollowEvent.js';
+
+/**
+ * This function appends one event per follow edge to the follow event log.
+ * Each edge is `{ follower, followee }` with an optional `createdAt`; unfollows may carry the
+ * date of the removed follow as `followedAt`, which lets them be undone (see `undoUnfollow`).
+ * Pass the session and `onRollback` of the transaction that changes the edges so both commit
+ * together (see `runInTransaction`).
+ */
+export const recordFollowEvents = async (type, edges, session = null, onRollback = () => {}) => {
+    if (!edges.length) return [];
+
+    const events = await FollowEvent.insertMany(
+        edges.map(({ follower, followee, createdAt, followedAt }) => ({
+            type, follower, followee, createdAt, ...(followedAt && { followedAt })
+        })),
+        { session }
+    );
+    onRollback(() => FollowEvent.deleteMany({ _id: { $in: events.map(event => event._id) } }));
+    return events;
+};
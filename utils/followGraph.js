@@ -0,0 +1,239 @@
+import readline from 'readline';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Block from '../models/Block.js';
+import { FOLLOW_EVENT_TYPES } from '../models/FollowEvent.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { runInTransaction } from './transaction.js';
+import { adjustFollowCounts } from './followCounters.js';
+import { recordFollowEvents } from './followEvents.js';
+import { isDuplicateKeyError } from './errors.js';
+import { recordEdgeAudits } from './audit.js';
+
+export const GRAPH_FORMATS = ['csv', 'ndjson'];
+export const CSV_HEADER = 'follower,followee,createdAt';
+
+/**
+ * Outcome of one item of a bulk follow/unfollow or one row of a graph import.
+ */
+export const FOLLOW_STATUS = {
+    OK: 'ok',
+    REQUESTED: 'requested',
+    ALREADY_FOLLOWING: 'already-following',
+    ALREADY_REQUESTED: 'already-requested',
+    NOT_FOLLOWING: 'not-following',
+    NOT_FOUND: 'not-found',
+    INVALID_ID: 'invalid-id',
+    INVALID_ROW: 'invalid-row',
+    SAME_USER: 'same-user',
+    BLOCKED: 'blocked',
+    DUPLICATE: 'duplicate',
+    ERROR: 'error',
+};
+
+const IMPORT_BATCH_SIZE = 500;
+// An import report lists at most this many skipped rows; all of them are counted.
+const MAX_REPORTED_ROWS = 100;
+
+/**
+ * This function counts results by their `status`.
+ */
+export const summarize = (results) => results.reduce((summary, { status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+    return summary;
+}, {});
+
+/**
+ * This function turns follow edges into lines of CSV (with a header) or NDJSON.
+ * `edges` may be any iterable, e.g. a Mongoose query cursor, so the graph is never held in memory.
+ */
+export async function* serializeEdges(edges, format) {
+    if (format === 'csv') yield `${CSV_HEADER}\n`;
+
+    for await (const { follower, followee, createdAt } of edges) {
+        const row = { follower: follower.toString(), followee: followee.toString(), createdAt: new Date(createdAt).toISOString() };
+        yield format === 'csv' ? `${row.follower},${row.followee},${row.createdAt}\n` : `${JSON.stringify(row)}\n`;
+    }
+}
+
+/**
+ * This function checks one parsed row and returns the edge, or the status that rejects it.
+ */
+const toEdge = (line, { follower, followee, createdAt }) => {
+    if (!mongoose.isValidObjectId(follower) || !mongoose.isValidObjectId(followee)) {
+        return { line, status: FOLLOW_STATUS.INVALID_ID };
+    }
+
+    // Compared as ObjectIds, since the same id may be written in upper or lower case.
+    const edge = {
+        line,
+        follower: mongoose.Types.ObjectId.createFromHexString(follower),
+        followee: mongoose.Types.ObjectId.createFromHexString(followee)
+    };
+    if (edge.follower.equals(edge.followee)) {
+        return { line, status: FOLLOW_STATUS.SAME_USER };
+    }
+
+    const date = createdAt ? new Date(createdAt) : undefined;
+    if (date && Number.isNaN(date.getTime())) {
+        return { line, status: FOLLOW_STATUS.INVALID_ROW };
+    }
+
+    return { ...edge, createdAt: date };
+};
+
+/**
+ * This function reads follow edges from a stream of CSV or NDJSON, in the shape written by
+ * `serializeEdges`, and yields one row per non-empty line with its line number.
+ * Rows that cannot be read carry a `status` instead of an edge.
+ */
+export async function* parseEdges(input, format) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+
+    for await (const text of lines) {
+        line += 1;
+        const trimmed = text.trim();
+        if (!trimmed) continue;
+
+        if (format === 'csv') {
+            if (line === 1 && trimmed.startsWith('follower')) continue;
+            const [follower, followee, createdAt] = trimmed.split(',').map(value => value.trim());
+            yield toEdge(line, { follower, followee, createdAt });
+            continue;
+        }
+
+        let row;
+        try {
+            row = JSON.parse(trimmed);
+        } catch {
+            row = null;
+        }
+        yield row && typeof row === 'object'
+            ? toEdge(line, { follower: String(row.follower), followee: String(row.followee), createdAt: row.createdAt })
+            : { line, status: FOLLOW_STATUS.INVALID_ROW };
+    }
+}
+
+/**
+ * This function checks one batch of edges against the database and, unless `dryRun`,
+ * creates the new ones with their counters and follow events in a single transaction.
+ * It sets the `status` of every row; rows followed by someone else since the check are
+ * reported as already following.
+ */
+const importBatch = async (rows, { dryRun }) => {
+    const userIds = [...new Set(rows.flatMap(({ follower, followee }) => [follower.toString(), followee.toString()]))];
+
+    const users = await User.find({ _id: { $in: userIds } }, '_id').lean();
+    const existingUsers = new Set(users.map(user => user._id.toString()));
+
+    const edges = await Follow.find(
+        { $or: rows.map(({ follower, followee }) => ({ follower, followee })) }, 'follower followee'
+    ).lean();
+    const existingEdges = new Set(edges.map(edge => `${edge.follower}:${edge.followee}`));
+
+    const blocks = await Block.find({ blocker: { $in: userIds }, blocked: { $in: userIds } }, 'blocker blocked').lean();
+    const blockedPairs = new Set(blocks.flatMap(block => [`${block.blocker}:${block.blocked}`, `${block.blocked}:${block.blocker}`]));
+
+    let created = [];
+    for (const row of rows) {
+        const key = `${row.follower}:${row.followee}`;
+
+        if (!existingUsers.has(row.follower.toString()) || !existingUsers.has(row.followee.toString())) {
+            row.status = FOLLOW_STATUS.NOT_FOUND;
+        } else if (blockedPairs.has(key)) {
+            row.status = FOLLOW_STATUS.BLOCKED;
+        } else if (existingEdges.has(key)) {
+            row.status = FOLLOW_STATUS.ALREADY_FOLLOWING;
+        } else {
+            row.status = FOLLOW_STATUS.OK;
+            created.push(row);
+        }
+    }
+
+    if (dryRun) return;
+
+    while (created.length) {
+        // The ids are set here so an undo removes the inserted edges only, also when some failed.
+        const edges = created.map(row => ({
+            _id: new mongoose.Types.ObjectId(),
+            follower: row.follower,
+            followee: row.followee,
+            createdAt: row.createdAt || new Date()
+        }));
+
+        try {
+            await runInTransaction(async (session, onRollback) => {
+                onRollback(() => Follow.deleteMany({ _id: { $in: edges.map(edge => edge._id) } }));
+                await Follow.insertMany(edges, { session, ordered: false });
+                await adjustFollowCounts(edges, 1, session, onRollback);
+                await recordFollowEvents(FOLLOW_EVENT_TYPES.FOLLOW, edges, session, onRollback);
+                await recordEdgeAudits(AUDIT_ACTIONS.FOLLOW, edges, { import: true }, session, onRollback);
+            });
+            return;
+        } catch (err) {
+            const duplicates = new Set((err.writeErrors || []).filter(isDuplicateKeyError).map(writeError => writeError.index));
+            if (!duplicates.size) throw err;
+
+            // A write error aborts the whole transaction, so the batch is written again without the edges that now exist.
+            created = created.filter((row, index) => {
+                if (!duplicates.has(index)) return true;
+                row.status = FOLLOW_STATUS.ALREADY_FOLLOWING;
+                return false;
+            });
+        }
+    }
+};
+
+/**
+ * This function imports the rows produced by `parseEdges` in batches.
+ * Edges between missing users, between users who blocked each other, already present,
+ * or repeated in the input are skipped; private accounts are followed directly, without requests.
+ * Imported follows keep their `createdAt`, are audited, and do not notify anyone.
+ * With `dryRun` nothing is written and the report tells what would happen.
+ * The report counts the rows by status and lists up to 100 rows that were not imported.
+ */
+export const importEdges = async (rows, { dryRun = false } = {}) => {
+    const summary = {};
+    const skipped = [];
+    const seen = new Set();
+    let total = 0;
+    let batch = [];
+
+    const report = (row) => {
+        summary[row.status] = (summary[row.status] || 0) + 1;
+        if (row.status !== FOLLOW_STATUS.OK && skipped.length < MAX_REPORTED_ROWS) {
+            skipped.push({ line: row.line, status: row.status });
+        }
+    };
+
+    const flush = async () => {
+        if (!batch.length) return;
+        await importBatch(batch, { dryRun });
+        batch.forEach(report);
+        batch = [];
+    };
+
+    for await (const row of rows) {
+        total += 1;
+
+        if (row.status) {
+            report(row);
+            continue;
+        }
+
+        const key = `${row.follower}:${row.followee}`;
+        if (seen.has(key)) {
+            report({ line: row.line, status: FOLLOW_STATUS.DUPLICATE });
+            continue;
+        }
+        seen.add(key);
+
+        batch.push(row);
+        if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return { dryRun, total, summary, skipped };
+};
@@ -0,0 +1,92 @@
+import Follow from '../models/Follow.js';
+
+// MongoDB's error code for a query that ran past its maxTimeMS.
+const MAX_TIME_EXPIRED = 50;
+
+// Users a search may reach before it gives up, so one search cannot fill the memory
+// on accounts followed by millions, whatever its time budget.
+export const MAX_VISITED_USERS = 100000;
+
+/**
+ * This function finds the users one step away from `frontier`: the users they follow when
+ * `forward`, the users following them otherwise. Users in `excludeIds` are skipped.
+ * It returns at most `limit` `[from, to]` pairs in the direction of the search.
+ */
+const expand = async (frontier, forward, excludeIds, { maxTimeMS, limit }) => {
+    const [ownField, otherField] = forward ? ['follower', 'followee'] : ['followee', 'follower'];
+
+    const edges = await Follow.find({ [ownField]: { $in: frontier }, [otherField]: { $nin: excludeIds } }, `${ownField} ${otherField}`)
+        .limit(limit)
+        .maxTimeMS(maxTimeMS)
+        .lean();
+
+    return edges.map(edge => [edge[ownField], edge[otherField]]);
+};
+
+/**
+ * This function finds a shortest chain of follows from `fromId` to `toId`, such as
+ * "A follows B who follows C", of at most `maxDepth` follows.
+ * It searches breadth first from both ends at once, one level at a time, always growing the
+ * side with the smaller frontier, so it touches far fewer edges than a search from one end.
+ * Users in `excludeIds` are never part of the chain.
+ * The search stops once `timeBudgetMs` has passed or `maxVisited` (MAX_VISITED_USERS by default)
+ * users were reached; no level reads more edges than the users it may still reach.
+ * It returns `{ path, degree, truncated }`: `path` lists the user ids of the chain from
+ * `fromId` to `toId`, and `degree` its number of follows; both are null when no chain was found.
+ * `truncated` tells that the search stopped early, so a longer search might still find one.
+ */
+export const findFollowPath = async (fromId, toId, { maxDepth, timeBudgetMs, excludeIds = [], maxVisited = MAX_VISITED_USERS }) => {
+    const deadline = Date.now() + timeBudgetMs;
+
+    // Each side maps the users it reached to their neighbour one step closer to its own end.
+    const sides = [
+        { forward: true, reached: new Map([[fromId.toString(), null]]), frontier: [fromId], depth: 0 },
+        { forward: false, reached: new Map([[toId.toString(), null]]), frontier: [toId], depth: 0 },
+    ];
+    const [forward, backward] = sides;
+
+    const buildPath = (meetingId) => {
+        const path = [];
+        for (let id = meetingId; id; id = forward.reached.get(id)?.toString()) path.unshift(id);
+        for (let id = backward.reached.get(meetingId)?.toString(); id; id = backward.reached.get(id)?.toString()) path.push(id);
+        return { path, degree: path.length - 1, truncated: false };
+    };
+
+    if (fromId.toString() === toId.toString()) return buildPath(fromId.toString());
+
+    while (forward.depth + backward.depth < maxDepth) {
+        const side = forward.frontier.length <= backward.frontier.length ? forward : backward;
+        const other = side === forward ? backward : forward;
+
+        const remainingMs = deadline - Date.now();
+        const capacity = maxVisited - forward.reached.size - backward.reached.size;
+        if (remainingMs <= 0 || capacity <= 0) return { path: null, degree: null, truncated: true };
+
+        let pairs;
+        try {
+            pairs = await expand(side.frontier, side.forward, excludeIds, { maxTimeMS: remainingMs, limit: capacity });
+        } catch (err) {
+            if (err?.code === MAX_TIME_EXPIRED) return { path: null, degree: null, truncated: true };
+            throw err;
+        }
+
+        const next = [];
+        for (const [nearId, farId] of pairs) {
+            const key = farId.toString();
+            if (side.reached.has(key)) continue;
+
+            side.reached.set(key, nearId);
+            if (other.reached.has(key)) return buildPath(key);
+            next.push(farId);
+        }
+
+        side.frontier = next;
+        side.depth += 1;
+
+        // A level read up to its limit may have more users, so a later level could miss a shorter chain.
+        if (pairs.length >= capacity) return { path: null, degree: null, truncated: true };
+        if (!next.length) return { path: null, degree: null, truncated: false };
+    }
+
+    return { path: null, degree: null, truncated: false };
+};
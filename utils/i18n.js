@@ -0,0 +1,79 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { UserResponseMessages } from './constants.js';
+import fa from './locales/fa.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const catalogs = { en: UserResponseMessages, fa };
+
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Maps every catalog message back to its code, so messages thrown or passed around
+// as text can still be translated.
+const codesByMessage = new Map(
+    Object.values(catalogs).flatMap(catalog => Object.entries(catalog).map(([code, message]) => [message, code]))
+);
+
+const localeStorage = new AsyncLocalStorage();
+
+/**
+ * This function returns the locale of the request being handled, or the default locale
+ * outside of a request.
+ */
+export const currentLocale = () => localeStorage.getStore() || DEFAULT_LOCALE;
+
+/**
+ * This function returns the code of a catalog message, or `undefined` for other text.
+ */
+export const messageCode = (message) => codesByMessage.get(message);
+
+/**
+ * This function returns the message for `code` in the current locale, filling in `{name}`
+ * placeholders from `params`. Codes missing from a catalog fall back to English.
+ */
+export const t = (code, params = {}, locale = currentLocale()) => {
+    const template = catalogs[locale]?.[code] ?? UserResponseMessages[code] ?? code;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+/**
+ * This function translates a message that may be a catalog message into the current locale
+ * and returns it with its code. Text that is not in any catalog is returned as is.
+ */
+export const localize = (message) => {
+    const code = messageCode(message);
+    return { code, message: code ? t(code) : message };
+};
+
+/**
+ * This function picks the locale from the `lang` query parameter, then from the
+ * `Accept-Language` header by quality, and falls back to the default locale.
+ */
+export const resolveLocale = (req) => {
+    const requested = String(req.query?.lang || '').toLowerCase();
+    if (SUPPORTED_LOCALES.includes(requested)) return requested;
+
+    const accepted = (req.get('Accept-Language') || '')
+        .split(',')
+        .map(part => {
+            const [tag, ...options] = part.trim().split(';');
+            const quality = options.find(option => option.trim().startsWith('q='));
+            return { language: tag.split('-')[0].toLowerCase(), q: quality ? Number(quality.trim().slice(2)) : 1 };
+        })
+        .filter(({ language, q }) => SUPPORTED_LOCALES.includes(language) && q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    return accepted[0]?.language || DEFAULT_LOCALE;
+};
+
+/**
+ * This middleware resolves the locale of the request and makes it the current locale
+ * for everything that runs while the request is handled.
+ */
+export const detectLocale = (req, res, next) => {
+    const locale = resolveLocale(req);
+    req.locale = locale;
+    res.set('Content-Language', locale);
+    res.vary('Accept-Language');
+    localeStorage.run(locale, next);
+};
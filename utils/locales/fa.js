@@ -0,0 +1,112 @@
+// پیام‌های فارسی؛ کلیدها باید با UserResponseMessages در utils/constants.js یکی باشند
+export default {
+    ERROR_USER_NAME: 'نام کاربری باید حداقل ۳ کاراکتر داشته باشد.',
+    ERROR_USER_NAME_LENGTH: 'نام کاربری باید حداکثر ۳۰ کاراکتر داشته باشد.',
+    ERROR_USER_NAME_CHARSET: 'نام کاربری فقط می‌تواند شامل حروف، ارقام، زیرخط و نقطه باشد.',
+    ERROR_USER_NAME_RESERVED: 'این نام کاربری رزرو شده است.',
+    ERROR_PASSWORD: 'رمز عبور باید حداقل ۸ کاراکتر داشته باشد.',
+    ERROR_LOGIN: 'نام کاربری یا رمز عبور نادرست است.',
+    ERROR_UNAUTHORIZED: 'ابتدا وارد حساب خود شوید.',
+    ERROR_INVALID_TOKEN: 'توکن نامعتبر است یا منقضی شده است.',
+    ERROR_FORBIDDEN: 'شما اجازه انجام این کار را ندارید.',
+    ERROR_VALID_ID: 'شناسه معتبر نیست.',
+    ERROR_IDS_SAME: 'شناسه‌ها نمی‌توانند یکسان باشند.',
+    ERROR_EXIST_USER: 'این نام کاربری قبلا ثبت شده است.',
+    ERROR_DUPLICATE: 'رکوردی با همین مقدار از قبل وجود دارد.',
+    ERROR_ROUTE_NOT_FOUND: 'مسیر پیدا نشد.',
+    ERROR_INTERNAL: 'خطای داخلی سرور',
+    CREATED: 'کاربر با موفقیت ساخته شد.',
+    LOGGED_IN: 'با موفقیت وارد شدید.',
+    ALL_USER: 'فهرست کاربران.',
+    ERROR_UPDATE_FOLLOWING: 'از قبل دنبال می‌کنید.',
+    ERROR_UPDATE_UNFOLLOWING: 'این کاربر را دنبال نمی‌کنید.',
+    UPDATE_FOLLOW: 'با موفقیت دنبال شد.',
+    UPDATE_UNFOLLOW: 'دنبال کردن با موفقیت لغو شد.',
+    SHOW_FOLLOWERS: 'تعداد روزانه دنبال‌کنندگان کاربر.',
+    NOT_FOUND: 'کاربر پیدا نشد.',
+    COMMON_FOLLOWERS: 'دنبال‌کنندگان مشترک دو کاربر',
+    RECONCILED: 'یال‌های دنبال کردن اصلاح شدند.',
+    FOLLOWERS: 'فهرست دنبال‌کنندگان.',
+    FOLLOWINGS: 'فهرست دنبال‌شوندگان.',
+    ERROR_LIMIT: 'محدودیت باید یک عدد صحیح مثبت باشد.',
+    ERROR_CURSOR: 'نشانگر صفحه معتبر نیست.',
+    ERROR_PRIVACY: 'isPrivate باید مقدار بولی باشد.',
+    ERROR_REQUEST_EXISTS: 'یک درخواست دنبال کردن در انتظار تایید است.',
+    ERROR_REQUEST_NOT_FOUND: 'درخواست دنبال کردن پیدا نشد.',
+    FOLLOW_REQUESTED: 'درخواست دنبال کردن ارسال شد.',
+    FOLLOW_REQUESTS: 'فهرست درخواست‌های دنبال کردن.',
+    REQUEST_APPROVED: 'درخواست دنبال کردن تایید شد.',
+    REQUEST_REJECTED: 'درخواست دنبال کردن رد شد.',
+    REQUEST_CANCELLED: 'درخواست دنبال کردن لغو شد.',
+    PRIVACY_UPDATED: 'تنظیمات حریم خصوصی به‌روزرسانی شد.',
+    ERROR_BLOCKED_FOLLOW: 'نمی‌توانید این کاربر را دنبال کنید.',
+    ERROR_ALREADY_BLOCKED: 'این کاربر از قبل مسدود شده است.',
+    ERROR_NOT_BLOCKED: 'این کاربر مسدود نیست.',
+    ERROR_ALREADY_MUTED: 'این کاربر از قبل بی‌صدا شده است.',
+    ERROR_NOT_MUTED: 'این کاربر بی‌صدا نیست.',
+    BLOCKED: 'کاربر با موفقیت مسدود شد.',
+    UNBLOCKED: 'کاربر با موفقیت از مسدودی خارج شد.',
+    MUTED: 'کاربر با موفقیت بی‌صدا شد.',
+    UNMUTED: 'کاربر با موفقیت از حالت بی‌صدا خارج شد.',
+    SUGGESTIONS: 'کاربران پیشنهادی برای دنبال کردن.',
+    SUGGESTION_REASON: '{count} نفر از دنبال‌شوندگان شما او را دنبال می‌کنند',
+    FOLLOWER_ANALYTICS: 'آمار دنبال‌کنندگان.',
+    MUTUAL_RELATIONS: 'کاربران مرتبط با همه کاربران داده‌شده.',
+    FOLLOWS_BACK: 'رابطه دنبال کردن بین دو کاربر.',
+    ERROR_MUTUAL_IDS: 'بین ۲ تا ۱۰ شناسه کاربر لازم است.',
+    ERROR_RELATION: 'رابطه باید یکی از followers، followings یا mutuals باشد.',
+    NOTIFICATIONS: 'فهرست اعلان‌ها.',
+    NOTIFICATION_READ: 'اعلان خوانده شد.',
+    NOTIFICATIONS_READ: 'همه اعلان‌ها خوانده شدند.',
+    ERROR_NOTIFICATION_NOT_FOUND: 'اعلان پیدا نشد.',
+    WEBHOOK_CREATED: 'وب‌هوک با موفقیت ساخته شد.',
+    WEBHOOK_DELETED: 'وب‌هوک با موفقیت حذف شد.',
+    WEBHOOKS: 'فهرست وب‌هوک‌ها.',
+    WEBHOOK_DELIVERIES: 'فهرست ارسال‌های وب‌هوک.',
+    ERROR_WEBHOOK_URL: 'آدرس وب‌هوک باید یک آدرس http یا https باشد.',
+    ERROR_WEBHOOK_EVENTS: 'رویدادها باید فهرستی غیرخالی از follow، unfollow یا user.created باشند.',
+    ERROR_WEBHOOK_SECRET: 'کلید امضا باید حداقل ۱۶ کاراکتر داشته باشد.',
+    ERROR_WEBHOOK_NOT_FOUND: 'وب‌هوک پیدا نشد.',
+    ERROR_DELIVERY_STATUS: 'وضعیت باید یکی از pending، succeeded یا failed باشد.',
+    ERROR_GRANULARITY: 'بازه زمانی باید یکی از hour، day، week یا month باشد.',
+    ERROR_TIMEZONE: 'منطقه زمانی معتبر نیست.',
+    ERROR_DATE_RANGE: 'بازه تاریخ معتبر نیست.',
+    ERROR_TOO_MANY_BUCKETS: 'بازه تاریخ برای این بازه زمانی بیش از حد بزرگ است.',
+    VALIDATION_REQUIRED: 'این فیلد الزامی است.',
+    VALIDATION_STRING: 'باید یک رشته باشد.',
+    VALIDATION_MIN_LENGTH: 'باید حداقل {min} کاراکتر داشته باشد.',
+    VALIDATION_MAX_LENGTH: 'باید حداکثر {max} کاراکتر داشته باشد.',
+    VALIDATION_FORMAT: 'قالب آن نامعتبر است.',
+    VALIDATION_ONE_OF: 'باید یکی از {values} باشد.',
+    VALIDATION_BOOLEAN: 'باید مقدار بولی باشد.',
+    VALIDATION_POSITIVE_INTEGER: 'باید یک عدد صحیح مثبت باشد.',
+    VALIDATION_URL: 'باید یک آدرس http یا https باشد.',
+    VALIDATION_ARRAY: 'باید یک آرایه باشد.',
+    VALIDATION_MIN_ITEMS: 'باید حداقل {min} مورد داشته باشد.',
+    VALIDATION_MAX_ITEMS: 'باید حداکثر {max} مورد داشته باشد.',
+    PROFILE: 'پروفایل کاربر.',
+    PROFILE_UPDATED: 'پروفایل با موفقیت به‌روزرسانی شد.',
+    USER_DELETED: 'کاربر با موفقیت حذف شد.',
+    ERROR_PROFILE_EMPTY: 'هیچ فیلدی برای به‌روزرسانی ارسال نشده است.',
+    TOP_USERS: 'کاربران با بیشترین دنبال‌کننده.',
+    SEARCH_RESULTS: 'کاربران مطابق با جستجو.',
+    ERROR_SEARCH_QUERY: 'عبارت جستجو باید بین ۱ تا ۵۰ کاراکتر باشد.',
+    ERROR_RATE_LIMIT: 'تعداد درخواست‌ها بیش از حد مجاز است. لطفا بعدا دوباره تلاش کنید.',
+    ERROR_DAILY_FOLLOW_LIMIT: 'به سقف روزانه دنبال کردن رسیده‌اید.',
+    ERROR_FOLLOW_CHURN: 'این کاربر را بیش از حد دنبال و لغو دنبال کرده‌اید.',
+    RATE_LIMIT_REJECTIONS: 'فهرست درخواست‌های ردشده به دلیل محدودیت نرخ.',
+    BULK_FOLLOW: 'دنبال کردن گروهی انجام شد.',
+    BULK_UNFOLLOW: 'لغو دنبال کردن گروهی انجام شد.',
+    ERROR_BULK_IDS: 'فهرستی از ۱ تا ۱۰۰۰ شناسه کاربر بفرستید.',
+    GRAPH_IMPORTED: 'گراف دنبال کردن وارد شد.',
+    GRAPH_IMPORT_CHECKED: 'گراف دنبال کردن بررسی شد؛ چیزی وارد نشد.',
+    ERROR_GRAPH_FORMAT: 'قالب باید csv یا ndjson باشد.',
+    CONNECTION: 'کوتاه‌ترین مسیر دنبال کردن میان کاربران.',
+    NO_CONNECTION: 'هیچ مسیر دنبال کردنی میان کاربران پیدا نشد.',
+    ACTIVITY: 'دنبال کردن‌های اخیر حساب‌هایی که دنبال می‌کنید.',
+    AUDIT_LOG: 'فهرست رویدادهای گزارش ممیزی.',
+    ERROR_AUDIT_ACTION: 'نوع رویداد ممیزی ناشناخته است.',
+    UNFOLLOW_UNDONE: 'لغو دنبال کردن با موفقیت بازگردانده شد.',
+    ERROR_UNDO_UNFOLLOW: 'لغو دنبال کردن اخیری از این کاربر برای بازگرداندن وجود ندارد.',
+    ERROR_CONNECTION_DEPTH: 'maxDepth باید عدد صحیح مثبتی و حداکثر برابر با بیشینه مجاز باشد.',
+};
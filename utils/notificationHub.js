@@ -0,0 +1,55 @@
+// Server-Sent Events connections of this process, by user id.
+// Each process only reaches its own clients; run a single instance or add a shared pub/sub
+// before scaling out.
+const clients = new Map();
+
+/**
+ * This function registers an open SSE response for a user.
+ * It returns a function that unregisters it.
+ */
+export const addClient = (userId, res) => {
+    const key = userId.toString();
+    if (!clients.has(key)) clients.set(key, new Set());
+    clients.get(key).add(res);
+
+    return () => {
+        const set = clients.get(key);
+        if (!set) return;
+        set.delete(res);
+        if (!set.size) clients.delete(key);
+    };
+};
+
+/**
+ * This function writes one SSE event to a response.
+ */
+export const writeEvent = (res, event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * This function sends an event to every open connection of a user.
+ */
+export const publishToUser = (userId, event, data, id) => {
+    for (const res of clients.get(userId.toString()) || []) {
+        writeEvent(res, event, data, id);
+    }
+};
+
+/**
+ * This function returns the number of open connections of a user.
+ */
+export const countClients = (userId) => clients.get(userId.toString())?.size || 0;
+
+/**
+ * This function ends every open connection, e.g. on shutdown, since SSE streams never end
+ * by themselves. Clients reconnect after the `retry` delay they were sent.
+ */
+export const closeAll = () => {
+    for (const res of [...clients.values()].flatMap(set => [...set])) {
+        res.end();
+    }
+    clients.clear();
+};
@@ -0,0 +1,33 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { EVENTS, onEvent } from './eventBus.js';
+import { publishToUser } from './notificationHub.js';
+
+/**
+ * This function stores a notification and pushes it to the recipient's live connections.
+ */
+export const notify = async (recipient, actor, type) => {
+    const notification = await Notification.create({ recipient, actor, type });
+
+    publishToUser(recipient, 'notification', notification, notification._id.toString());
+
+    return notification;
+};
+
+/**
+ * This function subscribes the notification subsystem to the follow-graph events.
+ * It returns a function that unsubscribes it.
+ */
+export const registerNotificationListeners = () => {
+    const unsubscribers = [
+        // Users who approved a request already know about the new follower, and an undone
+        // unfollow restores a follow they were already told about.
+        onEvent(EVENTS.FOLLOWED, ({ follower, followee, viaRequest, restored }) =>
+            !viaRequest && !restored && notify(followee, follower, NOTIFICATION_TYPES.NEW_FOLLOWER)),
+        onEvent(EVENTS.FOLLOW_REQUESTED, ({ requester, target }) =>
+            notify(target, requester, NOTIFICATION_TYPES.FOLLOW_REQUEST)),
+        onEvent(EVENTS.FOLLOW_REQUEST_APPROVED, ({ requester, target }) =>
+            notify(requester, target, NOTIFICATION_TYPES.REQUEST_APPROVED)),
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
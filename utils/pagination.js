@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { UserResponseMessages } from './constants.js';
+import { ValidationError } from './errors.js';
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * This function reads the `limit` query parameter, falling back to the default page size
+ * and capping it at the maximum page size.
+ */
+export const parseLimit = (limit) => {
+    if (limit === undefined) return DEFAULT_PAGE_LIMIT;
+
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new ValidationError(UserResponseMessages.ERROR_LIMIT);
+    }
+
+    return Math.min(parsed, MAX_PAGE_LIMIT);
+};
+
+/**
+ * This function encodes the position of the last returned item as an opaque cursor.
+ * `date` is optional and only used by lists ordered by date.
+ */
+export const encodeCursor = ({ id, date }) => {
+    const payload = date ? { id: id.toString(), date: new Date(date).toISOString() } : { id: id.toString() };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * This function decodes a cursor produced by `encodeCursor` and validates its contents.
+ * Cursors of lists ordered by date must carry a date (`dated`).
+ * It returns `null` when no cursor is given.
+ */
+export const decodeCursor = (cursor, { dated = false } = {}) => {
+    if (!cursor) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch {
+        throw new ValidationError(UserResponseMessages.ERROR_CURSOR);
+    }
+
+    // `isValidObjectId` also accepts numbers and 12-character strings, which are no hex ids.
+    if (!payload || typeof payload.id !== 'string' || !OBJECT_ID_PATTERN.test(payload.id)) {
+        throw new ValidationError(UserResponseMessages.ERROR_CURSOR);
+    }
+
+    const decoded = { id: mongoose.Types.ObjectId.createFromHexString(payload.id) };
+
+    if (dated) {
+        decoded.date = new Date(payload.date);
+        if (Number.isNaN(decoded.date.getTime())) throw new ValidationError(UserResponseMessages.ERROR_CURSOR);
+    }
+
+    return decoded;
+};
+
+/**
+ * This function builds the filter that selects the items after the cursor in a list
+ * sorted by `{ [dateField]: -1, _id: -1 }`.
+ */
+export const afterDateCursor = (cursor, dateField = 'createdAt') => {
+    if (!cursor) return {};
+
+    return {
+        $or: [
+            { [dateField]: { $lt: cursor.date } },
+            { [dateField]: cursor.date, _id: { $lt: cursor.id } }
+        ]
+    };
+};
+
+/**
+ * This function encodes the number of items already returned as an opaque cursor,
+ * for lists ranked by a computed score where no stable key marks the position.
+ */
+export const encodeOffsetCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * This function decodes a cursor produced by `encodeOffsetCursor` and returns the offset,
+ * or 0 when no cursor is given.
+ */
+export const decodeOffsetCursor = (cursor) => {
+    if (!cursor) return 0;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch {
+        throw new ValidationError(UserResponseMessages.ERROR_CURSOR);
+    }
+
+    if (!payload || !Number.isInteger(payload.offset) || payload.offset < 0) {
+        throw new ValidationError(UserResponseMessages.ERROR_CURSOR);
+    }
+
+    return payload.offset;
+};
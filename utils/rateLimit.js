@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import RateLimitRejection from '../models/RateLimitRejection.js';
+import { UserResponseMessages } from './constants.js';
+import { TooManyRequestsError, isDuplicateKeyError } from './errors.js';
+import { config } from './config.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/*
+ * Limits per action, configurable through the environment (see utils/config.js). Each limit allows `max` hits
+ * per fixed window of `windowMs` and counts them under its name and the key returned by `key`;
+ * requests for which `key` returns nothing are not counted. Limits with `countSuccess` only count
+ * the requests that succeeded, but still refuse requests once `max` is reached.
+ * - user / ip: requests of one action by the authenticated user or from one IP
+ * - username: login attempts for one username, whatever IP they come from
+ * - daily: follows by one user per UTC day
+ * - churn: follows and unfollows by one user of the same target, so follow/unfollow
+ *   cycles used to get noticed are cut off
+ */
+const perUser = (action, max) => ({
+    name: 'user',
+    windowMs: 15 * MINUTE_MS,
+    max,
+    key: req => (req.user ? `${action}:${req.user.id}` : null)
+});
+const perIp = (action, max, windowMs = 15 * MINUTE_MS) => ({ name: 'ip', windowMs, max, key: req => `${action}:${req.ip}` });
+const perUsername = (action, max) => ({
+    name: 'username',
+    windowMs: 15 * MINUTE_MS,
+    max,
+    // Usernames are unique regardless of case (see USERNAME_COLLATION), so the key ignores it.
+    key: req => (typeof req.body?.username === 'string' ? `${action}:${req.body.username.toLowerCase()}` : null)
+});
+const daily = {
+    name: 'daily',
+    windowMs: DAY_MS,
+    max: config.rateLimit.dailyFollows,
+    key: req => req.user?.id,
+    countSuccess: true,
+    message: UserResponseMessages.ERROR_DAILY_FOLLOW_LIMIT
+};
+const churn = (targetField) => ({
+    name: 'churn',
+    windowMs: HOUR_MS,
+    max: config.rateLimit.churn,
+    // The key leaves out the action so follows and unfollows of the target add up, and ignores the
+    // case of the id, which names the same user in any case.
+    key: req => (req.user && req.body?.[targetField] ? `${req.user.id}:${String(req.body[targetField]).toLowerCase()}` : null),
+    target: req => req.body?.[targetField],
+    message: UserResponseMessages.ERROR_FOLLOW_CHURN
+});
+
+export const RATE_LIMITS = {
+    follow: [
+        perUser('follow', config.rateLimit.followPerUser),
+        perIp('follow', config.rateLimit.followPerIp),
+        daily,
+        churn('followId')
+    ],
+    // Undoing an unfollow follows again, so it shares the counters of follows.
+    undoUnfollow: [
+        perUser('follow', config.rateLimit.followPerUser),
+        perIp('follow', config.rateLimit.followPerIp),
+        daily,
+        churn('unfollowId')
+    ],
+    unfollow: [
+        perUser('unfollow', config.rateLimit.unfollowPerUser),
+        perIp('unfollow', config.rateLimit.unfollowPerIp),
+        churn('unfollowId')
+    ],
+    create: [
+        perIp('create', config.rateLimit.createPerIp, HOUR_MS)
+    ],
+    login: [
+        perIp('login', config.rateLimit.loginPerIp),
+        perUsername('login', config.rateLimit.loginPerUsername)
+    ],
+};
+
+/**
+ * This function creates a rate limit store that keeps its counters in process memory.
+ * Counters are not shared between server instances; use the Mongo store when running several.
+ */
+export const createMemoryStore = () => {
+    const counters = new Map();
+    let nextSweep = 0;
+
+    return {
+        async increment(key, resetAt) {
+            const now = Date.now();
+            if (now >= nextSweep) {
+                for (const [counterKey, counter] of counters) {
+                    if (counter.resetAt <= now) counters.delete(counterKey);
+                }
+                nextSweep = now + MINUTE_MS;
+            }
+
+            const counter = counters.get(key) || { count: 0, resetAt };
+            counter.count += 1;
+            counters.set(key, counter);
+            return counter.count;
+        },
+        async get(key) {
+            const counter = counters.get(key);
+            return counter && counter.resetAt > Date.now() ? counter.count : 0;
+        },
+        async reset() {
+            counters.clear();
+        }
+    };
+};
+
+/**
+ * This function creates a rate limit store that keeps its counters in MongoDB, shared by
+ * every server instance. Expired counters are removed by a TTL index.
+ */
+export const createMongoStore = () => {
+    const increment = async (key, resetAt, retried = false) => {
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { _id: key },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+                { upsert: true, new: true }
+            ).lean();
+            return counter.count;
+        } catch (err) {
+            // Two concurrent first hits may both try to insert the counter; the loser retries.
+            if (!retried && isDuplicateKeyError(err)) return increment(key, resetAt, true);
+            throw err;
+        }
+    };
+
+    return {
+        increment,
+        async get(key) {
+            const counter = await RateLimitCounter.findById(key).lean();
+            return counter?.count || 0;
+        },
+        async reset() {
+            await RateLimitCounter.deleteMany({});
+        }
+    };
+};
+
+/**
+ * The store used by `rateLimit`, chosen with RATE_LIMIT_STORE (`memory`, the default, or `mongo`).
+ */
+export const rateLimitStore = config.rateLimit.store === 'mongo' ? createMongoStore() : createMemoryStore();
+
+/**
+ * This function records a rejected request for review, without delaying or failing the response.
+ */
+const logRejection = (entry) => {
+    console.warn(`Rate limit ${entry.action}/${entry.rule} rejected user=${entry.user || '-'} ip=${entry.ip} (${entry.count}/${entry.limit})`);
+
+    // The target comes from the request body and is only stored when it is a valid id.
+    if (entry.target && !mongoose.isValidObjectId(entry.target)) delete entry.target;
+
+    RateLimitRejection.create(entry).catch(err => console.error('Could not log rate limit rejection:', err.message));
+};
+
+/**
+ * This function counts a request against the limits of `action` (see RATE_LIMITS) and throws a
+ * TooManyRequestsError as soon as one is exceeded. `req` only needs `user`, `ip` and `body`,
+ * so callers outside Express routes (e.g. GraphQL mutations) can pass what they have.
+ * Every request is counted, including the rejected ones, so clients that ignore
+ * `retryAfter` stay limited; only limits with `countSuccess` wait for the returned function,
+ * which the caller runs once the request succeeded. Rejections are logged and stored for review.
+ */
+export const consumeRateLimit = async (action, req, { limits = RATE_LIMITS[action], store = rateLimitStore } = {}) => {
+    const now = Date.now();
+    const onSuccess = [];
+
+    for (const limit of limits) {
+        const key = limit.key(req);
+        if (!key) continue;
+
+        const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+        const resetAt = windowStart + limit.windowMs;
+        const counterKey = `${limit.name}:${key}:${windowStart}`;
+
+        let count;
+        if (limit.countSuccess) {
+            count = await store.get(counterKey) + 1;
+            onSuccess.push(() => store.increment(counterKey, resetAt));
+        } else {
+            count = await store.increment(counterKey, resetAt);
+        }
+
+        if (count > limit.max) {
+            logRejection({
+                action,
+                rule: limit.name,
+                user: req.user?.id,
+                target: limit.target?.(req),
+                ip: req.ip,
+                count,
+                limit: limit.max
+            });
+
+            const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+            throw new TooManyRequestsError(limit.message || UserResponseMessages.ERROR_RATE_LIMIT, { retryAfter });
+        }
+    }
+
+    return async () => {
+        await Promise.all(onSuccess.map(count => count()));
+    };
+};
+
+/**
+ * This function returns a middleware that applies the limits of `action` with `consumeRateLimit`
+ * and rejects the request with a 429 and a `Retry-After` header as soon as one is exceeded.
+ * A request succeeded when it is answered with a 2xx status.
+ */
+export const rateLimit = (action, options) => async (req, res, next) => {
+    try {
+        const succeeded = await consumeRateLimit(action, req, options);
+        res.on('finish', () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) return;
+            succeeded().catch(err => console.error(`Could not count ${action} rate limits:`, err.message));
+        });
+        next();
+    } catch (err) {
+        if (err instanceof TooManyRequestsError) res.set('Retry-After', String(err.retryAfter));
+        next(err);
+    }
+};
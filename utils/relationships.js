@@ -0,0 +1,84 @@
+import Block from '../models/Block.js';
+import Follow from '../models/Follow.js';
+
+/**
+ * This function returns the ids of the users the given user has blocked or been blocked by.
+ * Those users are hidden from each other wherever users are listed.
+ */
+export const getBlockedUserIds = async (userId) => {
+    const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] }, 'blocker blocked');
+
+    return blocks.map(block => (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker));
+};
+
+/**
+ * This function checks whether either of two users has blocked the other.
+ */
+export const isBlockedBetween = (userId, otherId, session) => Block.exists({
+    $or: [
+        { blocker: userId, blocked: otherId },
+        { blocker: otherId, blocked: userId }
+    ]
+}, { session });
+
+/**
+ * This function returns the aggregation stages that group the followers of `userIds` into one
+ * document per follower, with the follower's id as `_id` and the users they follow among
+ * `userIds` as `followees`. Followers in `excludeIds` are left out.
+ * Common followers are the documents whose `followees` hold more than one of the users.
+ */
+export const followersByUserStages = (userIds, excludeIds = []) => [
+    { $match: { followee: { $in: userIds }, follower: { $nin: excludeIds } } },
+    { $group: { _id: '$follower', followees: { $addToSet: '$followee' } } }
+];
+
+/**
+ * This function describes how a user relates to each of `otherIds`:
+ * - isFollowing: the user follows them
+ * - followsYou: they follow the user
+ * - isMutual: both
+ * - mutualFollowersCount: how many users follow both of them, leaving out `excludeIds`
+ * `userId` and `otherIds` must be ObjectIds. It returns a Map keyed by the other user's id string.
+ */
+export const getRelationshipFlags = async (userId, otherIds, excludeIds = []) => {
+    const flags = new Map(otherIds.map(id => [id.toString(), {
+        isFollowing: false,
+        followsYou: false,
+        isMutual: false,
+        mutualFollowersCount: 0
+    }]));
+    if (!otherIds.length) return flags;
+
+    const edges = await Follow.find({
+        $or: [
+            { follower: userId, followee: { $in: otherIds } },
+            { follower: { $in: otherIds }, followee: userId }
+        ]
+    }, 'follower followee');
+
+    for (const { follower, followee } of edges) {
+        if (follower.equals(userId)) {
+            flags.get(followee.toString()).isFollowing = true;
+        } else {
+            flags.get(follower.toString()).followsYou = true;
+        }
+    }
+
+    const commonCounts = await Follow.aggregate([
+        ...followersByUserStages([userId, ...otherIds], excludeIds),
+        { $match: { followees: userId } },
+        { $unwind: '$followees' },
+        { $match: { followees: { $ne: userId } } },
+        { $group: { _id: '$followees', count: { $sum: 1 } } }
+    ]);
+
+    for (const { _id, count } of commonCounts) {
+        flags.get(_id.toString()).mutualFollowersCount = count;
+    }
+
+    for (const flag of flags.values()) {
+        flag.isMutual = flag.isFollowing && flag.followsYou;
+    }
+
+    return flags;
+};
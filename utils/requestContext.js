@@ -0,0 +1,17 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * This middleware makes the request current for everything that runs while it is handled,
+ * including event listeners, so they can tell who did what from where.
+ */
+export const bindRequestContext = (req, res, next) => {
+    requestStorage.run(req, next);
+};
+
+/**
+ * This function returns the request being handled, or `undefined` outside of a request
+ * (e.g. in background jobs).
+ */
+export const currentRequest = () => requestStorage.getStore();
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { createCache, createMemoryStore } from './cache.js';
+import { getSuccessResponse } from './HandleResponse.js';
+import { currentLocale } from './i18n.js';
+import { EVENTS, onEvent } from './eventBus.js';
+import { config } from './config.js';
+
+/**
+ * This function returns the form of a user id used in cache keys and tags. Ids are hex, so the
+ * same id may come in upper or lower case, or as an ObjectId.
+ */
+export const cacheId = id => new mongoose.Types.ObjectId(id).toString();
+
+/*
+ * Tags of cached responses, naming the data each was computed from:
+ * - users: the list of all users and its total
+ * - user:<id>: a user's profile, counters and follow edges
+ * - followers:<id>: the follow edges pointing at a user
+ * - viewer:<id>: the users a viewer has blocked or been blocked by
+ * - all: every response, for changes made without domain events (imports, repairs)
+ */
+export const CACHE_TAGS = {
+    users: 'users',
+    user: id => `user:${cacheId(id)}`,
+    followers: id => `followers:${cacheId(id)}`,
+    viewer: id => `viewer:${cacheId(id)}`,
+    all: 'all',
+};
+
+let responseCache = createCache(createMemoryStore({ maxEntries: config.cache.maxEntries }), { ttlMs: config.cache.ttlMs });
+
+/**
+ * This function makes responses cached in `store` instead, e.g. a Redis client shared by
+ * all server instances (see utils/cache.js for the commands it must support).
+ */
+export const useCacheStore = (store) => {
+    responseCache = createCache(store, { ttlMs: config.cache.ttlMs });
+};
+
+/**
+ * This function removes the cached responses carrying any of `tags`.
+ */
+export const invalidateCache = tags => responseCache.invalidate(tags);
+
+/**
+ * This function sends a success response with `message` from the cache, computing it with `load`
+ * on a miss. `load` returns `{ data, pagination, tags }`; the response is cached under `key`
+ * with `tags` until one of them is invalidated or CACHE_TTL_MS passes. Ids in `key` should go
+ * through `cacheId`, so every spelling of an id shares one entry.
+ * Responses carry an ETag, so a client sending it back in `If-None-Match` gets a 304 while the
+ * response did not change.
+ */
+export const sendCached = async (req, res, { key, message, load }) => {
+    let entry = await responseCache.get(key);
+
+    if (!entry) {
+        const { data, pagination, tags = [] } = await load();
+        const hash = crypto.createHash('sha1').update(JSON.stringify({ data, pagination })).digest('base64url');
+
+        entry = { data, pagination, hash };
+        await responseCache.set(key, entry, [...tags, CACHE_TAGS.all]);
+    }
+
+    // The message is translated per request, so the locale is part of the representation.
+    res.set('ETag', `W/"${entry.hash}-${currentLocale()}"`);
+    res.set('Cache-Control', 'private, no-cache');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.status(200).json(getSuccessResponse(200, message, entry.data, entry.pagination));
+};
+
+/**
+ * This function subscribes the response cache to the follow-graph and profile events, so that
+ * exactly the cached responses built from the changed data are removed.
+ * It returns a function that unsubscribes it.
+ */
+export const registerCacheInvalidation = () => {
+    const followChanged = ({ follower, followee }) =>
+        invalidateCache([CACHE_TAGS.user(follower), CACHE_TAGS.user(followee), CACHE_TAGS.followers(followee)]);
+    const blockChanged = ({ blocker, blocked }) =>
+        invalidateCache([CACHE_TAGS.viewer(blocker), CACHE_TAGS.viewer(blocked)]);
+
+    const unsubscribers = [
+        onEvent(EVENTS.FOLLOWED, followChanged),
+        onEvent(EVENTS.UNFOLLOWED, followChanged),
+        onEvent(EVENTS.BLOCKED, blockChanged),
+        onEvent(EVENTS.UNBLOCKED, blockChanged),
+        onEvent(EVENTS.USER_CREATED, () => invalidateCache([CACHE_TAGS.users])),
+        onEvent(EVENTS.USER_UPDATED, ({ user }) => invalidateCache([CACHE_TAGS.user(user._id)])),
+        onEvent(EVENTS.USER_DELETED, ({ userId }) => invalidateCache([
+            CACHE_TAGS.users, CACHE_TAGS.user(userId), CACHE_TAGS.followers(userId), CACHE_TAGS.viewer(userId)
+        ])),
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
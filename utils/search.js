@@ -0,0 +1,54 @@
+/**
+ * Helpers of user search. Every user stores normalized search keys (for prefix matches)
+ * and trigrams (for fuzzy matches) of their username and display name; both are indexed
+ * on the User model and have to be refreshed whenever either name changes.
+ */
+
+export const SEARCH_QUERY_MAX_LENGTH = 50;
+// Share of the query's trigrams a name must contain to count as a fuzzy match.
+export const FUZZY_MIN_SIMILARITY = 0.4;
+
+/**
+ * This function lowercases text, strips accents and unifies the Arabic and Persian forms
+ * of yeh and kaf, so e.g. `Ali`, `ÁLI` and `ali` match each other.
+ */
+export const normalizeSearchText = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u064a/g, '\u06cc')
+    .replace(/\u0643/g, '\u06a9')
+    .toLowerCase()
+    .trim();
+
+const words = (text) => normalizeSearchText(text).split(/[\s_.-]+/).filter(Boolean);
+
+/**
+ * This function returns the distinct three-character slices of every word of the text.
+ */
+export const trigramsOf = (text) => {
+    const trigrams = new Set();
+    for (const word of words(text)) {
+        for (let i = 0; i + 3 <= word.length; i++) trigrams.add(word.slice(i, i + 3));
+    }
+    return [...trigrams];
+};
+
+/**
+ * This function computes the search fields of a user from their username and display name.
+ * The keys are the whole names and each of their words, so a search for `reza` finds
+ * `Ali Reza` as well as `reza_k`.
+ */
+export const searchFieldsFor = ({ username, displayName }) => {
+    const names = [username, displayName].filter(Boolean);
+    const keys = new Set(names.flatMap(name => [normalizeSearchText(name), ...words(name)]));
+
+    return {
+        searchKeys: [...keys].filter(Boolean),
+        searchTrigrams: [...new Set(names.flatMap(trigramsOf))]
+    };
+};
+
+/**
+ * This function escapes the characters with a special meaning in regular expressions.
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
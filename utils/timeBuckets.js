@@ -0,0 +1,104 @@
+import { UserResponseMessages } from './constants.js';
+import { ValidationError } from './errors.js';
+
+export const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+// $dateToString formats that produce the same labels as `bucketLabel`.
+export const BUCKET_FORMATS = {
+    hour: '%Y-%m-%dT%H:00',
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m',
+};
+
+export const MAX_BUCKETS = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Shortest length of each bucket, used to estimate how many buckets a range spans.
+const MIN_BUCKET_MS = { hour: HOUR_MS, day: 23 * HOUR_MS, week: 7 * DAY_MS - HOUR_MS, month: 28 * DAY_MS - HOUR_MS };
+
+// Walking a range with these steps visits every bucket at least once, even across DST changes.
+const STEP_MS = { hour: HOUR_MS, day: 23 * HOUR_MS, week: 23 * HOUR_MS, month: 23 * HOUR_MS };
+
+const formatters = new Map();
+
+const getFormatter = (tz) => {
+    if (!formatters.has(tz)) {
+        formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23',
+        }));
+    }
+    return formatters.get(tz);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * This function returns the ISO-8601 week label (e.g. `2024-W30`) of a calendar date,
+ * matching `%G-W%V` of MongoDB's $dateToString.
+ */
+const isoWeekLabel = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Move to the Thursday of the same ISO week; its year is the ISO week-numbering year.
+    date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+    const isoYear = date.getUTCFullYear();
+    const week = 1 + Math.floor((date - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS));
+    return `${isoYear}-W${pad(week)}`;
+};
+
+/**
+ * This function checks whether a string is an IANA time zone name known to the runtime.
+ */
+export const isValidTimeZone = (tz) => {
+    try {
+        getFormatter(tz);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * This function returns the label of the bucket a date falls in, in the given time zone.
+ */
+export const bucketLabel = (date, granularity, tz) => {
+    const parts = Object.fromEntries(getFormatter(tz).formatToParts(date).map(p => [p.type, p.value]));
+    const { year, month, day, hour } = parts;
+
+    switch (granularity) {
+        case 'hour': return `${year}-${month}-${day}T${hour}:00`;
+        case 'day': return `${year}-${month}-${day}`;
+        case 'week': return isoWeekLabel(Number(year), Number(month), Number(day));
+        default: return `${year}-${month}`;
+    }
+};
+
+/**
+ * This function lists, in order, the labels of all buckets that overlap the range [from, to).
+ * It throws when the range spans more than MAX_BUCKETS buckets.
+ */
+export const listBucketLabels = (from, to, granularity, tz) => {
+    if ((to - from) / MIN_BUCKET_MS[granularity] > MAX_BUCKETS) {
+        throw new ValidationError(UserResponseMessages.ERROR_TOO_MANY_BUCKETS);
+    }
+
+    const labels = [];
+    const add = (date) => {
+        const label = bucketLabel(date, granularity, tz);
+        if (labels[labels.length - 1] !== label) labels.push(label);
+    };
+
+    for (let time = from.getTime(); time < to.getTime(); time += STEP_MS[granularity]) {
+        add(new Date(time));
+    }
+    add(new Date(to.getTime() - 1));
+
+    return labels;
+};
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Server error codes returned when multi-document transactions are not available,
+// e.g. a standalone mongod that is not part of a replica set.
+const TRANSACTION_UNSUPPORTED_CODES = [20, 263];
+
+const isTransactionUnsupported = (err) =>
+    TRANSACTION_UNSUPPORTED_CODES.includes(err?.code) ||
+    /Transaction numbers are only allowed/i.test(err?.message || '');
+
+/**
+ * This function runs the given work without a session and undoes the writes it has
+ * already made when it fails. The work registers an undo callback for every write
+ * through `onRollback`; the callbacks run in reverse order.
+ */
+const runWithCompensation = async (work) => {
+    const undo = [];
+
+    try {
+        return await work(null, (fn) => undo.push(fn));
+    } catch (err) {
+        for (const fn of undo.reverse()) {
+            try {
+                await fn();
+            } catch (rollbackErr) {
+                // The reconciliation jobs repair whatever could not be rolled back here.
+                console.error('Rollback step failed:', rollbackErr);
+            }
+        }
+        throw err;
+    }
+};
+
+/**
+ * This function runs `work(session, onRollback)` inside a MongoDB transaction so that
+ * all of its writes commit or abort together.
+ * On deployments that do not support transactions, such as a standalone mongod, it falls back
+ * to running the work without a session and compensating the writes registered through
+ * `onRollback`. Every write of the work must register its undo; in a transaction `onRollback`
+ * does nothing.
+ */
+export const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session, () => {});
+        });
+        return result;
+    } catch (err) {
+        if (!isTransactionUnsupported(err)) throw err;
+    } finally {
+        await session.endSession();
+    }
+
+    return runWithCompensation(work);
+};
+
+/**
+ * This function inserts documents of `Model` again that were read before being deleted,
+ * for undos registered through `onRollback`.
+ */
+export const reinsert = (Model, docs) => Model.insertMany(docs.map(doc => (doc.toObject ? doc.toObject() : doc)));
+
+/**
+ * This function deletes the documents of `Model` matching `filter` as part of the work of
+ * `runInTransaction`. Without a session it reads them first and registers their reinsertion
+ * as the undo.
+ */
+export const deleteRestorably = async (Model, filter, session, onRollback) => {
+    if (session) return Model.deleteMany(filter, { session });
+
+    const docs = await Model.find(filter).lean();
+    if (!docs.length) return { deletedCount: 0 };
+
+    const result = await Model.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    onRollback(() => reinsert(Model, docs));
+    return result;
+};
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import { UserResponseMessages } from './constants.js';
+import { ValidationError } from './errors.js';
+import { t } from './i18n.js';
+
+/**
+ * Error codes of field-level validation errors. Clients can rely on them; messages may change.
+ */
+export const VALIDATION_CODES = {
+    REQUIRED: 'required',
+    INVALID_TYPE: 'invalid_type',
+    TOO_SHORT: 'too_short',
+    TOO_LONG: 'too_long',
+    INVALID_FORMAT: 'invalid_format',
+    INVALID_VALUE: 'invalid_value',
+    INVALID_ID: 'invalid_id',
+    RESERVED: 'reserved',
+    TAKEN: 'taken',
+};
+
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 30;
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_.]+$/;
+export const RESERVED_USERNAMES = [
+    'admin', 'administrator', 'root', 'system', 'support', 'api', 'me', 'all', 'mutual',
+    'login', 'create', 'follow', 'unfollow', 'null', 'undefined',
+];
+
+/**
+ * This function builds the error passed to the error handler when validation fails.
+ * `errors` lists `{ path, code, message }` entries; the error message is the first one's.
+ */
+export const validationError = (errors) => new ValidationError(errors[0].message, { errors });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/*
+ * Field rules. Each rule is a function `(value) => { code, message } | null`; `message`
+ * overrides the default message of every code the rule reports. Default messages are
+ * built in the request's locale because some of them take parameters.
+ */
+
+export const string = ({ required = true, min, max, pattern, oneOf, message } = {}) => (value) => {
+    if (isMissing(value)) {
+        return required ? { code: VALIDATION_CODES.REQUIRED, message: message || t('VALIDATION_REQUIRED') } : null;
+    }
+    if (typeof value !== 'string') {
+        return { code: VALIDATION_CODES.INVALID_TYPE, message: message || t('VALIDATION_STRING') };
+    }
+    if (min !== undefined && value.length < min) {
+        return { code: VALIDATION_CODES.TOO_SHORT, message: message || t('VALIDATION_MIN_LENGTH', { min }) };
+    }
+    if (max !== undefined && value.length > max) {
+        return { code: VALIDATION_CODES.TOO_LONG, message: message || t('VALIDATION_MAX_LENGTH', { max }) };
+    }
+    if (pattern && !pattern.test(value)) {
+        return { code: VALIDATION_CODES.INVALID_FORMAT, message: message || t('VALIDATION_FORMAT') };
+    }
+    if (oneOf && !oneOf.includes(value)) {
+        return { code: VALIDATION_CODES.INVALID_VALUE, message: message || t('VALIDATION_ONE_OF', { values: oneOf.join(', ') }) };
+    }
+    return null;
+};
+
+export const objectId = ({ required = true, message = UserResponseMessages.ERROR_VALID_ID } = {}) => (value) => {
+    if (isMissing(value)) {
+        return required ? { code: VALIDATION_CODES.REQUIRED, message } : null;
+    }
+    if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) {
+        return { code: VALIDATION_CODES.INVALID_ID, message };
+    }
+    return null;
+};
+
+/**
+ * This function tells whether two user ids name the same user. Hex ids may come in upper or
+ * lower case, or as ObjectIds, so they are compared as ObjectIds when both are valid ones.
+ */
+export const isSameId = (a, b) => (mongoose.isValidObjectId(a) && mongoose.isValidObjectId(b)
+    ? new mongoose.Types.ObjectId(a).equals(new mongoose.Types.ObjectId(b))
+    : a === b);
+
+export const boolean = ({ required = true, message } = {}) => (value) => {
+    if (value === undefined || value === null) {
+        return required ? { code: VALIDATION_CODES.REQUIRED, message: message || t('VALIDATION_REQUIRED') } : null;
+    }
+    if (typeof value !== 'boolean') {
+        return { code: VALIDATION_CODES.INVALID_TYPE, message: message || t('VALIDATION_BOOLEAN') };
+    }
+    return null;
+};
+
+/**
+ * This rule accepts an absolute http or https URL.
+ */
+export const httpUrl = ({ required = true, message } = {}) => {
+    const shape = string({ required, max: 2048, message });
+
+    return (value) => {
+        const error = shape(value);
+        if (error || isMissing(value)) return error;
+
+        let protocol;
+        try {
+            ({ protocol } = new URL(value));
+        } catch {
+            protocol = null;
+        }
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            return { code: VALIDATION_CODES.INVALID_FORMAT, message: message || t('VALIDATION_URL') };
+        }
+        return null;
+    };
+};
+
+/**
+ * This rule accepts an array of `min` to `max` items. Items are checked by the controllers,
+ * which report them one by one.
+ */
+export const array = ({ required = true, min, max, message } = {}) => (value) => {
+    if (value === undefined || value === null) {
+        return required ? { code: VALIDATION_CODES.REQUIRED, message: message || t('VALIDATION_REQUIRED') } : null;
+    }
+    if (!Array.isArray(value)) {
+        return { code: VALIDATION_CODES.INVALID_TYPE, message: message || t('VALIDATION_ARRAY') };
+    }
+    if (min !== undefined && value.length < min) {
+        return { code: VALIDATION_CODES.TOO_SHORT, message: message || t('VALIDATION_MIN_ITEMS', { min }) };
+    }
+    if (max !== undefined && value.length > max) {
+        return { code: VALIDATION_CODES.TOO_LONG, message: message || t('VALIDATION_MAX_ITEMS', { max }) };
+    }
+    return null;
+};
+
+/**
+ * This rule accepts a positive integer given as a query string.
+ */
+export const positiveInteger = ({ required = false, message } = {}) => (value) => {
+    if (isMissing(value)) {
+        return required ? { code: VALIDATION_CODES.REQUIRED, message: message || t('VALIDATION_REQUIRED') } : null;
+    }
+    const parsed = Number(value);
+    if (typeof value !== 'string' || !Number.isInteger(parsed) || parsed < 1) {
+        return { code: VALIDATION_CODES.INVALID_VALUE, message: message || t('VALIDATION_POSITIVE_INTEGER') };
+    }
+    return null;
+};
+
+/**
+ * This rule checks a username: 3 to 30 letters, digits, underscores or dots, and not a reserved name.
+ * Uniqueness needs the database and is checked by the controllers with USERNAME_COLLATION (models/User.js).
+ */
+export const username = ({ required = true } = {}) => {
+    const shape = string({ required, min: USERNAME_MIN_LENGTH });
+
+    return (value) => {
+        const error = shape(value);
+        if (error) {
+            return { ...error, message: UserResponseMessages.ERROR_USER_NAME };
+        }
+        if (isMissing(value)) return null;
+        if (value.length > USERNAME_MAX_LENGTH) {
+            return { code: VALIDATION_CODES.TOO_LONG, message: UserResponseMessages.ERROR_USER_NAME_LENGTH };
+        }
+        if (!USERNAME_PATTERN.test(value)) {
+            return { code: VALIDATION_CODES.INVALID_FORMAT, message: UserResponseMessages.ERROR_USER_NAME_CHARSET };
+        }
+        if (RESERVED_USERNAMES.includes(value.toLowerCase())) {
+            return { code: VALIDATION_CODES.RESERVED, message: UserResponseMessages.ERROR_USER_NAME_RESERVED };
+        }
+        return null;
+    };
+};
+
+/**
+ * This function checks the fields of one part of a request against its rules
+ * and returns the errors with their paths, e.g. `body.username`.
+ */
+export const checkFields = (part, values = {}, rules = {}) =>
+    Object.entries(rules).flatMap(([field, rule]) => {
+        const error = rule(values[field]);
+        return error ? [{ path: `${part}.${field}`, ...error }] : [];
+    });
+
+/**
+ * This function returns a middleware that validates `req.body`, `req.params` and `req.query`
+ * against the rules given for each of them and reports every failing field at once.
+ */
+export const validate = (schema) => (req, res, next) => {
+    const errors = ['params', 'query', 'body'].flatMap(part => checkFields(part, req[part], schema[part]));
+
+    next(errors.length ? validationError(errors) : undefined);
+};
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import WebhookSubscription, { WEBHOOK_EVENTS } from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUS } from '../models/WebhookDelivery.js';
+import { EVENTS, onEvent } from './eventBus.js';
+
+export const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+/**
+ * This function signs a webhook body. Receivers recompute
+ * `HMAC-SHA256(secret, "<timestamp>.<body>")` and compare it with the
+ * `X-Webhook-Signature` header (`sha256=<hex>`), rejecting old timestamps.
+ */
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * This function returns the delay before the given retry: 10s, 20s, 40s, ... capped at one hour.
+ */
+export const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * This function queues one delivery per active subscription to the event.
+ */
+export const enqueueWebhookEvent = async (event, data) => {
+    const subscriptions = await WebhookSubscription.find({ active: true, events: event }, '_id');
+    if (!subscriptions.length) return [];
+
+    const createdAt = new Date();
+    return WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscription: subscription._id,
+        event,
+        payload: { event, createdAt, data },
+    })));
+};
+
+/**
+ * This function makes one attempt to deliver a queued webhook and records the outcome.
+ * A 2xx response completes the delivery; anything else schedules a retry with exponential
+ * backoff until MAX_ATTEMPTS is reached, after which the delivery is marked failed.
+ */
+export const attemptDelivery = async (delivery, subscription) => {
+    const body = JSON.stringify({ id: delivery._id.toString(), ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt) };
+
+    try {
+        const response = await fetch(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'following-system-webhooks',
+                'X-Webhook-Id': delivery._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body),
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        attempt.responseStatus = response.status;
+        if (!response.ok) attempt.error = `HTTP ${response.status}`;
+    } catch (err) {
+        attempt.error = err.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, lockedUntil: null, $push: { attemptLog: attempt } };
+
+    if (!attempt.error) {
+        Object.assign(update, { status: DELIVERY_STATUS.SUCCEEDED, deliveredAt: new Date() });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        update.status = DELIVERY_STATUS.FAILED;
+    } else {
+        update.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+
+    return { ...attempt, attempts, status: update.status || DELIVERY_STATUS.PENDING };
+};
+
+/**
+ * This function claims the next due delivery by locking it, so several workers or
+ * processes can share the queue without sending a webhook twice.
+ */
+const claimDueDelivery = () => {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+        {
+            status: DELIVERY_STATUS.PENDING,
+            nextAttemptAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+/**
+ * This function delivers up to BATCH_SIZE due webhooks and returns how many it attempted.
+ */
+export const processDueDeliveries = async () => {
+    let processed = 0;
+
+    while (processed < BATCH_SIZE) {
+        const delivery = await claimDueDelivery();
+        if (!delivery) break;
+
+        const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+        if (!subscription || !subscription.active) {
+            await WebhookDelivery.updateOne({ _id: delivery._id }, { status: DELIVERY_STATUS.FAILED, lockedUntil: null });
+        } else {
+            await attemptDelivery(delivery, subscription);
+        }
+        processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * This function polls the delivery queue every `intervalMs` milliseconds.
+ * It returns a function that stops the worker.
+ */
+export const startWebhookWorker = ({ intervalMs = 5000 } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            let processed;
+            do {
+                processed = await processDueDeliveries();
+            } while (processed === BATCH_SIZE);
+        } catch (err) {
+            console.error('Webhook worker failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    return () => clearInterval(timer);
+};
+
+/**
+ * This function queues webhooks for the follow-graph and user events.
+ * It returns a function that unsubscribes it.
+ */
+export const registerWebhookListeners = () => {
+    const unsubscribers = [
+        onEvent(EVENTS.FOLLOWED, ({ follower, followee, date }) =>
+            enqueueWebhookEvent(WEBHOOK_EVENTS.FOLLOW, { follower, followee, date })),
+        onEvent(EVENTS.UNFOLLOWED, ({ follower, followee, date }) =>
+            enqueueWebhookEvent(WEBHOOK_EVENTS.UNFOLLOW, { follower, followee, date })),
+        onEvent(EVENTS.USER_CREATED, ({ user }) =>
+            enqueueWebhookEvent(WEBHOOK_EVENTS.USER_CREATED, { user: { _id: user._id, username: user.username, createdAt: user.createdAt } })),
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};